@@ -0,0 +1,59 @@
+/* neighbors.js — simulation frame time against population, spatial hash vs all-pairs
+   Run: node bench/neighbors.js [count ...]   (counts above MAX_ORGANISMS are clamped)
+   - Rows over the 60 Hz step budget are marked; the population cap is printed above the table
+   - Times Field.step() only (no canvas), one 60 Hz step per frame, after a warm-up
+   - "all pairs" swaps the field's grid for one that hands every organism to every
+     organism, which is what Organism.update() saw before the spatial hash
+*/
+
+const { DEFAULT_CONFIG, MAX_ORGANISMS, SIM_STEP_MS, fieldBounds, normalizeSlotCfg, hashString, Field } = require("../sim.js");
+
+const BOUNDS = fieldBounds(1280, 900);
+const WARMUP_STEPS = 120;
+const TIMED_STEPS = 240;
+const COUNTS = process.argv.slice(2).map(Number).filter((n) => n > 0);
+
+const ALL_PAIRS = {
+  items: [],
+  rebuild(items) { this.items = items; },
+  near(_x, _y, _radius, out = []) {
+    out.length = 0;
+    for (const o of this.items) out.push(o);
+    return out;
+  },
+};
+
+function msPerStep(count, allPairs) {
+  const cfg = normalizeSlotCfg({
+    ...DEFAULT_CONFIG,
+    organismCount: count,
+    maxSpeed: 0.6,
+    sepDistance: 14,
+    alignment: 0.4,
+    cohesion: 0.3,
+    perception: 60,
+  });
+  const field = new Field(hashString(`bench|${count}`));
+  if (allPairs) field.grid = ALL_PAIRS;
+  field.respawn(cfg, BOUNDS);
+
+  for (let i = 0; i < WARMUP_STEPS; i++) field.step(cfg, BOUNDS);
+
+  const t0 = process.hrtime.bigint();
+  for (let i = 0; i < TIMED_STEPS; i++) field.step(cfg, BOUNDS);
+  return Number(process.hrtime.bigint() - t0) / 1e6 / TIMED_STEPS;
+}
+
+const counts = COUNTS.length ? COUNTS : [40, 100, 250, 500, MAX_ORGANISMS];
+const pad = (v, n) => String(v).padStart(n);
+
+console.log(`frame budget at 60 fps: ${SIM_STEP_MS.toFixed(2)} ms (sim step only, no rendering)`);
+console.log(`population cap: MAX_ORGANISMS = ${MAX_ORGANISMS} (sim.js)\n`);
+console.log(`${pad("organisms", 10)} ${pad("spatial hash", 14)} ${pad("all pairs", 12)} ${pad("speed-up", 9)}`);
+
+for (const n of counts) {
+  const grid = msPerStep(n, false);
+  const naive = msPerStep(n, true);
+  const over = grid > SIM_STEP_MS ? "  over budget" : "";
+  console.log(`${pad(n, 10)} ${pad(grid.toFixed(3) + " ms", 14)} ${pad(naive.toFixed(3) + " ms", 12)} ${pad((naive / grid).toFixed(1) + "x", 9)}${over}`);
+}
@@ -0,0 +1,654 @@
+/* render-gl.js — WebGL2 renderer for the tank (no DOM)
+   - Same picture as render.js, drawn as instanced geometry: one draw call for every
+     body, one for the inner glows, one for every leg, one for the ripples, so
+     thousands of organisms cost about as much as a dozen
+   - The body is the same polyline render.js strokes (o.segments joints along the
+     wiggle wave), rebuilt in the vertex shader from per-organism instance data
+   - Optional post effects: bloom (half-res blur added back) and caustics (drifting
+     light from above); both go through an offscreen scene texture
+   - Decor, bubbles, food and eggs are few and detailed: render.js paints them onto a
+     2D OffscreenCanvas that is uploaded as a texture under the organisms
+   - Works on an HTMLCanvasElement or an OffscreenCanvas (worker.js)
+   - new GLRenderer(canvas) throws if WebGL2 is missing; the page falls back to render.js
+*/
+
+/* ---------------------------
+   Instance data
+   - 20 floats per organism, laid out as the shader's iA..iE attributes:
+     iA: x, y (tremor applied), heading, opacity
+     iB: half length, thickness, width grow factor, leg length
+     iC: wave frequency, wave phase, wave amplitude, segments
+     iD: body r, g, b (0..1), legs
+     iE: leg r, g, b, (unused)
+----------------------------*/
+
+const GL_INSTANCE_FLOATS = 20;
+const GL_MAX_LEGS = 10;          // leg slots per organism in the leg mesh (SPECIES max)
+const GL_MAX_SEGMENTS = 12;      // joints in the body mesh; columns past o.segments collapse onto the tail
+const GL_BLOOM_STRENGTH = 0.9;
+const GL_CAUSTICS_STRENGTH = 0.07;
+
+// Packs every visible organism; returns how many were written. Mirrors drawOrganism().
+function packOrganisms(organisms, cfg, now, out) {
+  const shake = cfg.shake ?? 0;
+  const freq = cfg.shakeSpeed ?? 40;
+  const tt = now * 0.001;
+  let n = 0;
+
+  for (const o of organisms) {
+    if (!(o.opacity > 0) || o.isEgg()) continue;
+
+    let x = o.x;
+    let y = o.y;
+    if (shake > 0) {
+      x += Math.sin(tt * freq + o.wanderPhase) * shake;
+      y += Math.cos(tt * freq * 0.9 + o.wanderPhase) * shake;
+    }
+
+    const sp = SPECIES[o.species] || SPECIES[DEFAULT_SPECIES];
+    const grow = o.grow * o.pulse;
+    const widthGrow = 0.75 + 0.25 * grow;
+    const time = tt * (o.wiggleSpeed || 1.0);
+
+    const i = n * GL_INSTANCE_FLOATS;
+    out[i] = x;
+    out[i + 1] = y;
+    out[i + 2] = o.heading;
+    out[i + 3] = o.opacity * shimmerAlpha(o, cfg, now);
+
+    out[i + 4] = (o.length * grow) / 2;
+    out[i + 5] = o.thickness;
+    out[i + 6] = widthGrow;
+    out[i + 7] = o.legLen * widthGrow;
+
+    out[i + 8] = o.curveFreq;
+    out[i + 9] = o.curvePhase + time;
+    out[i + 10] = o.curveAmp * 4.0 * grow * (o.wiggleMul || 1.0);
+    out[i + 11] = o.segments;
+
+    out[i + 12] = sp.color[0] / 255;
+    out[i + 13] = sp.color[1] / 255;
+    out[i + 14] = sp.color[2] / 255;
+    out[i + 15] = Math.min(o.legs, GL_MAX_LEGS);
+
+    out[i + 16] = sp.legColor[0] / 255;
+    out[i + 17] = sp.legColor[1] / 255;
+    out[i + 18] = sp.legColor[2] / 255;
+    out[i + 19] = 0;
+    n++;
+  }
+
+  return n;
+}
+
+/* ---------------------------
+   Shaders
+   - Colours leave the fragment shaders premultiplied (the canvas composites that way)
+   - Edges are anti-aliased by hand: each strip is widened by half a pixel and faded
+----------------------------*/
+
+const GL_ORGANISM_HEAD = `#version 300 es
+layout(location = 1) in vec4 iA;
+layout(location = 2) in vec4 iB;
+layout(location = 3) in vec4 iC;
+layout(location = 4) in vec4 iD;
+layout(location = 5) in vec4 iE;
+uniform vec2 uView;
+
+// The wiggle wave render.js samples at each segment joint
+vec2 centerline(float u) {
+  return vec2(mix(-iB.x, iB.x, u), sin(u * 6.28318530718 * iC.x + iC.y) * iC.z);
+}
+
+vec4 toClip(vec2 local) {
+  float c = cos(iA.z), s = sin(iA.z);
+  vec2 p = iA.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);
+  vec2 clip = p / uView * 2.0 - 1.0;
+  return vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const GL_BODY_VS = GL_ORGANISM_HEAD + `
+layout(location = 0) in vec2 aVert;   // joint column, side -1 / +1
+uniform float uWidthMul;              // 1 body, 0.55 inner glow
+uniform float uMinWidth;
+out float vDist;
+out float vHalf;
+out float vAlpha;
+out vec3 vColor;
+uniform vec4 uGlow;                   // rgb + alpha for the glow pass; a < 0 = species colour
+
+void main() {
+  float segs = iC.w;
+  float j = min(aVert.x, segs);
+  vec2 p = centerline(j / segs);
+  vec2 t = centerline(min(j + 1.0, segs) / segs) - centerline(max(j - 1.0, 0.0) / segs);
+  t = normalize(t + vec2(1e-5, 0.0));   // averaged across the joint, so bends stay joined
+  vec2 n = vec2(-t.y, t.x);
+
+  float width = max(uMinWidth, iB.y * uWidthMul * iB.z);
+  float half_ = width * 0.5;
+
+  // Square-ish caps: the strip runs half a width past both ends
+  if (j == 0.0) p -= t * half_;
+  if (j == segs) p += t * half_;
+
+  vDist = aVert.y * (half_ + 0.5);
+  vHalf = half_;
+  p += n * vDist;
+
+  bool glow = uGlow.a >= 0.0;
+  vColor = glow ? uGlow.rgb : iD.rgb;
+  vAlpha = iA.w * (glow ? uGlow.a : 0.95);
+  gl_Position = toClip(p);
+}
+`;
+
+const GL_LEG_VS = GL_ORGANISM_HEAD + `
+layout(location = 0) in vec3 aLeg;   // leg slot k (1-based), 0 = hip / 1 = tip, side -1 / +1
+out float vDist;
+out float vHalf;
+out float vAlpha;
+out vec3 vColor;
+
+void main() {
+  float k = aLeg.x;
+  float legs = iD.w;
+  if (k > legs) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);   // unused slot: off screen
+    return;
+  }
+
+  float segs = iC.w;
+  float u = k / (legs + 1.0);
+  float idx = clamp(floor(u * segs + 0.5), 1.0, segs - 1.0);
+  vec2 p = centerline(idx / segs);
+  vec2 tan_ = centerline((idx + 1.0) / segs) - centerline((idx - 1.0) / segs);
+  vec2 n = vec2(-tan_.y, tan_.x) / max(length(tan_), 1e-5);
+  if (mod(k, 2.0) != 0.0) n = -n;
+
+  float half_ = max(0.7, iB.y * 0.35 * iB.z) * 0.5;
+  vDist = aLeg.z * (half_ + 0.5);
+  vHalf = half_;
+
+  vec2 q = p + n * iB.w * aLeg.y + vec2(-n.y, n.x) * vDist;
+  vColor = iE.rgb;
+  vAlpha = iA.w * 0.40;
+  gl_Position = toClip(q);
+}
+`;
+
+const GL_STROKE_FS = `#version 300 es
+precision mediump float;
+in float vDist;
+in float vHalf;
+in float vAlpha;
+in vec3 vColor;
+out vec4 outColor;
+
+void main() {
+  float a = vAlpha * clamp(vHalf + 0.5 - abs(vDist), 0.0, 1.0);
+  outColor = vec4(vColor * a, a);
+}
+`;
+
+const GL_RIPPLE_VS = `#version 300 es
+layout(location = 0) in vec2 aCorner;   // -1..1
+layout(location = 1) in vec4 iRing;     // cx, cy, radius, alpha
+uniform vec2 uView;
+out vec2 vLocal;
+out float vRadius;
+out float vAlpha;
+
+void main() {
+  float r = iRing.z + 2.0;
+  vLocal = aCorner * r;
+  vRadius = iRing.z;
+  vAlpha = iRing.w;
+  vec2 clip = (iRing.xy + vLocal) / uView * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const GL_RIPPLE_FS = `#version 300 es
+precision mediump float;
+in vec2 vLocal;
+in float vRadius;
+in float vAlpha;
+out vec4 outColor;
+
+void main() {
+  float a = vAlpha * clamp(1.5 - abs(length(vLocal) - vRadius), 0.0, 1.0);   // 2px ring
+  outColor = vec4(vec3(180.0, 245.0, 255.0) / 255.0 * a, a);
+}
+`;
+
+const GL_FULLSCREEN_VS = `#version 300 es
+layout(location = 0) in vec2 aCorner;
+out vec2 vUv;
+
+void main() {
+  vUv = aCorner * 0.5 + 0.5;
+  gl_Position = vec4(aCorner, 0.0, 1.0);
+}
+`;
+
+// Same falloff as drawBackgroundVignette(): faint cyan from the upper middle
+const GL_VIGNETTE_FS = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform vec2 uView;
+out vec4 outColor;
+
+void main() {
+  vec2 p = vec2(vUv.x, 1.0 - vUv.y) * uView;
+  vec2 c = vec2(0.5, 0.4) * uView;
+  float t = clamp((distance(p, c) - 20.0) / (uView.x * 0.8 - 20.0), 0.0, 1.0);
+  float a = 0.045 * (1.0 - t);
+  outColor = vec4(vec3(140.0, 235.0, 255.0) / 255.0 * a, a);
+}
+`;
+
+const GL_BLIT_FS = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uTex;
+out vec4 outColor;
+
+void main() {
+  outColor = texture(uTex, vUv);
+}
+`;
+
+const GL_BLUR_FS = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uTex;
+uniform vec2 uStep;   // one texel along the blur direction
+out vec4 outColor;
+
+void main() {
+  vec4 sum = texture(uTex, vUv) * 0.2270270270;
+  sum += (texture(uTex, vUv + uStep * 1.3846153846) + texture(uTex, vUv - uStep * 1.3846153846)) * 0.3162162162;
+  sum += (texture(uTex, vUv + uStep * 3.2307692308) + texture(uTex, vUv - uStep * 3.2307692308)) * 0.0702702703;
+  outColor = sum;
+}
+`;
+
+const GL_COMPOSITE_FS = `#version 300 es
+precision mediump float;
+in vec2 vUv;
+uniform sampler2D uScene;
+uniform sampler2D uBloom;
+uniform float uBloomStrength;
+uniform float uCaustics;
+uniform float uTime;
+uniform vec2 uView;
+out vec4 outColor;
+
+// Light through a rippling surface: warped sine bands, sharpened into filaments
+float caustic(vec2 p, float t) {
+  vec2 q = p;
+  for (int i = 1; i < 4; i++) {
+    float fi = float(i);
+    q += vec2(0.6 / fi * sin(fi * q.y + t * 0.45 + 0.3 * fi) + 0.8,
+              0.4 / fi * sin(fi * q.x + t * 0.38 + 0.3 * fi) - 0.8);
+  }
+  return pow(0.5 + 0.5 * sin(q.x + q.y), 6.0);
+}
+
+void main() {
+  vec4 color = texture(uScene, vUv);
+  color += texture(uBloom, vUv) * uBloomStrength;
+
+  if (uCaustics > 0.0) {
+    vec2 p = vec2(vUv.x, 1.0 - vUv.y) * uView / 140.0;
+    float depth = 1.0 - 0.75 * (1.0 - vUv.y);   // brightest near the surface
+    float a = caustic(p, uTime) * uCaustics * depth;
+    color += vec4(vec3(140.0, 235.0, 255.0) / 255.0 * a, a);
+  }
+
+  outColor = min(color, vec4(1.0));
+}
+`;
+
+/* ---------------------------
+   Renderer
+----------------------------*/
+
+class GLRenderer {
+  constructor(canvas) {
+    const gl = canvas.getContext("webgl2", { alpha: true, premultipliedAlpha: true, antialias: true });
+    if (!gl) throw new Error("WebGL2 is not available");
+
+    this.canvas = canvas;
+    this.gl = gl;
+    this.effects = { bloom: false, caustics: false };
+    this.width = 1;               // CSS px
+    this.height = 1;
+    this.instances = new Float32Array(GL_INSTANCE_FLOATS * 64);
+    this.rings = new Float32Array(4 * 8);
+    this.targets = null;          // scene + bloom framebuffers, sized on first use
+    this.decor = null;            // { canvas, ctx, tex }: the 2D decor layer, made on first use
+
+    this.programs = {
+      body: this.program(GL_BODY_VS, GL_STROKE_FS),
+      legs: this.program(GL_LEG_VS, GL_STROKE_FS),
+      ripple: this.program(GL_RIPPLE_VS, GL_RIPPLE_FS),
+      vignette: this.program(GL_FULLSCREEN_VS, GL_VIGNETTE_FS),
+      blit: this.program(GL_FULLSCREEN_VS, GL_BLIT_FS),
+      blur: this.program(GL_FULLSCREEN_VS, GL_BLUR_FS),
+      composite: this.program(GL_FULLSCREEN_VS, GL_COMPOSITE_FS),
+    };
+
+    this.instanceBuffer = gl.createBuffer();
+    this.ringBuffer = gl.createBuffer();
+    this.buildMeshes();
+  }
+
+  program(vsSource, fsSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`shader: ${gl.getShaderInfoLog(shader)}`);
+      }
+      return shader;
+    };
+
+    const prog = gl.createProgram();
+    gl.attachShader(prog, compile(gl.VERTEX_SHADER, vsSource));
+    gl.attachShader(prog, compile(gl.FRAGMENT_SHADER, fsSource));
+    gl.linkProgram(prog);
+    if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(`program: ${gl.getProgramInfoLog(prog)}`);
+
+    const uniforms = {};
+    const count = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < count; i++) {
+      const name = gl.getActiveUniform(prog, i).name;
+      uniforms[name] = gl.getUniformLocation(prog, name);
+    }
+    return { prog, uniforms };
+  }
+
+  // One VAO per draw: static mesh on location 0, per-instance data after it.
+  buildMeshes() {
+    const gl = this.gl;
+
+    const body = [];
+    for (let j = 0; j <= GL_MAX_SEGMENTS; j++) body.push(j, -1, j, 1);
+
+    const legs = [];
+    for (let k = 1; k <= GL_MAX_LEGS; k++) {
+      legs.push(k, 0, -1, k, 0, 1, k, 1, -1);
+      legs.push(k, 1, -1, k, 0, 1, k, 1, 1);
+    }
+
+    const quad = [-1, -1, 1, -1, -1, 1, 1, 1];
+
+    this.bodyVao = this.vao(body, 2, (stride) => this.organismAttribs(stride));
+    this.bodyCount = body.length / 2;
+    this.legVao = this.vao(legs, 3, (stride) => this.organismAttribs(stride));
+    this.legCount = legs.length / 3;
+    this.rippleVao = this.vao(quad, 2, () => {
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.ringBuffer);
+      gl.enableVertexAttribArray(1);
+      gl.vertexAttribPointer(1, 4, gl.FLOAT, false, 16, 0);
+      gl.vertexAttribDivisor(1, 1);
+    });
+    this.screenVao = this.vao(quad, 2, () => {});
+  }
+
+  vao(mesh, size, instanced) {
+    const gl = this.gl;
+    const vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(mesh), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, size, gl.FLOAT, false, 0, 0);
+
+    instanced(GL_INSTANCE_FLOATS * 4);
+    gl.bindVertexArray(null);
+    return vao;
+  }
+
+  organismAttribs(stride) {
+    const gl = this.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    for (let a = 0; a < 5; a++) {
+      gl.enableVertexAttribArray(1 + a);
+      gl.vertexAttribPointer(1 + a, 4, gl.FLOAT, false, stride, a * 16);
+      gl.vertexAttribDivisor(1 + a, 1);
+    }
+  }
+
+  resize(width, height, dpr) {
+    this.width = width;
+    this.height = height;
+    this.canvas.width = Math.floor(width * dpr);
+    this.canvas.height = Math.floor(height * dpr);
+    this.releaseTargets();
+  }
+
+  setEffects(effects) {
+    this.effects = { bloom: !!effects.bloom, caustics: !!effects.caustics };
+  }
+
+  target(w, h) {
+    const gl = this.gl;
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    const fb = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    return { tex, fb, w, h };
+  }
+
+  ensureTargets() {
+    if (this.targets) return this.targets;
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    const hw = Math.max(1, w >> 1);
+    const hh = Math.max(1, h >> 1);
+    this.targets = { scene: this.target(w, h), bloomA: this.target(hw, hh), bloomB: this.target(hw, hh) };
+    return this.targets;
+  }
+
+  releaseTargets() {
+    if (!this.targets) return;
+    for (const t of Object.values(this.targets)) {
+      this.gl.deleteFramebuffer(t.fb);
+      this.gl.deleteTexture(t.tex);
+    }
+    this.targets = null;
+  }
+
+  bindTarget(t) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t ? t.fb : null);
+    gl.viewport(0, 0, t ? t.w : this.canvas.width, t ? t.h : this.canvas.height);
+  }
+
+  // Same contract as paintFrame() in render.js: returns the ripples still running.
+  render(field, cfg, bounds, ripples) {
+    const gl = this.gl;
+    const post = this.effects.bloom || this.effects.caustics;
+    const view = [bounds.width, bounds.height];
+
+    const needed = field.organisms.length * GL_INSTANCE_FLOATS;
+    if (this.instances.length < needed) this.instances = new Float32Array(needed * 2);
+    const count = packOrganisms(field.organisms, cfg, field.now, this.instances);
+
+    this.bindTarget(post ? this.ensureTargets().scene : null);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    this.drawScreen(this.programs.vignette, (u) => gl.uniform2fv(u.uView, view));
+    this.drawDecor(field, cfg, bounds);
+
+    if (count > 0) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this.instances.subarray(0, count * GL_INSTANCE_FLOATS), gl.DYNAMIC_DRAW);
+
+      const body = this.programs.body;
+      gl.useProgram(body.prog);
+      gl.uniform2fv(body.uniforms.uView, view);
+      gl.bindVertexArray(this.bodyVao);
+
+      gl.uniform1f(body.uniforms.uWidthMul, 1);
+      gl.uniform1f(body.uniforms.uMinWidth, 0.8);
+      gl.uniform4f(body.uniforms.uGlow, 0, 0, 0, -1);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, this.bodyCount, count);
+
+      gl.uniform1f(body.uniforms.uWidthMul, 0.55);
+      gl.uniform1f(body.uniforms.uMinWidth, 0.7);
+      gl.uniform4f(body.uniforms.uGlow, 225 / 255, 1, 1, 0.30);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, this.bodyCount, count);
+
+      const legs = this.programs.legs;
+      gl.useProgram(legs.prog);
+      gl.uniform2fv(legs.uniforms.uView, view);
+      gl.bindVertexArray(this.legVao);
+      gl.drawArraysInstanced(gl.TRIANGLES, 0, this.legCount, count);
+    }
+
+    const live = this.drawRipples(ripples, view);
+
+    if (post) this.composite(field.now, view);
+    gl.bindVertexArray(null);
+    return live;
+  }
+
+  // Scene items + bubbles, painted by render.js and drawn as one textured quad.
+  drawDecor(field, cfg, bounds) {
+    const gl = this.gl;
+    const layout = sceneLayout(bounds, cfg.scene);
+    const eggs = field.organisms.filter((o) => o.opacity > 0 && o.isEgg());
+    if (!layout.items.length && !field.bubbles.length && !field.food.length && !eggs.length) return;
+    if (typeof OffscreenCanvas === "undefined") return;
+
+    const w = this.canvas.width;
+    const h = this.canvas.height;
+    if (!this.decor) {
+      const canvas = new OffscreenCanvas(w, h);
+      this.decor = { canvas, ctx: canvas.getContext("2d"), tex: gl.createTexture() };
+    }
+
+    const { canvas, ctx, tex } = this.decor;
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    ctx.setTransform(w / bounds.width, 0, 0, h / bounds.height, 0, 0);
+    drawScene(ctx, layout, field.now);
+    drawBubbles(ctx, field.bubbles);
+    drawFood(ctx, field.food);
+    for (const o of eggs) drawEgg(ctx, o, field.now);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    this.drawScreen(this.programs.blit, (u) => gl.uniform1i(u.uTex, 0));
+  }
+
+  drawRipples(ripples, view) {
+    const gl = this.gl;
+    if (!ripples.length) return ripples;
+
+    if (this.rings.length < ripples.length * 4) this.rings = new Float32Array(ripples.length * 8);
+    ripples.forEach((r, i) => {
+      const { radius, alpha } = stepRipple(r);
+      this.rings.set([r.cx, r.cy, radius, alpha], i * 4);
+    });
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.ringBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.rings.subarray(0, ripples.length * 4), gl.DYNAMIC_DRAW);
+
+    const prog = this.programs.ripple;
+    gl.useProgram(prog.prog);
+    gl.uniform2fv(prog.uniforms.uView, view);
+    gl.bindVertexArray(this.rippleVao);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, ripples.length);
+
+    return ripples.filter((r) => r.t < 1);
+  }
+
+  drawScreen(p, setUniforms) {
+    const gl = this.gl;
+    gl.useProgram(p.prog);
+    setUniforms(p.uniforms);
+    gl.bindVertexArray(this.screenVao);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  // Scene texture -> (bloom: half-res blur, both directions) -> canvas, caustics on top.
+  composite(now, view) {
+    const gl = this.gl;
+    const t = this.ensureTargets();
+    gl.disable(gl.BLEND);
+
+    const blur = (src, dst, dx, dy) => {
+      this.bindTarget(dst);
+      this.drawScreen(this.programs.blur, (u) => {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, src.tex);
+        gl.uniform1i(u.uTex, 0);
+        gl.uniform2f(u.uStep, dx / src.w, dy / src.h);
+      });
+    };
+
+    if (this.effects.bloom) {
+      blur(t.scene, t.bloomA, 1, 0);
+      blur(t.bloomA, t.bloomB, 0, 1);
+      blur(t.bloomB, t.bloomA, 2, 0);
+      blur(t.bloomA, t.bloomB, 0, 2);
+    }
+
+    this.bindTarget(null);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    this.drawScreen(this.programs.composite, (u) => {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, t.scene.tex);
+      gl.uniform1i(u.uScene, 0);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, t.bloomB.tex);
+      gl.uniform1i(u.uBloom, 1);
+      gl.uniform1f(u.uBloomStrength, this.effects.bloom ? GL_BLOOM_STRENGTH : 0);
+      gl.uniform1f(u.uCaustics, this.effects.caustics ? GL_CAUSTICS_STRENGTH : 0);
+      gl.uniform1f(u.uTime, now * 0.001);
+      gl.uniform2fv(u.uView, view);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+  }
+}
+
+/* ---------------------------
+   Node
+----------------------------*/
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GL_INSTANCE_FLOATS, GL_MAX_LEGS, GL_MAX_SEGMENTS, packOrganisms, GLRenderer };
+}
@@ -0,0 +1,320 @@
+/* render.js — Canvas 2D painting for the tank (no DOM)
+   - Paints what a Field (sim.js) computed; never steps it
+   - Shared by script.js (main thread) and worker.js (OffscreenCanvas in a Web Worker),
+     so it only touches the 2D context it is handed
+   - Loaded as a plain <script> after sim.js, or via importScripts() in the worker
+*/
+
+/* ---------------------------
+   Organism drawing
+----------------------------*/
+
+function drawOrganism(ctx, o, cfg, now) {
+  ctx.save();
+
+  let drawX = o.x;
+  let drawY = o.y;
+
+  // Tremor (0 must be perfectly still)
+  const shake = cfg.shake ?? 0;
+  if (shake > 0) {
+    const tt = now * 0.001;
+    const freq = cfg.shakeSpeed ?? 40;
+    drawX += Math.sin(tt * freq + o.wanderPhase) * shake;
+    drawY += Math.cos(tt * freq * 0.9 + o.wanderPhase) * shake;
+  }
+
+  ctx.translate(drawX, drawY);
+  ctx.rotate(o.heading);
+  ctx.globalAlpha = o.opacity * shimmerAlpha(o, cfg, now);
+
+  const grow = o.grow * o.pulse;
+  const len = o.length * grow;
+  const half = len / 2;
+
+  const sp = SPECIES[o.species] || SPECIES[DEFAULT_SPECIES];
+  const segments = o.segments;
+  const pts = [];
+  const time = now * 0.001 * (o.wiggleSpeed || 1.0);
+
+  for (let i = 0; i <= segments; i++) {
+    const u = i / segments;
+    const x = lerp(-half, half, u);
+    const wobble =
+      Math.sin(u * Math.PI * 2 * o.curveFreq + o.curvePhase + time) *
+      (o.curveAmp * 4.0 * grow * (o.wiggleMul || 1.0));
+    pts.push({ x, y: wobble });
+  }
+
+  // body
+  ctx.lineWidth = Math.max(0.8, o.thickness * (0.75 + 0.25 * grow));
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = `rgba(${sp.color.join(", ")}, 0.95)`;
+  ctx.beginPath();
+  ctx.moveTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  ctx.stroke();
+
+  // inner glow
+  ctx.lineWidth = Math.max(0.7, o.thickness * 0.55 * (0.75 + 0.25 * grow));
+  ctx.strokeStyle = "rgba(225, 255, 255, 0.30)";
+  ctx.beginPath();
+  ctx.moveTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  ctx.stroke();
+
+  // legs
+  ctx.lineWidth = Math.max(0.7, o.thickness * 0.35 * (0.75 + 0.25 * grow));
+  ctx.strokeStyle = `rgba(${sp.legColor.join(", ")}, 0.40)`;
+  const legCount = o.legs;
+  const legLen = o.legLen * (0.75 + 0.25 * grow);
+
+  for (let k = 1; k <= legCount; k++) {
+    const u = k / (legCount + 1);
+    const idx = clamp(Math.round(u * segments), 1, segments - 1);
+    const p = pts[idx];
+    const pPrev = pts[idx - 1];
+    const pNext = pts[idx + 1];
+
+    const tx = pNext.x - pPrev.x;
+    const ty = pNext.y - pPrev.y;
+    const mag = Math.hypot(tx, ty) || 1;
+
+    let nx = -ty / mag;
+    let ny = tx / mag;
+
+    const side = k % 2 === 0 ? 1 : -1;
+    nx *= side;
+    ny *= side;
+
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.lineTo(p.x + nx * legLen, p.y + ny * legLen);
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+/* ---------------------------
+   Background vignette
+----------------------------*/
+
+function drawBackgroundVignette(ctx, bounds) {
+  const g = ctx.createRadialGradient(
+    bounds.width * 0.5,
+    bounds.height * 0.35,
+    20,
+    bounds.width * 0.5,
+    bounds.height * 0.45,
+    bounds.width * 0.8
+  );
+  g.addColorStop(0, "rgba(140, 235, 255, 0.045)");
+  g.addColorStop(1, "rgba(0, 0, 0, 0)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, bounds.width, bounds.height);
+}
+
+/* ---------------------------
+   Scene (decor + bubbles)
+   - Same glassy palette as the organisms: pale cyan outlines over faint fills
+   - Drawn behind the organisms; layout comes from sceneLayout() (sim.js)
+----------------------------*/
+
+// Irregular but stable outline: the wobble is seeded by the rock's position.
+function drawRock(ctx, item) {
+  const seed = item.x * 0.137 + item.y * 0.071;
+  const points = 22;
+
+  ctx.beginPath();
+  for (let i = 0; i <= points; i++) {
+    const a = (i / points) * Math.PI * 2;
+    const r = item.r * (1 + 0.07 * Math.sin(a * 3 + seed) + 0.04 * Math.sin(a * 5 + seed * 2.3));
+    const x = item.x + Math.cos(a) * r;
+    const y = item.y + Math.sin(a) * r * 0.82;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.closePath();
+
+  const g = ctx.createRadialGradient(item.x - item.r * 0.3, item.y - item.r * 0.45, 1, item.x, item.y, item.r);
+  g.addColorStop(0, "rgba(185, 245, 255, 0.16)");
+  g.addColorStop(1, "rgba(140, 235, 255, 0.04)");
+  ctx.fillStyle = g;
+  ctx.fill();
+  ctx.strokeStyle = "rgba(185, 245, 255, 0.22)";
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+}
+
+// A few fronds from one root, swaying with the clock.
+function drawPlant(ctx, item, now) {
+  const height = item.y - item.top;
+  const fronds = 4;
+
+  ctx.lineCap = "round";
+  for (let i = 0; i < fronds; i++) {
+    const spread = (i - (fronds - 1) / 2) * item.r * 0.7;
+    const tall = height * (0.7 + 0.3 * Math.sin(i * 2.1 + item.x));
+    const sway = Math.sin(now * 0.0007 + i * 1.3 + item.x * 0.05) * height * 0.07;
+
+    ctx.beginPath();
+    ctx.moveTo(item.x + spread * 0.3, item.y);
+    ctx.quadraticCurveTo(item.x + spread, item.y - tall * 0.55, item.x + spread * 1.4 + sway, item.y - tall);
+    ctx.strokeStyle = "rgba(175, 245, 225, 0.26)";
+    ctx.lineWidth = Math.max(1.5, item.r * 0.55);
+    ctx.stroke();
+    ctx.strokeStyle = "rgba(225, 255, 245, 0.14)";
+    ctx.lineWidth = Math.max(0.8, item.r * 0.2);
+    ctx.stroke();
+  }
+}
+
+function drawBubbler(ctx, item) {
+  ctx.beginPath();
+  ctx.ellipse(item.x, item.y, item.r * 1.3, item.r * 0.8, 0, 0, Math.PI * 2);
+  ctx.fillStyle = "rgba(140, 235, 255, 0.10)";
+  ctx.fill();
+  ctx.strokeStyle = "rgba(185, 245, 255, 0.25)";
+  ctx.lineWidth = 1;
+  ctx.stroke();
+}
+
+function drawScene(ctx, layout, now) {
+  ctx.save();
+  for (const item of layout.items) {
+    if (item.type === "rock") drawRock(ctx, item);
+    else if (item.type === "plant") drawPlant(ctx, item, now);
+    else if (item.type === "bubbler") drawBubbler(ctx, item);
+  }
+  ctx.restore();
+}
+
+function drawBubbles(ctx, bubbles) {
+  if (!bubbles.length) return;
+
+  ctx.save();
+  ctx.lineWidth = 0.9;
+  ctx.strokeStyle = "rgba(200, 250, 255, 0.38)";
+  ctx.fillStyle = "rgba(225, 255, 255, 0.35)";
+  for (const b of bubbles) {
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(b.x - b.r * 0.35, b.y - b.r * 0.35, b.r * 0.3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+/* ---------------------------
+   Lifecycle (eggs + food)
+   - Eggs are glassy beads tinted like the species, with the curled embryo growing
+     inside and twitching just before it hatches
+   - Food grains are warm specks, the only non-cyan thing in the tank
+----------------------------*/
+
+function drawEgg(ctx, o, now) {
+  const sp = SPECIES[o.species] || SPECIES[DEFAULT_SPECIES];
+  const due = clamp(1 + o.age / LIFE_EGG_SECONDS, 0, 1);
+  const r = 1.6 + o.thickness * 0.9;
+  const twitch = due > 0.85 ? Math.sin(now * 0.03 + o.wanderPhase) * 0.5 : 0;
+
+  ctx.save();
+  ctx.globalAlpha = o.opacity;
+  ctx.translate(o.x + twitch, o.y);
+
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.fillStyle = `rgba(${sp.color.join(", ")}, 0.18)`;
+  ctx.fill();
+  ctx.strokeStyle = "rgba(225, 255, 255, 0.45)";
+  ctx.lineWidth = 0.8;
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(0, 0, r * 0.55, o.heading, o.heading + Math.PI * (0.6 + 1.1 * due));
+  ctx.strokeStyle = `rgba(${sp.color.join(", ")}, ${0.35 + 0.5 * due})`;
+  ctx.lineWidth = 0.6 + 0.6 * due;
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawFood(ctx, food) {
+  if (!food.length) return;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(240, 205, 150, 0.75)";
+  for (const g of food) {
+    ctx.beginPath();
+    ctx.arc(g.x, g.y, 1.3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+/* ---------------------------
+   Ripples
+   - { t, cx, cy, maxRadius, rate?, strength? }: reroll pulses and taps; t runs 0..1 over
+     ~17 frames at the default rate; calm motion sends slower, fainter ones
+----------------------------*/
+
+// Advances a ripple one frame; returns this frame's ring.
+function stepRipple(ripple) {
+  ripple.t += ripple.rate ?? 0.06;
+  const p = ripple.t;
+
+  return {
+    radius: lerp(10, ripple.maxRadius, p),
+    alpha: Math.max(0, (ripple.strength ?? 0.12) * (1 - p)),
+  };
+}
+
+// Advances and paints each ripple; returns the ones still running.
+function drawRipples(ctx, ripples) {
+  for (const ripple of ripples) {
+    const { radius, alpha } = stepRipple(ripple);
+
+    ctx.beginPath();
+    ctx.arc(ripple.cx, ripple.cy, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = `rgba(180, 245, 255, ${alpha})`;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  return ripples.filter((r) => r.t < 1);
+}
+
+/* ---------------------------
+   Frame
+----------------------------*/
+
+// The field as it stands at field.now, over the vignette, scene and food, under the ripples.
+// Returns the ripples still running.
+function paintFrame(ctx, field, cfg, bounds, ripples) {
+  ctx.clearRect(0, 0, bounds.width, bounds.height);
+  drawBackgroundVignette(ctx, bounds);
+  drawScene(ctx, sceneLayout(bounds, cfg.scene), field.now);
+  drawBubbles(ctx, field.bubbles);
+  drawFood(ctx, field.food);
+
+  for (const o of field.organisms) {
+    if (!(o.opacity > 0)) continue;
+    if (o.isEgg()) drawEgg(ctx, o, field.now);
+    else drawOrganism(ctx, o, cfg, field.now);
+  }
+
+  return drawRipples(ctx, ripples);
+}
+
+/* ---------------------------
+   Node
+----------------------------*/
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    drawOrganism, drawBackgroundVignette, drawScene, drawBubbles, drawEgg, drawFood, stepRipple, drawRipples, paintFrame,
+  };
+}
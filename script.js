@@ -1,17 +1,23 @@
 /* script.js — Full tank + Zone/Region taxonomy + Orbit (full-tank only) + Center Bias (full-tank only)
    - 4 mood buttons shown (pulled from moods.json, fallback placeholders if empty)
-   - Clicking a mood activates it and respawns immediately
+   - Clicking a mood activates it; by default the running field crossfades into it
+     (see MOOD TRANSITIONS below), otherwise it respawns immediately
    - “reroll emotions” cycles the 4 labels
    - No timeout: simulation stays until user selects a different word
+     (unless EXHIBITION mode is on; see below)
    - Popup tuner (Press T): edits ONLY the currently selected mood slot
-   - Changes are session-only; not persisted
+   - Tuner edits persist to localStorage per label, with undo/redo and
+     "revert to moods.json" (see TUNER PERSISTENCE below)
    - Population changes respawn immediately
 
    ZONES/REGIONS:
    - Each mood may optionally declare:
        zones: ["full", "topLeft", "topRight", "bottomLeft", "bottomRight"]
      You can select 1, 2, 3, or 4 quadrants (or "full").
-   - Organisms are hard-constrained to their assigned region.
+   - Zones can also be shapes in normalized tank coordinates (circle, ring, rect, polygon),
+     e.g. { "shape": "rect", "x": 0, "y": 0.8, "w": 1, "h": 0.2 } (full list: Zones in sim.js).
+     The tuner's zone editor draws them onto a map of the tank.
+   - Organisms are hard-constrained to their assigned region; walls follow the shape.
 
    ORBIT:
    - cfg.orbit: true/false
@@ -23,53 +29,224 @@
    - cfg.centerBias: "none" | "seek" | "avoid"
    - Only available when FULL TANK.
    - Subtle push/pull relative to center.
+
+   MOOD TRANSITIONS:
+   - transitionMode: "crossfade" | "cut" (tuner, global)
+   - crossfade: existing organisms keep swimming while speed/wiggle/shake/sepDistance
+     interpolate to the new mood and their region walls slide to the new zones.
+   - Surplus organisms fade out; missing ones fade in.
+   - cut: old behaviour (throw the field away and respawn).
+
+   TIMELINES:
+   - Optional cfg.keyframes: [{ at: seconds, ease?, ...partial config }] + cfg.keyframeLoop
+   - Evaluated every step in Field.step() (sim.js); zones and population changes reuse the crossfade
+     machinery (walls slide, organisms fade in/out). The tuner can pause and scrub.
+
+   VISITOR WORDS:
+   - A visitor can type one word under the ring.
+   - The word gets a deterministic config: affect lexicon (valence/arousal) when known,
+     otherwise a stable point on the affect plane seeded from the word itself.
+   - It joins MOOD_POOL_NAMES for the session only: VISITOR_WORDS keeps it out of the
+     moods.json export and out of an import's "absent" list.
+
+   MOOD BLENDS:
+   - Shift/Ctrl/Cmd-click a word, or hold it, to add it to the selection (up to MAX_BLEND_WORDS;
+     the oldest drops out) or take it out again. A plain click goes back to one mood.
+   - Blending from "Default" keeps it as the first member; it has no ring word, so it leaves
+     the blend as the oldest one or on a plain click.
+   - The tank runs the weighted average of the selected moods (mixConfigs in sim.js), entered
+     with the usual crossfade. The first word is the one the tuner edits; the tuner's BLEND
+     section sets the weights (session only).
+
+   ACCESSIBILITY:
+   - The word ring is one tab stop (roving focus): arrow keys / Home / End move between words,
+     Enter or Space picks one, Shift+Enter adds it to a blend, R rerolls from anywhere.
+   - An aria-live region (also the canvas's description) says what the active mood looks like,
+     in words built from the config on screen (describeMood); it speaks once a new mood's
+     crossfade has settled.
+   - C (or the footer button) switches to a high-contrast cursor and shows the system cursor;
+     on by default when the OS asks for more contrast. Remembered in localStorage.
+
+   CALM MOTION (reduced motion):
+   - On by default when the OS asks for reduced motion; M or the footer "calm" button toggles it
+     (remembered in localStorage).
+   - field.setCalm() runs every effective config through calmConfig() (sim.js): shake and
+     wiggleSpeed are capped, and the lost tremor becomes a slow shimmer in opacity instead.
+     Speed, zones, flocking, species and the scene are untouched, so moods stay distinct.
+   - Ripples are slower and fainter, and the word ring fades out and in over twice as long.
+   - The tuner, deep links and moods.json always hold the uncalmed values.
+
+   DEEP LINKS:
+   - ?mood=Calm (or Calm,Joyful for a blend, &weights=2,1) starts on that mood instead of "Default";
+     &cfg=… adds tuned values on top (base64url JSON of each mood's keys that differ from moods.json).
+   - The tuner's "Copy link" captures each shown mood's slot from getCfg(), plus the seed, so a
+     curator can send an exact state. Links never write to the tuner history.
+
+   TUNER PERSISTENCE:
+   - localStorage[TUNER_STORAGE_KEY] = { [label]: { revs: [overrides...], at } }
+   - Each revision stores only the keys that differ from the moods.json entry,
+     so untouched keys keep following the file.
+   - A revision is committed when a slider is released or a zone/mode button is clicked.
+   - registerMoodIntoSlotConfigs() layers the current revision over the library entry.
+   - Visitor words keep their undo history for the session but are never written to storage.
+
+   VALIDATION:
+   - Every moods.json entry (and every import) is checked against MOOD_SCHEMA:
+     types, sliderSpec() ranges, zone names, duplicate labels, unknown keys.
+   - Bad fields fall back to DEFAULT_CONFIG, out-of-range numbers are clamped,
+     unknown keys are dropped. Each is listed in the console and in the tuner.
+
+   EXHIBITION MODE:
+   - ?exhibit (or press E) walks through moods on its own, via cycleWords() + activateWord()
+     so the ring animates exactly as if a visitor had clicked.
+   - ?dwell=45        seconds per mood
+   - ?order=random    or "playlist" (library order, or ?playlist=Calm,Joyful,...)
+   - ?playlist=…      alone implies order=playlist; with order=random it draws from the list
+   - ?idle=90         seconds without visitor input before autoplay resumes
+
+   SEED:
+   - All randomness runs through a seeded PRNG and the field steps on a fixed clock,
+     so ?seed=… + a mood reproduces the same spawn positions and motion.
+   - The seed is shown in the tuner meta line; the address bar is left alone, and only a
+     copied link (the tuner's "Copy link") carries ?seed=.
+
+   AUDIO:
+   - The background track loops unless the mood declares its own "audio" cue
+     (src, volume, loop, fadeInMs, fadeOutMs); activateWord() crossfades between them.
+   - A Web Audio layer on top follows the active
+     config (drone per mood, pulse from wiggleSpeed/organismCount, tremolo from
+     shake/shakeSpeed, a soft tone on contacts) and crossfades with the mood.
+   - Both obey the mute button and volume slider.
+
+   FLOCKING:
+   - cfg.alignment / cfg.cohesion (0..1, 0 = off) act on same-region neighbours
+     within cfg.perception px, on top of sepDistance: schooling, clumping, milling.
+
+   POINTER:
+   - cfg.pointerMode: "ignore" | "flee" | "approach" (mouse hover or a finger on the tank)
+   - cfg.pointerRadius: reach in px; a tap scatters organisms within 1.5x that
+     and draws a ripple where the tank was touched.
+
+   SPECIES:
+   - cfg.species: { shrimp: 0.8, adult: 0.2 } mixes the kinds in SPECIES (sim.js); each has its
+     own segment/leg count, size range, colour, speed multiplier and sociability.
+   - The tuner sets each share and shows the live population per species.
+
+   SCENE:
+   - cfg.scene: rocks, plants and bubblers in normalized tank coordinates (see Scene in sim.js);
+     moods without one use TANK_SCENE (a rock, a plant and a bubbler; "scene": [] for none).
+     Organisms steer around them, bubbles lift them gently.
+   - Painted behind the organisms by render.js (WebGL draws the same picture as a texture).
+
+   LIFECYCLE:
+   - cfg.lifeSpeed: life-seconds per second (0 = off). On, the tank starts as eggs that hatch
+     and grow over minutes, then age, fade and die, each replaced by a new egg (Lifecycle in sim.js).
+   - The feed button under the tank scatters a pinch of food near the surface; organisms that
+     sense it steer over and eat it, and fed hatchlings grow faster. Hungry is the mood for it.
+
+   CAPTURE:
+   - V records the tank to WebM; F exports a fixed-dt PNG sequence (.zip).
+   - Length is set in the tuner: N seconds, or one full mood cycle.
+
+   WORKER RENDERING:
+   - ?worker moves stepping + painting to worker.js on an OffscreenCanvas, so word fades
+     and the tuner stay smooth on slow machines. Painting is shared (render.js).
+   - Falls back to the main thread when OffscreenCanvas is missing or the worker fails.
+
+   RENDERER:
+   - G (or the tuner) switches between canvas 2D (render.js) and WebGL2 (render-gl.js),
+     which draws every body and leg as instanced geometry and can add bloom and caustics.
+   - ?renderer=webgl&effects=bloom,caustics starts that way; no WebGL2 falls back to 2D.
+   - Works with ?worker too: the worker paints with whichever renderer is picked.
+
+   SIMULATION CORE:
+   - sim.js (loaded first) holds zones, organism physics, crossfades and timelines
+     with no DOM access; this file owns the canvas, moods, tuner and UI and drives
+     one Field instance (see the top of sim.js). Tests: npm test
+   - render.js (loaded second) paints a Field onto a 2D context, here or in worker.js;
+     render-gl.js (third) does the same with WebGL2.
+   - Neighbour forces use a spatial hash, so populations run up to MAX_ORGANISMS (sim.js).
+     Frame time against count: node bench/neighbors.js
 */
 
 const WORD_POOL = ["Slot 1", "Slot 2", "Slot 3", "Slot 4"];
 const WORDS_PER_SET = 4;
 
-/* Default visual constants */
-const ORGANISM_LENGTH = 20;
-const ORGANISM_THICKNESS = 4;
-const ORGANISM_LEG_LEN = 6;
-
-/* Tank margin (usable bounds) */
-const INNER_MARGIN = 0.10;
-
-/* Turning */
-const MAX_TURN_PER_FRAME = 0.020;
-const HEADING_FOLLOW = 0.10;
-const MIN_SPEED_FOR_HEADING = 0.04;
-
-/* Emergence */
-const RAMP_SECONDS = 1.8;
-const TARGET_OPACITY = 0.92;
-const GROW_FROM = 0.62;
+/* Mood crossfade */
+const MOOD_TRANSITION_SECONDS = 3.2;
+
+/* Exhibition mode defaults (URL params override) */
+const EXHIBIT_DWELL_SECONDS = 45;
+const EXHIBIT_IDLE_SECONDS = 90;
+
+/* Generative audio (levels are relative to the volume slider) */
+const GEN_AUDIO_LEVEL = 0.6;
+const DRONE_LEVEL = 0.16;
+const PULSE_LEVEL = 0.07;
+const CONTACT_LEVEL = 0.045;
+const CONTACT_TONES_PER_SECOND = 5;
+const AUDIO_TICK_MS = 50;
+const AUDIO_LOOKAHEAD_SECONDS = 0.15;
+
+/* Capture (V: WebM, F: PNG sequence) */
+const CAPTURE_SECONDS = 10;       // default length; 0 in the tuner = one mood cycle
+const CAPTURE_FPS = 30;           // PNG sequence frame rate (sim steps at 60)
+const CAPTURE_MAX_FRAMES = 1800;
+
+// Decor for every mood that declares no "scene" of its own (see SCENE above);
+// a mood with "scene": [] keeps an empty tank.
+const TANK_SCENE = [
+  { type: "rock", x: 0.14, r: 0.06 },
+  { type: "plant", x: 0.24, height: 0.3 },
+  { type: "bubbler", x: 0.86, rate: 1 },
+];
+
+/* Mood blends: words selected at once, and how long a press on a word adds it */
+const MAX_BLEND_WORDS = 3;
+const WORD_HOLD_MS = 450;
 
 /* “More…” transition */
 const MORE_FADE_OUT_MS = 650;
 const MORE_SWAP_DELAY_MS = 740;
 
-/* Ripple pulse */
-let ripple = null;
+/* Calm motion: word fades stretch by this much; ripples grow slower, fainter and smaller */
+const CALM_FADE_SCALE = 2;
+const CALM_RIPPLE = { rate: 0.025, strength: 0.06, radiusScale: 0.6 };
+
+/* Ripple pulses (reroll: centered; taps: where the tank was touched) */
+let ripples = [];
 
 let MOOD_LIBRARY = [];
 let MOOD_POOL_NAMES = [];
 let currentMoodOffers = [];
 
+/* Problems found in moods.json at load: [{ label, field, action, message }] */
+let MOOD_VALIDATION_REPORT = [];
+
+/* Visitor-submitted labels (session only): skipped by the moods.json export and import diff */
+const VISITOR_WORDS = new Set();
+const VISITOR_WORD_MAX = 32;
+
 /* ---------------------------
    DOM
 ----------------------------*/
 
 const wordRing = document.getElementById("wordRing");
 const needMoreBtn = document.getElementById("needMoreBtn");
+const visitorWordForm = document.getElementById("visitorWordForm");
+const visitorWordInput = document.getElementById("visitorWordInput");
+const feedBtn = document.getElementById("feedBtn");
 
 const titleEl = document.getElementById("pageTitle");
 const aboutEl = document.getElementById("about");
 const softCursor = document.getElementById("softCursor");
+const moodDescriptionEl = document.getElementById("moodDescription");
+const cursorBtn = document.getElementById("cursorBtn");
+const calmBtn = document.getElementById("calmBtn");
 
-const canvas = document.getElementById("tankCanvas");
-const ctx = canvas.getContext("2d");
+let canvas = document.getElementById("tankCanvas");
+// 2D context while render.js paints here; null under WebGL or the worker (see RENDERER)
+let ctx = null;
 
 /* Audio DOM */
 const muteBtn = document.getElementById("muteBtn");
@@ -78,30 +255,53 @@ const volumeSlider = document.getElementById("volumeSlider");
 /* (Optional) old overlay tuner DOM exists in HTML; we ignore it. */
 const tunerEl = document.getElementById("tuner");
 
+// Capture progress (recording / frame export)
+const captureStatusEl = document.getElementById("captureStatus");
+
 /* ---------------------------
    Globals
 ----------------------------*/
 
 let uiSelectedWord = null;   // selected mood label (or "Default")
-let simulationSlot = null;   // which mood currently drives the simulation
+let simulationSlot = null;   // which mood currently drives the simulation (the one the tuner edits)
 
-let organisms = [];
-let activationStart = 0;
+/* Words blended together (see MOOD BLENDS); one or none = a single mood */
+let blendWords = [];
+const blendWeights = Object.create(null);   // label -> weight (session only)
+
+/* The simulation (sim.js): organisms, sim clock, crossfade, wall slide, timeline clock.
+   A WorkerField stand-in when the worker owns it (see WORKER RENDERING). */
+let field = new Field();
+
+let transitionMode = "crossfade"; // "crossfade" | "cut"
+let transitionSeconds = MOOD_TRANSITION_SECONDS;
 
 let isCyclingWords = false;
 let hasInitialized = false;
 
-/* Orbit runtime (global drift / slow direction flips) */
-let orbitDir = 1;       // +1 or -1
-let orbitDirTarget = 1;
-let orbitDirTimer = 0;
+/* Simulation clock + seeded randomness (see Seeded randomness) */
+let simAccumulator = 0;
+let simSeed = "";
+let uiRng = Math.random;   // offers, exhibition order (the field has its own stream)
 
 /* ---------------------------
    Background Audio System
+   - One looping file plays by default (AUDIO_SRC)
+   - A mood may declare its own cue in moods.json:
+       "audio": { "src": "assets/lullaby.m4a", "volume": 0.8, "loop": true, "fadeInMs": 2000, "fadeOutMs": 1500 }
+     activateWord() crossfades to it; moods without one fall back to AUDIO_SRC,
+     and so does a non-looping cue once it ends.
+   - volume is relative to the slider; mute + slider state live in audioState
 ----------------------------*/
 
 const AUDIO_SRC = "assets/background.m4a";
-let bgAudio = null;
+const TRACK_FADE_MS = 1500;
+
+let audioState = null;      // { volume, muted } from loadAudioPrefs(), changed by the footer controls
+let audioUnlocked = false;  // browsers only allow play() after a visitor gesture
+let activeTrack = null;     // { spec, el, fade, fadeFrom, fadeTo, fadeStart, fadeMs }
+let fadingTracks = [];      // outgoing tracks, removed once silent
+let trackTimer = null;
 
 function loadAudioPrefs() {
   return null; // always treat as first visit
@@ -112,58 +312,377 @@ function saveAudioPrefs() {
 }
 
 function ensureAudio() {
-  if (bgAudio) return bgAudio;
-
-  bgAudio = new Audio(AUDIO_SRC);
-  bgAudio.loop = true;
-  bgAudio.preload = "auto";
+  if (audioState) return audioState;
 
   const prefs = loadAudioPrefs();
-  bgAudio.volume = prefs && typeof prefs.volume === "number" ? prefs.volume : 0.35;
-  bgAudio.muted = !!(prefs && prefs.muted);
+  audioState = {
+    volume: prefs && typeof prefs.volume === "number" ? prefs.volume : 0.35,
+    muted: !!(prefs && prefs.muted),
+  };
+
+  if (volumeSlider) volumeSlider.value = String(audioState.volume);
+  if (muteBtn) muteBtn.textContent = audioState.muted ? "unmute" : "mute";
+
+  return audioState;
+}
+
+// What should be playing for cfg: its own cue, else the background.
+function trackSpecFor(cfg) {
+  const cue = cfg && cfg.audio && typeof cfg.audio.src === "string" && cfg.audio.src.trim() ? cfg.audio : null;
+  const src = cue ? cue.src.trim() : AUDIO_SRC;
+  const own = cue || {};
+
+  return {
+    src,
+    volume: own.volume ?? 1,
+    loop: own.loop ?? true,
+    fadeInMs: own.fadeInMs ?? TRACK_FADE_MS,
+    fadeOutMs: own.fadeOutMs ?? TRACK_FADE_MS,
+  };
+}
+
+function applyTrackVolume(track) {
+  const state = ensureAudio();
+  track.el.volume = clamp(state.volume * track.spec.volume * track.fade, 0, 1);
+  track.el.muted = state.muted;
+}
+
+function fadeTrack(track, to, ms) {
+  track.fadeFrom = track.fade;
+  track.fadeTo = to;
+  track.fadeStart = performance.now();
+  track.fadeMs = Math.max(0, ms);
+  if (!trackTimer) trackTimer = setInterval(tickTracks, AUDIO_TICK_MS);
+}
+
+function tickTracks() {
+  const now = performance.now();
+  let busy = false;
+
+  for (const track of [activeTrack, ...fadingTracks]) {
+    if (!track) continue;
+    const k = track.fadeMs > 0 ? clamp((now - track.fadeStart) / track.fadeMs, 0, 1) : 1;
+    track.fade = lerp(track.fadeFrom, track.fadeTo, k);
+    applyTrackVolume(track);
+    if (k < 1) busy = true;
+  }
+
+  for (const track of fadingTracks.filter((t) => t.fade <= 0)) {
+    track.el.pause();
+    track.el.removeAttribute("src");
+  }
+  fadingTracks = fadingTracks.filter((t) => t.fade > 0);
+
+  if (!busy) {
+    clearInterval(trackTimer);
+    trackTimer = null;
+  }
+}
+
+function switchTrack(spec) {
+  // Same file (e.g. two moods sharing the background): keep playing, adopt the new level.
+  if (activeTrack && activeTrack.spec.src === spec.src) {
+    activeTrack.spec = spec;
+    activeTrack.el.loop = spec.loop;
+    applyTrackVolume(activeTrack);
+    return;
+  }
+
+  if (activeTrack) {
+    fadingTracks.push(activeTrack);
+    fadeTrack(activeTrack, 0, activeTrack.spec.fadeOutMs);
+  }
+
+  const el = new Audio(spec.src);
+  el.loop = spec.loop;
+  el.preload = "auto";
+
+  const track = { spec, el, fade: 0, fadeFrom: 0, fadeTo: 0, fadeStart: 0, fadeMs: 0 };
+  activeTrack = track;
+  applyTrackVolume(track);
+  fadeTrack(track, 1, spec.fadeInMs);
 
-  if (volumeSlider) volumeSlider.value = String(bgAudio.volume);
-  if (muteBtn) muteBtn.textContent = bgAudio.muted ? "unmute" : "mute";
+  // A one-shot cue hands back to the background; a missing file does too.
+  el.addEventListener("ended", () => {
+    if (activeTrack === track) switchTrack(trackSpecFor(null));
+  });
+  el.addEventListener("error", () => {
+    if (spec.src === AUDIO_SRC) return;
+    console.warn(`Could not play mood audio "${spec.src}"; using the background track.`);
+    if (activeTrack === track) switchTrack(trackSpecFor(null));
+  });
+
+  if (audioUnlocked) el.play().catch(() => {});
+}
 
-  bgAudio.addEventListener("volumechange", saveAudioPrefs);
-  return bgAudio;
+function updateMoodTrack() {
+  switchTrack(trackSpecFor(getActiveConfig()));
 }
 
 function startAudioFromGesture() {
-  const a = ensureAudio();
-  a.play().catch(() => {});
+  ensureAudio();
+  audioUnlocked = true;
+
+  if (!activeTrack) updateMoodTrack();
+  else activeTrack.el.play().catch(() => {});
+
+  const g = ensureGenAudio();
+  if (g && g.ctx.state === "suspended") g.ctx.resume().catch(() => {});
+
   window.removeEventListener("pointerdown", startAudioFromGesture, true);
   window.removeEventListener("keydown", startAudioFromGesture, true);
 }
 
+function syncTrackVolumes() {
+  for (const track of [activeTrack, ...fadingTracks]) {
+    if (track) applyTrackVolume(track);
+  }
+  syncGenAudioVolume();
+}
+
 function setupAudio() {
+  ensureAudio();
   window.addEventListener("pointerdown", startAudioFromGesture, true);
   window.addEventListener("keydown", startAudioFromGesture, true);
 
   if (volumeSlider) {
     volumeSlider.addEventListener("input", (e) => {
-      const a = ensureAudio();
+      const state = ensureAudio();
       const v = parseFloat(e.target.value);
-      a.volume = Number.isFinite(v) ? v : 0.35;
+      state.volume = Number.isFinite(v) ? v : 0.35;
 
-      if (a.volume > 0 && a.muted) {
-        a.muted = false;
+      if (state.volume > 0 && state.muted) {
+        state.muted = false;
         if (muteBtn) muteBtn.textContent = "mute";
       }
+      syncTrackVolumes();
       saveAudioPrefs();
     });
   }
 
   if (muteBtn) {
     muteBtn.addEventListener("click", () => {
-      const a = ensureAudio();
-      a.muted = !a.muted;
-      muteBtn.textContent = a.muted ? "unmute" : "mute";
+      const state = ensureAudio();
+      state.muted = !state.muted;
+      muteBtn.textContent = state.muted ? "unmute" : "mute";
+      syncTrackVolumes();
       saveAudioPrefs();
     });
   }
 }
 
+/* ---------------------------
+   Generative audio (Web Audio)
+   - Sits on top of the background track, behind the same mute button + volume slider
+   - Drone: root + fifth per mood; crossfades over transitionSeconds when the mood
+     changes (cut mode: a short fade). Brightness follows maxSpeed.
+   - Pulse: soft plucks at a tempo set by wiggleSpeed; how many beats sound follows organismCount
+   - Tremolo: depth from shake, rate from shakeSpeed
+   - Contact: a quiet tone, panned to where two organisms came within sepDistance
+   - Reads effectiveConfig(), so crossfades and timelines are heard as they are seen
+----------------------------*/
+
+const PENTATONIC = {
+  major: [0, 2, 4, 7, 9],
+  minor: [0, 3, 5, 7, 10],
+};
+
+const genAudio = {
+  ctx: null,
+  master: null,       // volume slider / mute
+  tremolo: null,      // gain wobbled by lfo
+  lfo: null,
+  lfoDepth: null,
+  layer: null,        // drone for the current mood: { label, tonality, gain, filter, oscs }
+  nextBeat: 0,
+  lastContactAt: 0,
+  rng: Math.random,
+  timer: null,
+};
+
+// Stable per label, so a mood always sounds in the same key.
+function moodTonality(label) {
+  const h = hashString(`tonality|${label}`);
+  return {
+    root: 45 + (h % 12),   // MIDI A2..G#3
+    scale: (h >>> 4) & 1 ? PENTATONIC.minor : PENTATONIC.major,
+  };
+}
+
+function midiToHz(m) {
+  return 440 * Math.pow(2, (m - 69) / 12);
+}
+
+function scaleNote(tonality, degree, octave) {
+  const s = tonality.scale;
+  const i = ((degree % s.length) + s.length) % s.length;
+  return midiToHz(tonality.root + 12 * (octave + Math.floor(degree / s.length)) + s[i]);
+}
+
+function genAudioLevel() {
+  const state = ensureAudio();
+  return state.muted ? 0 : state.volume * GEN_AUDIO_LEVEL;
+}
+
+function syncGenAudioVolume() {
+  const g = genAudio;
+  if (!g.ctx) return;
+  g.master.gain.setTargetAtTime(genAudioLevel(), g.ctx.currentTime, 0.05);
+}
+
+function ensureGenAudio() {
+  const g = genAudio;
+  if (g.ctx) return g;
+
+  const AC = window.AudioContext || window.webkitAudioContext;
+  if (!AC) return null;
+
+  const ctx = new AC();
+  g.ctx = ctx;
+  g.rng = mulberry32(hashString(`${simSeed}|audio`));
+
+  g.master = ctx.createGain();
+  g.master.gain.value = genAudioLevel();
+  g.master.connect(ctx.destination);
+
+  g.tremolo = ctx.createGain();
+  g.tremolo.gain.value = 1;
+  g.tremolo.connect(g.master);
+
+  g.lfo = ctx.createOscillator();
+  g.lfo.frequency.value = 4;
+  g.lfoDepth = ctx.createGain();
+  g.lfoDepth.gain.value = 0;
+  g.lfo.connect(g.lfoDepth);
+  g.lfoDepth.connect(g.tremolo.gain);
+  g.lfo.start();
+
+  g.nextBeat = ctx.currentTime + 0.1;
+  g.timer = setInterval(genAudioTick, AUDIO_TICK_MS);
+  return g;
+}
+
+function droneCutoff(cfg) {
+  return 260 + clamp(cfg.maxSpeed ?? 0.2, 0, 4) * 420;
+}
+
+function buildDroneLayer(label, cfg) {
+  const ctx = genAudio.ctx;
+  const tonality = moodTonality(label);
+
+  const gain = ctx.createGain();
+  gain.gain.value = 0;
+  gain.connect(genAudio.tremolo);
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = droneCutoff(cfg);
+  filter.Q.value = 0.7;
+  filter.connect(gain);
+
+  // Degree 3 of both pentatonics is the fifth
+  const oscs = [0, 3].map((degree, i) => {
+    const osc = ctx.createOscillator();
+    osc.type = i ? "sine" : "triangle";
+    osc.frequency.value = scaleNote(tonality, degree, 0);
+    osc.detune.value = i ? 4 : -4;
+    osc.connect(filter);
+    osc.start();
+    return osc;
+  });
+
+  return { label, tonality, gain, filter, oscs };
+}
+
+function crossfadeDrone(label, cfg) {
+  const g = genAudio;
+  const now = g.ctx.currentTime;
+  const fade = transitionMode === "crossfade" ? transitionSeconds : 0.4;
+
+  const old = g.layer;
+  if (old) {
+    old.gain.gain.cancelScheduledValues(now);
+    old.gain.gain.setValueAtTime(old.gain.gain.value, now);
+    old.gain.gain.linearRampToValueAtTime(0, now + fade);
+    old.oscs.forEach((o) => o.stop(now + fade + 0.1));
+    setTimeout(() => old.gain.disconnect(), (fade + 0.3) * 1000);
+  }
+
+  const layer = buildDroneLayer(label, cfg);
+  layer.gain.gain.setValueAtTime(0, now);
+  layer.gain.gain.linearRampToValueAtTime(DRONE_LEVEL, now + fade);
+  g.layer = layer;
+}
+
+function pluck(freq, time, decay, level, pan) {
+  const ctx = genAudio.ctx;
+
+  const osc = ctx.createOscillator();
+  osc.type = "sine";
+  osc.frequency.value = freq;
+
+  const env = ctx.createGain();
+  env.gain.setValueAtTime(0, time);
+  env.gain.linearRampToValueAtTime(level, time + 0.012);
+  env.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+  osc.connect(env);
+
+  let out = env;
+  if (ctx.createStereoPanner) {
+    out = ctx.createStereoPanner();
+    out.pan.value = pan;
+    env.connect(out);
+  }
+  out.connect(genAudio.tremolo);
+
+  osc.start(time);
+  osc.stop(time + decay + 0.05);
+}
+
+function genAudioTick() {
+  const g = genAudio;
+  if (!g.ctx || g.ctx.state !== "running") return;
+
+  const cfg = effectiveConfig();
+  const now = g.ctx.currentTime;
+
+  const label = currentSlotName();
+  if (!g.layer || g.layer.label !== label) crossfadeDrone(label, cfg);
+  g.layer.filter.frequency.setTargetAtTime(droneCutoff(cfg), now, 0.3);
+
+  // Tremolo (shake 0 = steady)
+  const depth = clamp((cfg.shake ?? 0) / 1.5, 0, 0.9) * 0.5;
+  g.tremolo.gain.setTargetAtTime(1 - depth, now, 0.1);
+  g.lfoDepth.gain.setTargetAtTime(depth, now, 0.1);
+  g.lfo.frequency.setTargetAtTime(1 + (cfg.shakeSpeed ?? 40) * 0.1, now, 0.2);
+
+  // Pulse: schedule slightly ahead so timer jitter never reaches the ear
+  const wiggleSpeed = clamp(cfg.wiggleSpeed ?? 0.85, 0, 3.5);
+  const beatsPerSec = 0.4 + wiggleSpeed * 0.7;
+  const decay = lerp(1.6, 0.35, wiggleSpeed / 3.5);
+  const density = Math.min(1, populationFor(cfg) / 40);
+
+  if (g.nextBeat < now) g.nextBeat = now + 0.05; // after a stall (hidden tab)
+  while (g.nextBeat < now + AUDIO_LOOKAHEAD_SECONDS) {
+    if (g.rng() < 0.15 + 0.85 * density) {
+      const degree = Math.floor(g.rng() * 7);
+      pluck(scaleNote(g.layer.tonality, degree, 1), g.nextBeat, decay, PULSE_LEVEL, 0);
+    }
+    g.nextBeat += 1 / beatsPerSec;
+  }
+
+  // Contacts (rate-limited: a crowded mood should shimmer, not clatter)
+  const bounds = getBounds();
+  for (const c of field.drainContacts()) {
+    if (now - g.lastContactAt < 1 / CONTACT_TONES_PER_SECOND) continue;
+    g.lastContactAt = now;
+
+    const pan = clamp((c.x - bounds.cx) / (bounds.width * 0.5 || 1), -1, 1) * 0.8;
+    const degree = Math.floor(g.rng() * 5);
+    pluck(scaleNote(g.layer.tonality, degree, 2), now + 0.01, 0.5, CONTACT_LEVEL, pan);
+  }
+}
+
 async function loadMoodLibrary() {
   try {
     const res = await fetch("moods.json", { cache: "no-store" });
@@ -171,10 +690,10 @@ async function loadMoodLibrary() {
     const data = await res.json();
     if (!Array.isArray(data)) throw new Error("moods.json must be a JSON array");
 
-    MOOD_LIBRARY = data
-      .filter((m) => m && typeof m === "object")
-      .filter((m) => typeof m.label === "string" && m.label.trim().length)
-      .filter((m) => m.label.trim().toLowerCase() !== "default");
+    const { entries, issues } = validateMoodList(data);
+    MOOD_LIBRARY = entries;
+    MOOD_VALIDATION_REPORT = issues;
+    logValidationReport(issues, "moods.json");
 
     MOOD_POOL_NAMES = MOOD_LIBRARY.map((m) => m.label.trim());
   } catch (err) {
@@ -188,20 +707,11 @@ async function loadMoodLibrary() {
    Words rotation
 ----------------------------*/
 
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
 function pickNextSet(excludeLabel = null) {
   const uniqueAll = Array.from(new Set(MOOD_POOL_NAMES));
   const pool = excludeLabel ? uniqueAll.filter((n) => n !== excludeLabel) : uniqueAll.slice();
   if (!pool.length) return [];
-  return shuffle(pool).slice(0, WORDS_PER_SET);
+  return shuffle(pool, uiRng).slice(0, WORDS_PER_SET);
 }
 
 /* ---------------------------
@@ -224,223 +734,427 @@ window.addEventListener("mouseleave", () => {
   softCursor.style.opacity = "0";
 });
 
+// High-contrast mode: a bold ring over the system cursor (see ACCESSIBILITY).
+const CURSOR_STORAGE_KEY = "seaMonkey.contrastCursor.v1";
+
+function loadContrastCursor() {
+  try {
+    const saved = localStorage.getItem(CURSOR_STORAGE_KEY);
+    if (saved !== null) return saved === "1";
+  } catch {
+    // storage blocked: fall through to the OS preference
+  }
+  return !!(window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches);
+}
+
+function setContrastCursor(on) {
+  document.body.classList.toggle("contrastCursor", on);
+  if (cursorBtn) cursorBtn.setAttribute("aria-pressed", String(on));
+  try {
+    localStorage.setItem(CURSOR_STORAGE_KEY, on ? "1" : "0");
+  } catch {
+    // storage blocked: the setting lasts for this visit
+  }
+}
+
+function toggleContrastCursor() {
+  setContrastCursor(!document.body.classList.contains("contrastCursor"));
+}
+
+/* ---------------------------
+   Calm motion (see CALM MOTION)
+----------------------------*/
+
+const CALM_STORAGE_KEY = "seaMonkey.calmMotion.v1";
+const reducedMotionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+let calmMotion = false;
+
+function savedCalmMotion() {
+  try {
+    const saved = localStorage.getItem(CALM_STORAGE_KEY);
+    return saved === null ? null : saved === "1";
+  } catch {
+    return null;
+  }
+}
+
+function setCalmMotion(on, remember = true) {
+  calmMotion = on;
+  field.setCalm(on);
+  document.body.classList.toggle("calmMotion", on);
+  if (calmBtn) calmBtn.setAttribute("aria-pressed", String(on));
+  if (simulationSlot) scheduleMoodAnnouncement();
+
+  if (!remember) return;
+  try {
+    localStorage.setItem(CALM_STORAGE_KEY, on ? "1" : "0");
+  } catch {
+    // storage blocked: the setting lasts for this visit
+  }
+}
+
+function toggleCalmMotion() {
+  setCalmMotion(!calmMotion);
+}
+
+function setupCalmMotion() {
+  const saved = savedCalmMotion();
+  setCalmMotion(saved ?? !!(reducedMotionQuery && reducedMotionQuery.matches), false);
+
+  // Follow the OS setting until the visitor picks one here.
+  if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+    reducedMotionQuery.addEventListener("change", (e) => {
+      if (savedCalmMotion() === null) setCalmMotion(e.matches, false);
+    });
+  }
+  if (calmBtn) calmBtn.addEventListener("click", toggleCalmMotion);
+}
+
+// UI timings stretched for calm motion.
+function calmMs(ms) {
+  return calmMotion ? ms * CALM_FADE_SCALE : ms;
+}
+
 /* ---------------------------
    About Toggle
 ----------------------------*/
 
 if (titleEl && aboutEl) {
-  titleEl.addEventListener("click", () => {
-    aboutEl.classList.toggle("open");
+  const toggleAbout = () => {
+    const open = aboutEl.classList.toggle("open");
+    titleEl.setAttribute("aria-expanded", String(open));
+  };
+
+  titleEl.addEventListener("click", toggleAbout);
+  titleEl.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    e.preventDefault();
+    toggleAbout();
   });
 }
 
 /* ---------------------------
-   Zones / Regions
+   Slot settings
 ----------------------------*/
 
-const ZONES = Object.freeze({
-  full: "full",
-  topLeft: "topLeft",
-  topRight: "topRight",
-  bottomLeft: "bottomLeft",
-  bottomRight: "bottomRight",
-});
-
-const REGION = Object.freeze({
-  full: "full",
-  top: "top",
-  bottom: "bottom",
-  left: "left",
-  right: "right",
-  topLeft: "topLeft",
-  topRight: "topRight",
-  bottomLeft: "bottomLeft",
-  bottomRight: "bottomRight",
-});
+// Keys a mood block carries, in moods.json order.
+const MOOD_KEYS = [
+  "maxSpeed", "wiggle", "wiggleSpeed",
+  "shake", "shakeSpeed",
+  "organismCount", "sepDistance",
+  "alignment", "cohesion", "perception",
+  "zones",
+  "orbit",
+  "centerBias",
+  "keyframes",
+  "keyframeLoop",
+  "pointerMode", "pointerRadius",
+  "species",
+  "scene",
+  "lifeSpeed",
+  "audio",
+];
+
+// DEFAULT_CONFIG with the tank-wide scene; a mood's own keys go on top.
+function baseMoodConfig() {
+  return { ...DEFAULT_CONFIG, scene: normalizeScene(TANK_SCENE) };
+}
 
-function normalizeZones(zones) {
-  if (!Array.isArray(zones) || zones.length === 0) return [ZONES.full];
+const SLOT_CONFIGS = Object.create(null);
+SLOT_CONFIGS["Default"] = baseMoodConfig();
 
-  const out = [];
-  for (const z of zones) {
-    if (typeof z !== "string") continue;
-    const key = z.trim();
-    if (key in ZONES) out.push(key);
-  }
-  return out.length ? Array.from(new Set(out)) : [ZONES.full];
+function getCfg(slot) {
+  if (!SLOT_CONFIGS[slot]) SLOT_CONFIGS[slot] = baseMoodConfig();
+  return normalizeSlotCfg(SLOT_CONFIGS[slot]);
 }
 
-function zoneToMask(z) {
-  switch (z) {
-    case ZONES.topLeft: return 1;
-    case ZONES.topRight: return 2;
-    case ZONES.bottomLeft: return 4;
-    case ZONES.bottomRight: return 8;
-    case ZONES.full: return 15;
-    default: return 0;
-  }
+// The mood as moods.json defines it (no tuner overrides). null if unknown.
+function fileConfigFor(label) {
+  if (label === "Default") return baseMoodConfig();
+
+  const m = MOOD_LIBRARY.find((x) => (x.label || "").trim() === label);
+  if (!m) return null;
+
+  const cfg = { ...baseMoodConfig(), ...m };
+  delete cfg.label;
+  return normalizeSlotCfg(cfg);
 }
 
-function boundsForRegion(fullBounds, id) {
-  const midX = fullBounds.cx;
-  const midY = fullBounds.cy;
+function registerMoodIntoSlotConfigs(label) {
+  const base = fileConfigFor(label);
+  if (!base) return;
 
-  let minX = fullBounds.minX, maxX = fullBounds.maxX;
-  let minY = fullBounds.minY, maxY = fullBounds.maxY;
+  SLOT_CONFIGS[label] = normalizeSlotCfg({ ...base, ...cloneMoodValues(savedOverrides(label)) });
+}
 
-  switch (id) {
-    case REGION.full:
-      break;
+/* ---------------------------
+   Tuner persistence + revisions
+----------------------------*/
 
-    case REGION.top:
-      maxY = midY;
-      break;
-    case REGION.bottom:
-      minY = midY;
-      break;
-    case REGION.left:
-      maxX = midX;
-      break;
-    case REGION.right:
-      minX = midX;
-      break;
+const TUNER_STORAGE_KEY = "seaMonkey.tuner.v1";
+const MAX_REVISIONS = 24;
 
-    case REGION.topLeft:
-      maxX = midX; maxY = midY;
-      break;
-    case REGION.topRight:
-      minX = midX; maxY = midY;
-      break;
-    case REGION.bottomLeft:
-      maxX = midX; minY = midY;
-      break;
-    case REGION.bottomRight:
-      minX = midX; minY = midY;
-      break;
+let tunerStore = loadTunerStore();
+
+function loadTunerStore() {
+  try {
+    const data = JSON.parse(localStorage.getItem(TUNER_STORAGE_KEY) || "null");
+    return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
   }
+}
 
-  const cx = (minX + maxX) * 0.5;
-  const cy = (minY + maxY) * 0.5;
-  const area = Math.max(0, (maxX - minX) * (maxY - minY));
+function saveTunerStore() {
+  try {
+    // Visitor words last one session, so their histories stay in memory only.
+    const kept = Object.fromEntries(Object.entries(tunerStore).filter(([label]) => !VISITOR_WORDS.has(label)));
+    localStorage.setItem(TUNER_STORAGE_KEY, JSON.stringify(kept));
+  } catch {
+    // storage blocked or full: edits stay session-only
+  }
+}
 
-  return { id, minX, maxX, minY, maxY, cx, cy, width: fullBounds.width, height: fullBounds.height, area };
+function cloneMoodValues(obj) {
+  const out = {};
+  for (const k of Object.keys(obj || {})) out[k] = Array.isArray(obj[k]) ? obj[k].slice() : obj[k];
+  return out;
 }
 
-function computeRegionsFromZones(fullBounds, zonesArray) {
-  const zones = normalizeZones(zonesArray);
+function sameMoodValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
 
-  // If "full" present, treat as full regardless of other items.
-  if (zones.includes(ZONES.full)) {
-    return [boundsForRegion(fullBounds, REGION.full)];
+// Only the keys where cfg departs from the file version.
+function overridesAgainstFile(label, cfg) {
+  const file = fileConfigFor(label) || baseMoodConfig();
+  const out = {};
+  for (const k of MOOD_KEYS) {
+    if (!sameMoodValue(cfg[k], file[k])) out[k] = Array.isArray(cfg[k]) ? cfg[k].slice() : cfg[k];
   }
+  return out;
+}
+
+function moodHistory(label) {
+  const h = tunerStore[label];
+  if (!h || !Array.isArray(h.revs) || !h.revs.length) return null;
+  h.at = clamp(Math.round(h.at ?? h.revs.length - 1), 0, h.revs.length - 1);
+  return h;
+}
 
-  let mask = 0;
-  for (const z of zones) mask |= zoneToMask(z);
+function savedOverrides(label) {
+  const h = moodHistory(label);
+  return h ? h.revs[h.at] : null;
+}
 
-  // All four => full
-  if ((mask & 15) === 15) {
-    return [boundsForRegion(fullBounds, REGION.full)];
-  }
+function commitRevision(label) {
+  const next = overridesAgainstFile(label, getCfg(label));
 
-  const regions = [];
+  // Revision 0 is always the file version, so the first undo lands on moods.json.
+  const h = moodHistory(label) || { revs: [{}], at: 0 };
+  if (sameMoodValue(h.revs[h.at], next)) return;
 
-  // Prefer bigger merges first: top/bottom, then left/right, then leftovers.
-  if ((mask & 3) === 3) { // TL+TR
-    regions.push(boundsForRegion(fullBounds, REGION.top));
-    mask &= ~3;
-  }
-  if ((mask & 12) === 12) { // BL+BR
-    regions.push(boundsForRegion(fullBounds, REGION.bottom));
-    mask &= ~12;
-  }
-  if ((mask & 5) === 5) { // TL+BL
-    regions.push(boundsForRegion(fullBounds, REGION.left));
-    mask &= ~5;
-  }
-  if ((mask & 10) === 10) { // TR+BR
-    regions.push(boundsForRegion(fullBounds, REGION.right));
-    mask &= ~10;
-  }
+  h.revs = h.revs.slice(0, h.at + 1);
+  h.revs.push(next);
+  if (h.revs.length > MAX_REVISIONS) h.revs.splice(0, h.revs.length - MAX_REVISIONS);
+  h.at = h.revs.length - 1;
+
+  tunerStore[label] = h;
+  saveTunerStore();
+}
+
+function canStepRevision(label, dir) {
+  const h = moodHistory(label);
+  if (!h) return false;
+  const at = h.at + dir;
+  return at >= 0 && at < h.revs.length;
+}
+
+function stepRevision(label, dir) {
+  if (!canStepRevision(label, dir)) return false;
 
-  // Remaining quadrants (diagonals and leftovers remain separate)
-  if (mask & 1) regions.push(boundsForRegion(fullBounds, REGION.topLeft));
-  if (mask & 2) regions.push(boundsForRegion(fullBounds, REGION.topRight));
-  if (mask & 4) regions.push(boundsForRegion(fullBounds, REGION.bottomLeft));
-  if (mask & 8) regions.push(boundsForRegion(fullBounds, REGION.bottomRight));
+  const h = moodHistory(label);
+  h.at += dir;
+  saveTunerStore();
 
-  return regions.length ? regions : [boundsForRegion(fullBounds, REGION.full)];
+  const base = fileConfigFor(label) || baseMoodConfig();
+  SLOT_CONFIGS[label] = normalizeSlotCfg({ ...base, ...cloneMoodValues(h.revs[h.at]) });
+  return true;
 }
 
-function isFullTankFromRegions(regions) {
-  return regions && regions.length === 1 && regions[0].id === REGION.full;
+// Recorded as a new revision, so it can be undone like any other edit.
+function revertToFile(label) {
+  SLOT_CONFIGS[label] = fileConfigFor(label) || baseMoodConfig();
+  commitRevision(label);
+}
+
+function differsFromFile(label) {
+  return Object.keys(overridesAgainstFile(label, getCfg(label))).length > 0;
 }
 
 /* ---------------------------
-   Slot settings
+   Library export / import
 ----------------------------*/
 
-const DEFAULT_CONFIG = {
-  // BODY MOVEMENT
-  maxSpeed: 0.2,
-  wiggle: 0.75,
-  wiggleSpeed: 0.85,
+// A zone as moods.json writes it: "bottomLeft", or a one-line shape object.
+function formatZone(z) {
+  if (typeof z === "string") return `"${z}"`;
+
+  const num = (n) => +n.toFixed(3);
+  const fields = Object.keys(z).map((k) => {
+    if (k === "shape") return `"shape": "${z.shape}"`;
+    if (k === "points") return `"points": [${z.points.map((p) => `[${num(p[0])}, ${num(p[1])}]`).join(", ")}]`;
+    return `"${k}": ${num(z[k])}`;
+  });
+  return `{ ${fields.join(", ")} }`;
+}
 
-  // BODY MOVEMENT (Shake)
-  shake: 0.0,
-  shakeSpeed: 40,
+function formatMoodValue(k, v) {
+  if (k === "zones") {
+    const z = normalizeZones(v);
+    return `[${z.map(formatZone).join(", ")}]`;
+  }
+  if (k === "orbit") return v ? "true" : "false";
+  if (k === "centerBias") return `"${normalizeCenterBias(v)}"`;
+  if (k === "pointerMode") return `"${normalizePointerMode(v)}"`;
+  if (k === "species") {
+    const mix = normalizeSpeciesMix(v);
+    return `{ ${Object.keys(mix).map((id) => `"${id}": ${+mix[id].toFixed(3)}`).join(", ")} }`;
+  }
+  if (k === "audio") {
+    const fields = AUDIO_CUE_KEYS.filter((kk) => v[kk] !== undefined).map((kk) => `"${kk}": ${JSON.stringify(v[kk])}`);
+    return `{ ${fields.join(", ")} }`;
+  }
+  if (k === "scene") {
+    const rows = normalizeScene(v).map((item) => {
+      const fields = Object.keys(item).map((kk) => `"${kk}": ${typeof item[kk] === "number" ? +item[kk].toFixed(3) : JSON.stringify(item[kk])}`);
+      return `    { ${fields.join(", ")} }`;
+    });
+    return rows.length ? `[\n${rows.join(",\n")}\n  ]` : "[]";
+  }
+  if (k === "keyframes") {
+    const rows = (v || []).map((kf) => {
+      const fields = Object.keys(kf).map((kk) => `"${kk}": ${formatMoodValue(kk, kf[kk])}`);
+      return `    { ${fields.join(", ")} }`;
+    });
+    return `[\n${rows.join(",\n")}\n  ]`;
+  }
+  if (typeof v === "string") return JSON.stringify(v);
+  return v;
+}
 
-  // ENSEMBLE
-  organismCount: 14,
-  sepDistance: 14,
+// One moods.json block, in the file's own layout. Timeline keys only when the mood has
+// keyframes; audio only when it has a cue; species only when it isn't all shrimp.
+function formatMoodBlock(label, cfg) {
+  const keys = MOOD_KEYS.filter((k) => {
+    if (k === "keyframes" || k === "keyframeLoop") return hasTimeline(cfg);
+    if (k === "audio") return !!cfg.audio;
+    if (k === "species") return !sameMoodValue(normalizeSpeciesMix(cfg.species), DEFAULT_CONFIG.species);
+    if (k === "scene") return !sameMoodValue(normalizeScene(cfg.scene), normalizeScene(TANK_SCENE));
+    return true;
+  });
+  const lines = keys.map((k) => `  "${k}": ${formatMoodValue(k, cfg[k])},`).join("\n");
 
-  // ZONES
-  zones: [ZONES.full],
+  return `{
+  "label": ${JSON.stringify(label)},
+${lines.replace(/,$/, "")}
+}`;
+}
 
-  // ORBIT (full tank only)
-  orbit: false,
+// Live slot values if the mood has been opened, else file + saved overrides.
+function tunedConfigFor(label) {
+  if (SLOT_CONFIGS[label]) return getCfg(label);
 
-  // CENTER BIAS (full tank only): "none" | "seek" | "avoid"
-  centerBias: "none",
-};
+  const base = fileConfigFor(label) || baseMoodConfig();
+  return normalizeSlotCfg({ ...base, ...cloneMoodValues(savedOverrides(label)) });
+}
 
-const SLOT_CONFIGS = Object.create(null);
-SLOT_CONFIGS["Default"] = { ...DEFAULT_CONFIG };
+// Visitor words stay out: they are session only.
+function libraryExportText() {
+  const blocks = MOOD_LIBRARY.filter((m) => !VISITOR_WORDS.has(m.label.trim())).map((m) => {
+    const label = m.label.trim();
+    return formatMoodBlock(label, tunedConfigFor(label));
+  });
+  return `[\n${blocks.join(",\n")}\n]\n`;
+}
 
-function normalizeCenterBias(v) {
-  return (v === "seek" || v === "avoid") ? v : "none";
+// Throws on unreadable input; returns { entries, issues } otherwise.
+function parseMoodLibraryText(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error("moods.json must be a JSON array");
+  return validateMoodList(data);
 }
 
-function getCfg(slot) {
-  if (!SLOT_CONFIGS[slot]) SLOT_CONFIGS[slot] = { ...DEFAULT_CONFIG };
+// What applying an imported library would change, per label.
+//   kind: "changed" | "added" | "absent" (in the page, not in the file; kept)
+function diffMoodLibrary(entries) {
+  const changes = [];
+  const incoming = new Set();
+
+  for (const m of entries) {
+    const label = m.label.trim();
+    if (incoming.has(label)) continue;
+    incoming.add(label);
+
+    const next = normalizeSlotCfg({ ...baseMoodConfig(), ...m });
+    delete next.label;
 
-  const cfg = SLOT_CONFIGS[slot];
-  cfg.zones = normalizeZones(cfg.zones);
-  cfg.centerBias = normalizeCenterBias(cfg.centerBias);
+    if (!MOOD_POOL_NAMES.includes(label)) {
+      changes.push({ label, kind: "added", keys: [], entry: m, cfg: next });
+      continue;
+    }
+
+    const cur = tunedConfigFor(label);
+    const keys = MOOD_KEYS
+      .filter((k) => !sameMoodValue(cur[k], next[k]))
+      .map((k) => ({ key: k, from: cur[k], to: next[k] }));
+
+    if (keys.length) changes.push({ label, kind: "changed", keys, entry: m, cfg: next });
+  }
 
-  // safety: if not full, orbit + centerBias must be off/none
-  if (!cfg.zones.includes(ZONES.full) && cfg.zones.length) {
-    cfg.orbit = false;
-    cfg.centerBias = "none";
+  for (const label of MOOD_POOL_NAMES) {
+    if (!incoming.has(label) && !VISITOR_WORDS.has(label)) changes.push({ label, kind: "absent", keys: [] });
   }
 
-  return cfg;
+  return changes;
 }
 
-function registerMoodIntoSlotConfigs(label) {
-  const m = MOOD_LIBRARY.find((x) => (x.label || "").trim() === label);
-  if (!m) return;
+function describeLibraryDiff(changes, total) {
+  const lines = [];
+  const fmt = (k, v) => String(formatMoodValue(k, v));
 
-  SLOT_CONFIGS[label] = { ...DEFAULT_CONFIG, ...m, label: undefined };
-  const cfg = SLOT_CONFIGS[label];
+  for (const c of changes) {
+    if (c.kind === "changed") {
+      lines.push(`~ ${c.label}`);
+      for (const d of c.keys) lines.push(`    ${d.key}: ${fmt(d.key, d.from)} → ${fmt(d.key, d.to)}`);
+    } else if (c.kind === "added") {
+      lines.push(`+ ${c.label} (new; session only until moods.json is updated)`);
+    } else {
+      lines.push(`· ${c.label} not in file (kept)`);
+    }
+  }
 
-  cfg.zones = normalizeZones(cfg.zones);
-  cfg.centerBias = normalizeCenterBias(cfg.centerBias);
+  const untouched = total - changes.filter((c) => c.kind !== "added").length;
+  lines.push(`= ${Math.max(0, untouched)} label(s) unchanged`);
+  return lines.join("\n");
+}
 
-  // force orbit off + centerBias none if not full
-  if (!cfg.zones.includes(ZONES.full) && cfg.zones.length) {
-    cfg.orbit = false;
-    cfg.centerBias = "none";
+// Changed moods become a new tuner revision (undoable, persisted); new labels join the session.
+function applyLibraryDiff(changes) {
+  let touchedCurrent = false;
+
+  for (const c of changes) {
+    if (c.kind === "changed") {
+      SLOT_CONFIGS[c.label] = { ...c.cfg };
+      commitRevision(c.label);
+      if (c.label === currentSlotName()) touchedCurrent = true;
+    } else if (c.kind === "added") {
+      MOOD_LIBRARY.push({ ...c.entry, label: c.label });
+      MOOD_POOL_NAMES.push(c.label);
+    }
   }
+
+  if (touchedCurrent) respawnFromActiveConfig();
 }
 
 /* ---------------------------
@@ -453,8 +1167,13 @@ const TUNER_DESCRIPTIONS = {
   wiggleSpeed: { title: "Wiggle Speed", desc: "How fast the body oscillation cycles. Higher = buzzing; lower = slow breathing." },
   shake: { title: "Shake Power", desc: "Adds jitter. 0 = completely still; higher = agitation/tremor." },
   shakeSpeed: { title: "Shake Speed", desc: "How fast the tremor vibrates. Higher = buzzing; lower = slow trembling." },
-  organismCount: { title: "Population", desc: "How many organisms inhabit the field (1 to 40). Respawns immediately." },
+  organismCount: { title: "Population", desc: `How many organisms inhabit the field (1 to ${MAX_ORGANISMS}). Respawns immediately. Above a few hundred, the WebGL renderer (G) keeps the frame rate up.` },
   sepDistance: { title: "Personal Space", desc: "How close they can get before they begin to avoid one another." },
+  alignment: { title: "Alignment", desc: "How strongly they match the heading of nearby organisms. High with low cohesion = schooling lanes." },
+  cohesion: { title: "Cohesion", desc: "How strongly they drift toward the middle of their neighbours. High = clumps; with alignment = milling schools." },
+  perception: { title: "Perception", desc: "How far (px) an organism notices neighbours for alignment and cohesion." },
+  pointerRadius: { title: "Pointer Reach", desc: "How far (px) the pointer is felt, and the size of a tap's disturbance." },
+  lifeSpeed: { title: "Life Speed", desc: "How fast they hatch, grow and age (1 = a lifetime of about 15 minutes). 0 = no lifecycle: they arrive grown and never age." },
 };
 
 function sliderSpec(key) {
@@ -464,668 +1183,1246 @@ function sliderSpec(key) {
     case "wiggleSpeed": return { min: 0.0, max: 3.5, step: 0.05 };
     case "shake": return { min: 0.0, max: 3.0, step: 0.05 };
     case "shakeSpeed": return { min: 0, max: 120, step: 1 };
-    case "organismCount": return { min: 1, max: 40, step: 1 };
+    case "organismCount": return { min: 1, max: MAX_ORGANISMS, step: 1 };
     case "sepDistance": return { min: 0, max: 140, step: 1 };
+    case "alignment": return { min: 0, max: 1, step: 0.01 };
+    case "cohesion": return { min: 0, max: 1, step: 0.01 };
+    case "perception": return { min: 10, max: 240, step: 1 };
+    case "pointerRadius": return { min: 20, max: 320, step: 1 };
+    case "lifeSpeed": return { min: 0, max: 30, step: 0.1 };
     default: return { min: 0, max: 1, step: 0.01 };
   }
 }
 
 /* ---------------------------
-   Words UI
+   Mood schema + validation
 ----------------------------*/
 
-function renderWords(words) {
-  if (!wordRing) return;
+const MOOD_SCHEMA = {
+  maxSpeed: { type: "number" },
+  wiggle: { type: "number" },
+  wiggleSpeed: { type: "number" },
+  shake: { type: "number" },
+  shakeSpeed: { type: "integer" },
+  organismCount: { type: "integer" },
+  sepDistance: { type: "integer" },
+  alignment: { type: "number" },
+  cohesion: { type: "number" },
+  perception: { type: "integer" },
+  zones: { type: "zones" },
+  orbit: { type: "boolean" },
+  centerBias: { type: "enum", values: ["none", "seek", "avoid"] },
+  keyframes: { type: "keyframes" },
+  keyframeLoop: { type: "enum", values: ["none", "loop", "pingpong"] },
+  pointerMode: { type: "enum", values: ["ignore", "flee", "approach"] },
+  pointerRadius: { type: "integer" },
+  species: { type: "species" },
+  scene: { type: "scene" },
+  lifeSpeed: { type: "number" },
+  audio: { type: "audio" },
+};
 
-  wordRing.innerHTML = "";
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
 
-  words.forEach((w) => {
-    const btn = document.createElement("button");
-    btn.className = "wordBtn";
-    btn.type = "button";
-    btn.textContent = w;
+function closestSchemaKey(key) {
+  let best = null;
+  let bestD = 3; // only suggest near misses
+  for (const k of Object.keys(MOOD_SCHEMA)) {
+    const d = editDistance(key.toLowerCase(), k.toLowerCase());
+    if (d < bestD) { best = k; bestD = d; }
+  }
+  return best;
+}
 
-    btn.addEventListener("click", () => {
-      if (isCyclingWords) return;
-      if (!MOOD_POOL_NAMES.includes(w)) return;
-      activateWord(w);
-    });
+// Checks one field against MOOD_SCHEMA. Returns { ok, value } and records issues.
+function validateMoodField(key, v, label, issues) {
+  const rule = MOOD_SCHEMA[key];
+  const note = (action, message) => issues.push({ label, field: key, action, message });
+
+  switch (rule.type) {
+    case "number":
+    case "integer": {
+      if (typeof v !== "number" || !Number.isFinite(v)) {
+        note("rejected", `expected a number, got ${JSON.stringify(v)}; using ${DEFAULT_CONFIG[key]}`);
+        return { ok: false };
+      }
+      const spec = sliderSpec(key);
+      let out = clamp(v, spec.min, spec.max);
+      if (rule.type === "integer") out = Math.round(out);
+      if (out !== v) note("clamped", `${v} adjusted to ${out} (range ${spec.min}..${spec.max}${rule.type === "integer" ? ", whole numbers" : ""})`);
+      return { ok: true, value: out };
+    }
 
-    wordRing.appendChild(btn);
-  });
+    case "boolean":
+      if (typeof v !== "boolean") {
+        note("rejected", `expected true/false, got ${JSON.stringify(v)}; using ${DEFAULT_CONFIG[key]}`);
+        return { ok: false };
+      }
+      return { ok: true, value: v };
 
-  setWordVisualState(uiSelectedWord);
-}
+    case "enum":
+      if (!rule.values.includes(v)) {
+        note("rejected", `expected one of ${rule.values.map((x) => `"${x}"`).join(", ")}, got ${JSON.stringify(v)}; using "${DEFAULT_CONFIG[key]}"`);
+        return { ok: false };
+      }
+      return { ok: true, value: v };
 
-function setWordVisualState(selectedWord) {
-  const buttons = [...document.querySelectorAll(".wordBtn")];
-  buttons.forEach((b) => {
-    const isSelected = b.textContent === selectedWord;
-    b.classList.toggle("selected", isSelected);
-    b.classList.toggle("dim", !!selectedWord && !isSelected);
-  });
-}
+    case "zones": {
+      if (!Array.isArray(v)) {
+        note("rejected", `expected an array of zone names, got ${JSON.stringify(v)}; using ["full"]`);
+        return { ok: false };
+      }
+      const good = [];
+      const bad = [];
+      for (const z of v) {
+        if (typeof z === "string" && Object.hasOwn(ZONES, z.trim())) good.push(z.trim());
+        else if (typeof z === "string" || !z || typeof z !== "object") bad.push(z);
+        else {
+          const shape = validateZoneShape(z, note);
+          if (shape) good.push(shape);
+        }
+      }
+      const names = bad.map((z) => JSON.stringify(z)).join(", ");
+      const allowed = `${Object.keys(ZONES).join(", ")} or a { "shape": ${ZONE_SHAPES.map((k) => `"${k}"`).join(" | ")} } object`;
 
-function fadeOutWordUI() {
-  if (!wordRing) return;
-  wordRing.style.transition = `opacity ${MORE_FADE_OUT_MS}ms ease`;
-  wordRing.style.opacity = "0";
-}
+      if (!good.length) {
+        if (bad.length) note("rejected", `unknown zone(s) ${names}; using ["full"] (allowed: ${allowed})`);
+        return { ok: true, value: [ZONES.full] };
+      }
+      if (bad.length) note("clamped", `unknown zone(s) ${names} dropped (allowed: ${allowed})`);
+      return { ok: true, value: normalizeZones(good) };
+    }
 
-function fadeInWordUI() {
-  if (!wordRing) return;
-  wordRing.style.transition = "opacity 650ms ease";
-  requestAnimationFrame(() => { wordRing.style.opacity = "1"; });
-}
+    case "keyframes":
+      return validateKeyframes(v, label, issues);
 
-function getOfferSet(excludeLabel = null) {
-  const offers = pickNextSet(excludeLabel);
-  if (!offers || offers.length < WORDS_PER_SET) return WORD_POOL.slice(0, WORDS_PER_SET);
-  return offers;
-}
+    case "audio":
+      return validateAudioCue(v, label, issues);
 
-function cycleWords() {
-  isCyclingWords = true;
-  fadeOutWordUI();
-  triggerRipple();
+    case "scene":
+      return validateScene(v, label, issues);
 
-  setTimeout(() => {
-    currentMoodOffers = getOfferSet(uiSelectedWord);
-    renderWords(currentMoodOffers);
-    isCyclingWords = false;
-    fadeInWordUI();
-  }, MORE_SWAP_DELAY_MS);
+    case "species":
+      return validateSpeciesMix(v, label, issues);
+
+    default:
+      return { ok: true, value: v };
+  }
 }
 
-/* ---------------------------
-   Canvas Setup
-----------------------------*/
+function validateKeyframes(v, label, issues) {
+  if (!Array.isArray(v)) {
+    issues.push({ label, field: "keyframes", action: "rejected", message: "expected an array of keyframes; timeline ignored" });
+    return { ok: false };
+  }
 
-function resizeCanvas() {
-  const dpr = Math.min(2, window.devicePixelRatio || 1);
-  const rect = canvas.getBoundingClientRect();
-  canvas.width = Math.floor(rect.width * dpr);
-  canvas.height = Math.floor(rect.height * dpr);
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-}
+  const out = [];
 
-function getBounds() {
-  const rect = canvas.getBoundingClientRect();
+  v.forEach((kf, i) => {
+    const field = `keyframes[${i}]`;
+    const note = (action, message) => issues.push({ label, field, action, message });
 
-  // Equal padding on all sides (based on the smaller dimension)
-  const base = Math.min(rect.width, rect.height) * INNER_MARGIN;
+    if (!kf || typeof kf !== "object" || Array.isArray(kf)) {
+      note("rejected", "not an object; keyframe skipped");
+      return;
+    }
+    if (typeof kf.at !== "number" || !Number.isFinite(kf.at) || kf.at < 0) {
+      note("rejected", `needs "at" (seconds, 0 or more), got ${JSON.stringify(kf.at)}; keyframe skipped`);
+      return;
+    }
 
-  return {
-    minX: base,
-    maxX: rect.width - base,
-    minY: base,
-    maxY: rect.height - base,
-    width: rect.width,
-    height: rect.height,
-    cx: rect.width / 2,
-    cy: rect.height / 2,
-  };
-}
+    const { at, ease, keyframes, keyframeLoop, ...rest } = kf;
+    const clean = { at };
 
-/* ---------------------------
-   Helpers
-----------------------------*/
+    if (ease !== undefined) {
+      if (Object.hasOwn(KEYFRAME_EASINGS, ease)) clean.ease = ease;
+      else note("rejected", `ease must be one of ${Object.keys(KEYFRAME_EASINGS).join(", ")}, got ${JSON.stringify(ease)}`);
+    }
+    if (keyframes !== undefined || keyframeLoop !== undefined) {
+      note("ignored", "keyframes cannot nest timeline keys");
+    }
 
-function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
-function lerp(a, b, t) { return a + (b - a) * t; }
+    const sub = [];
+    Object.assign(clean, validateMoodFields(rest, label, sub, true));
+    for (const issue of sub) issues.push({ ...issue, field: `${field}.${issue.field}` });
 
-function wrapAngle(a) {
-  while (a > Math.PI) a -= Math.PI * 2;
-  while (a < -Math.PI) a += Math.PI * 2;
-  return a;
-}
+    out.push(clean);
+  });
+
+  if (!out.length) {
+    if (v.length) issues.push({ label, field: "keyframes", action: "rejected", message: "no usable keyframes; timeline ignored" });
+    return { ok: false };
+  }
 
-function approachAngle(current, target, maxStep) {
-  let d = wrapAngle(target - current);
-  d = clamp(d, -maxStep, maxStep);
-  return current + d;
+  return { ok: true, value: out.sort((a, b) => a.at - b.at) };
 }
 
-function limitSpeed(o, maxSpeed) {
-  const s = Math.hypot(o.vx, o.vy);
-  if (s > maxSpeed) {
-    const k = maxSpeed / (s || 1);
-    o.vx *= k;
-    o.vy *= k;
+// What each zone shape needs (all normalized 0..1 across the tank; radii of its smaller side)
+const ZONE_SHAPE_FIELDS = {
+  circle: "cx, cy, r",
+  ring: "cx, cy, r and inner (smaller than r)",
+  rect: "x, y, w, h",
+  polygon: "points: at least 3 [x, y] pairs",
+};
+
+// One shape zone: the normalized shape (numbers clamped into the tank), or null if unusable.
+function validateZoneShape(z, note) {
+  if (!ZONE_SHAPES.includes(z.shape)) {
+    note("rejected", `unknown zone shape ${JSON.stringify(z.shape)} dropped (allowed: ${ZONE_SHAPES.join(", ")})`);
+    return null;
   }
-}
 
-function pickRegionWeighted(regions) {
-  const total = regions.reduce((s, r) => s + (r.area || 0), 0) || 1;
-  let t = Math.random() * total;
-  for (const r of regions) {
-    t -= (r.area || 0);
-    if (t <= 0) return r;
+  const shape = normalizeZoneShape(z);
+  if (!shape) {
+    note("rejected", `${z.shape} zone ${JSON.stringify(z)} dropped: needs ${ZONE_SHAPE_FIELDS[z.shape]}, within 0..1 and not too small`);
+    return null;
   }
-  return regions[regions.length - 1];
+
+  const moved = Object.keys(shape).filter((k) => JSON.stringify(shape[k]) !== JSON.stringify(z[k]));
+  if (moved.length) note("clamped", `${z.shape} zone ${moved.join(", ")} adjusted to fit the tank`);
+  return shape;
 }
 
-/* ---------------------------
-   Ripple effect
-----------------------------*/
+const AUDIO_CUE_KEYS = ["src", "volume", "loop", "fadeInMs", "fadeOutMs"];
+const AUDIO_CUE_FADE_MAX_MS = 20000;
 
-function triggerRipple() {
-  const bounds = getBounds();
-  ripple = { t: 0, cx: bounds.cx, cy: bounds.cy };
-}
+function validateAudioCue(v, label, issues) {
+  const note = (action, message) => issues.push({ label, field: "audio", action, message });
 
-function drawRipple(bounds) {
-  if (!ripple) return;
+  if (!v || typeof v !== "object" || Array.isArray(v)) {
+    note("rejected", `expected { src, volume?, loop?, fadeInMs?, fadeOutMs? }, got ${JSON.stringify(v)}; using the background track`);
+    return { ok: false };
+  }
+  if (typeof v.src !== "string" || !v.src.trim()) {
+    note("rejected", "audio.src must be a file path; using the background track");
+    return { ok: false };
+  }
 
-  ripple.t += 0.06;
-  const p = ripple.t;
+  const out = { src: v.src.trim() };
 
-  const radius = lerp(10, Math.min(bounds.width, bounds.height) * 0.55, p);
-  const alpha = Math.max(0, 0.12 * (1 - p));
+  for (const key of Object.keys(v)) {
+    const val = v[key];
+    if (key === "src") continue;
 
-  ctx.beginPath();
-  ctx.arc(ripple.cx, ripple.cy, radius, 0, Math.PI * 2);
-  ctx.strokeStyle = `rgba(180, 245, 255, ${alpha})`;
-  ctx.lineWidth = 2;
-  ctx.stroke();
+    if (!AUDIO_CUE_KEYS.includes(key)) {
+      note("ignored", `unknown audio key "${key}" (allowed: ${AUDIO_CUE_KEYS.join(", ")})`);
+      continue;
+    }
 
-  if (p >= 1) ripple = null;
-}
+    if (key === "loop") {
+      if (typeof val === "boolean") out.loop = val;
+      else note("ignored", `audio.loop must be true/false, got ${JSON.stringify(val)}; looping`);
+      continue;
+    }
 
-/* ---------------------------
-   Simulation helpers
-----------------------------*/
+    if (typeof val !== "number" || !Number.isFinite(val)) {
+      note("ignored", `audio.${key} must be a number, got ${JSON.stringify(val)}`);
+      continue;
+    }
 
-function currentSlotName() {
-  return simulationSlot || WORD_POOL[0];
-}
+    const [lo, hi] = key === "volume" ? [0, 1] : [0, AUDIO_CUE_FADE_MAX_MS];
+    let x = clamp(val, lo, hi);
+    if (key !== "volume") x = Math.round(x);
+    if (x !== val) note("clamped", `audio.${key} ${val} adjusted to ${x} (range ${lo}..${hi})`);
+    out[key] = x;
+  }
 
-function getActiveConfig() {
-  return getCfg(currentSlotName());
+  return { ok: true, value: out };
 }
 
-/* ---------------------------
-   Orbit helpers (full tank only)
-----------------------------*/
+// Weights may be any positive scale; they're kept as written and normalised by the sim.
+function validateSpeciesMix(v, label, issues) {
+  const note = (action, message) => issues.push({ label, field: "species", action, message });
+  const allowed = Object.keys(SPECIES).join(", ");
 
-function updateOrbitDrift(dt) {
-  orbitDirTimer -= dt;
-  if (orbitDirTimer <= 0) {
-    orbitDirTarget = Math.random() < 0.5 ? 1 : -1;
-    orbitDirTimer = 2.8 + Math.random() * 4.2;
+  if (!v || typeof v !== "object" || Array.isArray(v)) {
+    note("rejected", `expected { speciesId: weight, ... }, got ${JSON.stringify(v)}; using { "shrimp": 1 }`);
+    return { ok: false };
   }
 
-  const blend = clamp(dt * 1.2, 0, 1);
-  orbitDir = orbitDir * (1 - blend) + orbitDirTarget * blend;
+  const out = {};
+  for (const id of Object.keys(v)) {
+    const w = v[id];
+    if (!(id in SPECIES)) {
+      note("ignored", `unknown species "${id}" (allowed: ${allowed})`);
+    } else if (typeof w !== "number" || !Number.isFinite(w) || w < 0) {
+      note("ignored", `species.${id} must be a weight >= 0, got ${JSON.stringify(w)}`);
+    } else if (w > 0) {
+      out[id] = w;
+    }
+  }
 
-  if (Math.abs(orbitDir) > 0.98) orbitDir = orbitDirTarget;
+  if (!Object.keys(out).length) {
+    note("rejected", `no usable species weights; using { "shrimp": 1 }`);
+    return { ok: false };
+  }
+  return { ok: true, value: out };
 }
 
-/* ---------------------------
-   Organism
-----------------------------*/
+// What each scene item needs (positions normalized like zones; y defaults to the floor)
+const SCENE_ITEM_FIELDS = {
+  rock: "x, r (y optional)",
+  plant: "x, height (y optional)",
+  bubbler: "x (y, rate optional)",
+};
 
-class Organism {
-  constructor(regionBounds, regionId) {
-    this.regionId = regionId || REGION.full;
+function validateScene(v, label, issues) {
+  const note = (action, message) => issues.push({ label, field: "scene", action, message });
 
-    this.x = Math.random() * (regionBounds.maxX - regionBounds.minX) + regionBounds.minX;
-    this.y = Math.random() * (regionBounds.maxY - regionBounds.minY) + regionBounds.minY;
+  if (!Array.isArray(v)) {
+    note("rejected", `expected an array of scene items, got ${JSON.stringify(v)}; using the tank scene`);
+    return { ok: false };
+  }
 
-    this.vx = 0;
-    this.vy = 0;
+  const out = [];
+  for (const item of v) {
+    if (!item || typeof item !== "object" || !SCENE_TYPES.includes(item.type)) {
+      note("ignored", `unknown scene item ${JSON.stringify(item)} (types: ${SCENE_TYPES.join(", ")})`);
+      continue;
+    }
 
-    this.heading = Math.random() * Math.PI * 2;
-    this.wanderHeading = Math.random() * Math.PI * 2;
-    this.wanderPhase = Math.random() * 1000;
+    const norm = normalizeSceneItem(item);
+    if (!norm) {
+      note("ignored", `${item.type} ${JSON.stringify(item)} dropped: needs ${SCENE_ITEM_FIELDS[item.type]}, positions within 0..1`);
+      continue;
+    }
 
-    this.length = ORGANISM_LENGTH * (0.85 + Math.random() * 0.35);
-    this.thickness = ORGANISM_THICKNESS * (0.85 + Math.random() * 0.35);
-    this.legLen = ORGANISM_LEG_LEN * (0.75 + Math.random() * 0.5);
+    const moved = Object.keys(norm).filter((k) => item[k] !== undefined && item[k] !== norm[k]);
+    if (moved.length) note("clamped", `${item.type} ${moved.join(", ")} adjusted into range`);
+    out.push(norm);
+  }
+  return { ok: true, value: out };
+}
 
-    this.curveAmp = 0.25 + Math.random() * 0.6;
-    this.curveFreq = 0.6 + Math.random() * 1.2;
-    this.curvePhase = Math.random() * Math.PI * 2;
+// Validates the non-label fields of a mood object. Unknown keys are dropped.
+// partial: a keyframe override, where zones may come from elsewhere.
+function validateMoodFields(raw, label, issues, partial = false) {
+  const out = {};
 
-    this.pulsePhase = Math.random() * Math.PI * 2;
+  for (const key of Object.keys(raw)) {
+    if (key === "label") continue;
 
-    this.opacity = 0;
-    this.grow = GROW_FROM;
+    if (!Object.hasOwn(MOOD_SCHEMA, key)) {
+      const hint = closestSchemaKey(key);
+      issues.push({
+        label, field: key, action: "ignored",
+        message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ""}`,
+      });
+      continue;
+    }
 
-    this.wiggleMul = 1.0;
-    this.wiggleSpeed = 1.0;
+    const res = validateMoodField(key, raw[key], label, issues);
+    if (res.ok) out[key] = res.value;
+  }
 
-    this.orbitPhase = Math.random() * Math.PI * 2;
-    this.orbitRadiusMul = 0.85 + Math.random() * 0.35;
-    this.orbitNoise = Math.random() * 1000;
+  // Full-tank-only modes on a zoned mood are silently forced off by getCfg(); say so here.
+  const zones = out.zones || [ZONES.full];
+  if (!partial && !zones.includes(ZONES.full)) {
+    if (out.orbit === true) {
+      issues.push({ label, field: "orbit", action: "ignored", message: "orbit only runs in the full tank; zones make it off" });
+    }
+    if (out.centerBias && out.centerBias !== "none") {
+      issues.push({ label, field: "centerBias", action: "ignored", message: "centerBias only runs in the full tank; zones make it \"none\"" });
+    }
   }
 
-  update(bounds, cfg, fullBounds, orbitEnabled, fullTank) {
-    const now = performance.now();
-    const t = now * 0.001;
+  return out;
+}
+
+// Returns { entries, issues }. entries keep the library shape ({ label, ...fields }).
+function validateMoodList(data) {
+  const entries = [];
+  const issues = [];
+  const seen = new Set();
 
-    // Ramp-in
-    const elapsed = (now - activationStart) / 1000;
-    const ramp = Math.min(1, elapsed / RAMP_SECONDS);
-    const rampEase = Math.pow(ramp, 1.6);
+  data.forEach((m, i) => {
+    const where = `entry #${i + 1}`;
 
-    this.opacity = Math.max(this.opacity, TARGET_OPACITY * rampEase);
-    this.grow = Math.max(this.grow, lerp(GROW_FROM, 1, rampEase));
+    if (!m || typeof m !== "object" || Array.isArray(m)) {
+      issues.push({ label: where, field: "—", action: "rejected", message: "not an object; entry skipped" });
+      return;
+    }
+    if (typeof m.label !== "string" || !m.label.trim().length) {
+      issues.push({ label: where, field: "label", action: "rejected", message: "missing label; entry skipped" });
+      return;
+    }
 
-    // Body movement
-    this.wiggleMul = cfg.wiggle ?? 1.0;
-    this.wiggleSpeed = cfg.wiggleSpeed ?? 1.0;
-    this.pulse = 1 + Math.sin(t + this.pulsePhase) * 0.05;
+    const label = m.label.trim();
+    if (label.toLowerCase() === "default") {
+      issues.push({ label, field: "label", action: "rejected", message: "\"Default\" is reserved for the built-in config; entry skipped" });
+      return;
+    }
+    if (seen.has(label)) {
+      issues.push({ label, field: "label", action: "rejected", message: `duplicate label (${where}); only the first one is used` });
+      return;
+    }
+    seen.add(label);
 
-    // Gentle wander baseline
-    const drift =
-      Math.sin(t * 0.55 + this.wanderPhase) * 0.5 +
-      Math.sin(t * 0.23 + this.wanderPhase * 1.7) * 0.5;
+    entries.push({ label, ...validateMoodFields(m, label, issues) });
+  });
 
-    const desiredWander = this.wanderHeading + drift * 0.06;
-    this.wanderHeading = approachAngle(this.wanderHeading, desiredWander, 0.006);
+  return { entries, issues };
+}
 
-    // Shared center vector (also used by orbit + centerBias)
-    const cx = fullBounds.cx;
-    const cy = fullBounds.cy;
-    const dx = this.x - cx;
-    const dy = this.y - cy;
-    const dist = Math.hypot(dx, dy) || 1;
+function formatValidationIssue(issue) {
+  return `${issue.label} · ${issue.field}: ${issue.action} — ${issue.message}`;
+}
 
-    // --- Orbit (FULL tank only): shared swirl around CENTER ---
-    if (orbitEnabled) {
-      const tankSize = Math.min(fullBounds.maxX - fullBounds.minX, fullBounds.maxY - fullBounds.minY);
-      const targetR = tankSize * 0.25;
+function logValidationReport(issues, source) {
+  if (!issues.length) return;
 
-      const tx = (-dy / dist) * orbitDir;
-      const ty = ( dx / dist) * orbitDir;
+  console.groupCollapsed(`${source}: ${issues.length} validation issue(s)`);
+  for (const issue of issues) console.warn(formatValidationIssue(issue));
+  console.groupEnd();
+}
 
-      const radialError = (dist - targetR) / targetR;
+/* ---------------------------
+   Words UI
+----------------------------*/
 
-      const tangentialStrength = 0.040;
-      const radialStrength     = 0.090;
-      const centerBiasTiny     = 0.00;
+function renderWords(words) {
+  if (!wordRing) return;
 
-      const wobble = 0.78 + 0.22 * Math.sin(t * 0.55 + this.wanderPhase);
+  wordRing.innerHTML = "";
 
-      this.vx += tx * tangentialStrength * wobble;
-      this.vy += ty * tangentialStrength * wobble;
+  words.forEach((w) => {
+    const btn = document.createElement("button");
+    btn.className = "wordBtn";
+    btn.type = "button";
+    btn.textContent = w;
+    btn.tabIndex = -1;
+
+    // A long press adds / removes the word from the blend; the click that ends it is swallowed.
+    let holdTimer = null;
+    let held = false;
+    const cancelHold = () => {
+      clearTimeout(holdTimer);
+      holdTimer = null;
+    };
 
-      this.vx += (-dx / dist) * radialError * radialStrength;
-      this.vy += (-dy / dist) * radialError * radialStrength;
+    btn.addEventListener("pointerdown", () => {
+      held = false;
+      cancelHold();
+      holdTimer = setTimeout(() => {
+        holdTimer = null;
+        if (isCyclingWords || !MOOD_POOL_NAMES.includes(w)) return;
+        held = true;
+        toggleBlendWord(w);
+      }, WORD_HOLD_MS);
+    });
+    btn.addEventListener("pointerup", cancelHold);
+    btn.addEventListener("pointerleave", cancelHold);
+    btn.addEventListener("pointercancel", cancelHold);
+
+    btn.addEventListener("click", (e) => {
+      if (held) {
+        held = false;
+        return;
+      }
+      if (isCyclingWords) return;
+      if (!MOOD_POOL_NAMES.includes(w)) return;
+      if (e.shiftKey || e.ctrlKey || e.metaKey) toggleBlendWord(w);
+      else activateWord(w);
+    });
 
+    wordRing.appendChild(btn);
+  });
 
-    }
+  setWordVisualState(uiSelectedWord);
+}
 
-// --- Center Bias (FULL tank only): subtle seek/avoid/none ---
-if (fullTank) {
-  const mode = normalizeCenterBias(cfg.centerBias);
-  if (mode !== "none") {
-    // Base strengths (tune these)
-    const baseSeek  = 0.045; // stronger than before
-    const baseAvoid = 0.020; // keep your avoid about where it is
+function setWordVisualState(selectedWord) {
+  const chosen = blendWords.length > 1 ? blendWords : [selectedWord];
+  const buttons = [...document.querySelectorAll(".wordBtn")];
+  buttons.forEach((b) => {
+    const isSelected = chosen.includes(b.textContent);
+    b.classList.toggle("selected", isSelected);
+    b.classList.toggle("dim", !!selectedWord && !isSelected);
+    b.setAttribute("aria-pressed", String(isSelected));
+  });
 
-    // Distance scaling: seek gets stronger when far from center
-    const tankSize = Math.min(fullBounds.maxX - fullBounds.minX, fullBounds.maxY - fullBounds.minY);
-    const targetR = tankSize * 0.25; // same reference scale you use elsewhere
-    const dist01 = clamp(dist / (targetR || 1), 0, 2.5); // 0..~2.5
+  // Roving focus: the ring's one tab stop stays where it was, else on the selection.
+  if (!buttons.length || buttons.some((b) => b.tabIndex === 0)) return;
+  const start = buttons.find((b) => chosen.includes(b.textContent)) || buttons[0];
+  start.tabIndex = 0;
+}
 
-    const speedMul = 0.75 + 0.75 * clamp((cfg.maxSpeed ?? 0.2) / 0.22, 0, 1);
-    const wobble = 0.75 + 0.25 * Math.sin(t * 0.7 + this.wanderPhase * 0.9);
+/* ---------------------------
+   Keyboard + screen readers (see ACCESSIBILITY)
+----------------------------*/
 
-    const base = (mode === "seek") ? baseSeek : baseAvoid;
+// Moves the ring's tab stop (and focus) by delta, or to "first" / "last".
+function moveWordFocus(to) {
+  const buttons = [...document.querySelectorAll(".wordBtn")];
+  if (!buttons.length) return;
 
-    // seek: scale up with distance; avoid: mostly constant
-    const distMul = (mode === "seek") ? (0.6 + 0.8 * dist01) : 1.0;
+  const at = Math.max(0, buttons.findIndex((b) => b.tabIndex === 0));
+  let next = at;
+  if (to === "first") next = 0;
+  else if (to === "last") next = buttons.length - 1;
+  else next = (at + to + buttons.length) % buttons.length;
 
-    const s = base * distMul * speedMul * wobble * rampEase;
+  buttons.forEach((b, i) => { b.tabIndex = i === next ? 0 : -1; });
+  buttons[next].focus();
+}
 
-    const dir = (mode === "seek") ? -1 : 1; // seek => toward center
-    this.vx += (dx / dist) * (s * dir);
-    this.vy += (dy / dist) * (s * dir);
+function setupWordKeys() {
+  if (!wordRing) return;
 
-    // Optional: helps seek “read” as gathering at center
-    if (mode === "seek") {
-      this.vx *= 0.94;
-      this.vy *= 0.94;
+  wordRing.addEventListener("keydown", (e) => {
+    const btn = e.target.closest(".wordBtn");
+    if (!btn || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    switch (e.key) {
+      case "ArrowRight":
+      case "ArrowDown":
+        e.preventDefault();
+        moveWordFocus(1);
+        break;
+
+      case "ArrowLeft":
+      case "ArrowUp":
+        e.preventDefault();
+        moveWordFocus(-1);
+        break;
+
+      case "Home":
+        e.preventDefault();
+        moveWordFocus("first");
+        break;
+
+      case "End":
+        e.preventDefault();
+        moveWordFocus("last");
+        break;
+
+      // Keyboard clicks don't reliably carry Shift, so blends are handled here.
+      case "Enter":
+        if (!e.shiftKey) break;
+        e.preventDefault();
+        if (!isCyclingWords && MOOD_POOL_NAMES.includes(btn.textContent)) toggleBlendWord(btn.textContent);
+        break;
     }
-  }
+  });
 }
 
-    // Safety-net turning: near walls, bias intent inward (wall-normal)
-    {
-      const turnZone = 90;
-      let ax = 0, ay = 0;
-
-      const tL = 1 - (this.x - bounds.minX) / turnZone;
-      const tR = 1 - (bounds.maxX - this.x) / turnZone;
-      const tT = 1 - (this.y - bounds.minY) / turnZone;
-      const tB = 1 - (bounds.maxY - this.y) / turnZone;
+const SPECIES_WORDS = {
+  shrimp: ["brine shrimp", "brine shrimp"],
+  adult: ["adult sea monkey", "adult sea monkeys"],
+  nauplius: ["nauplius larva", "nauplius larvae"],
+};
 
-      if (tL > 0) ax += clamp(tL, 0, 1);
-      if (tR > 0) ax -= clamp(tR, 0, 1);
-      if (tT > 0) ay += clamp(tT, 0, 1);
-      if (tB > 0) ay -= clamp(tB, 0, 1);
+const ZONE_WORDS = {
+  full: "the whole tank",
+  topLeft: "the top left",
+  topRight: "the top right",
+  bottomLeft: "the bottom left",
+  bottomRight: "the bottom right",
+  circle: "a round patch",
+  ring: "a ring",
+  rect: "a rectangle",
+  polygon: "an angular patch",
+};
 
-      const mag = Math.hypot(ax, ay);
-      if (mag > 1e-6) {
-        ax /= mag; ay /= mag;
+function joinWords(list) {
+  if (list.length < 2) return list.join("");
+  return `${list.slice(0, -1).join(", ")} and ${list[list.length - 1]}`;
+}
 
-        const inward = Math.atan2(ay, ax);
-        const urgency = clamp(mag, 0, 1);
-        const maxTurn = 0.020 * urgency;
+// A few plain sentences about how a config moves, for the live region and the canvas.
+function describeMood(cfg, labels) {
+  const count = populationFor(cfg);
+  const mix = normalizeSpeciesMix(cfg.species);
+  const kinds = Object.keys(mix).map((id) => {
+    const [one, many] = SPECIES_WORDS[id] || [SPECIES[id].label.toLowerCase(), SPECIES[id].label.toLowerCase()];
+    return count === 1 ? one : many;
+  });
 
-        this.wanderHeading = approachAngle(this.wanderHeading, inward, maxTurn);
-      }
-    }
+  const speed = cfg.maxSpeed ?? 0;
+  const [many, one] =
+    speed < 0.15 ? ["barely move", "barely moves"] :
+    speed < 0.5 ? ["drift slowly", "drifts slowly"] :
+    speed < 1.5 ? ["swim at an easy pace", "swims at an easy pace"] :
+    speed < 2.5 ? ["dart quickly", "darts quickly"] : ["race frantically", "races frantically"];
+  const pace = count === 1 ? one : many;
+  const body =
+    (cfg.wiggle ?? 0) < 0.3 ? "with stiff, still bodies" :
+    (cfg.wiggle ?? 0) < 1.2 ? ((cfg.wiggleSpeed ?? 0) > 2 ? "with quick, small wriggles" : "gently curving") :
+    ((cfg.wiggleSpeed ?? 0) > 2 ? "wriggling wildly" : "in big, slow sweeps");
+
+  const ways = [];
+  if ((cfg.shake ?? 0) >= 0.3) ways.push("trembling");
+  if ((cfg.shimmer ?? 0) >= 0.2) ways.push("glimmering slowly");
+  if ((cfg.alignment ?? 0) >= 0.3) ways.push("schooling in lanes");
+  if ((cfg.cohesion ?? 0) >= 0.3) ways.push("clumping together");
+  if ((cfg.sepDistance ?? 0) >= 80) ways.push("keeping far apart");
+  else if ((cfg.sepDistance ?? 0) < 8) ways.push("crowding close");
+  if (cfg.orbit) ways.push("circling the centre");
+  if (cfg.centerBias === "seek") ways.push("gathering toward the centre");
+  if (cfg.centerBias === "avoid") ways.push("keeping to the edges");
+
+  const where = joinWords(cfg.zones.map((z) => ZONE_WORDS[typeof z === "string" ? z : z.shape] || "part of the tank"));
+  const who = count === 1 ? `One ${kinds[0]}` : `${count} ${joinWords(kinds)}`;
+  const sentences = [`${who} ${pace} ${body} in ${where}${ways.length ? `, ${joinWords(ways)}` : ""}.`];
+
+  const they = count === 1 ? "It" : "They";
+  if (cfg.pointerMode === "flee") sentences.push(`${they} ${count === 1 ? "shies" : "shy"} away from the pointer.`);
+  if (cfg.pointerMode === "approach") sentences.push(`${they} ${count === 1 ? "comes" : "come"} toward the pointer.`);
+
+  const scene = normalizeScene(cfg.scene);
+  const things = ["rock", "plant", "bubbler"]
+    .map((type) => [type, scene.filter((i) => i.type === type).length])
+    .filter(([, n]) => n > 0)
+    .map(([type, n]) => (n === 1 ? `a ${type}` : `${n} ${type}s`));
+  if (things.length) sentences.push(`The tank has ${joinWords(things)}.`);
+  if ((cfg.lifeSpeed ?? 0) > 0) sentences.push(count === 1 ? "It hatches from an egg, grows up and ages." : "They hatch from eggs, grow up and age.");
+
+  const name = labels.length > 1 ? `A blend of ${joinWords(labels)}` : labels[0];
+  return `${name}: ${sentences.join(" ")}`;
+}
 
-    // Accelerate along wanderHeading (maxSpeed is energy proxy)
-    const accel = (0.01 + (cfg.maxSpeed ?? 0.25) * 0.02) * (orbitEnabled ? 0.35 : 1.0);
-    this.vx += Math.cos(this.wanderHeading) * accel * rampEase;
-    this.vy += Math.sin(this.wanderHeading) * accel * rampEase;
-
-    // Personal space (ONLY within same region)
-    const sepDist = Math.max(0, cfg.sepDistance ?? 0);
-    if (sepDist > 0 && organisms.length > 1) {
-      const separateStrength = 0.02;
-      const minD = sepDist;
-
-      for (const other of organisms) {
-        if (other === this) continue;
-        if (other.regionId !== this.regionId) continue;
-
-        const dx2 = this.x - other.x;
-        const dy2 = this.y - other.y;
-        const d2 = dx2 * dx2 + dy2 * dy2;
-        if (d2 > 0 && d2 < minD * minD) {
-          const d = Math.sqrt(d2);
-          const push = (minD - d) / minD;
-          this.vx += (dx2 / d) * push * separateStrength * rampEase;
-          this.vy += (dy2 / d) * push * separateStrength * rampEase;
-        }
-      }
-    }
+// Describes the motion on screen: timeline, crossfade and calm motion applied
+// (in worker mode, the config the worker last posted).
+function announceMood() {
+  if (!moodDescriptionEl) return;
+  const labels = blendWords.length > 1 ? blendWords : [currentSlotName()];
+  moodDescriptionEl.textContent = describeMood(effectiveConfig(), labels);
+}
 
-    // Damping
-    this.vx *= 0.96;
-    this.vy *= 0.96;
+// A worker posts its config with its next frame, so even a respawn waits this long.
+const ANNOUNCE_SETTLE_MS = 250;
+let announceTimer = null;
 
-    // Speed cap
-    const maxSpeed = Math.max(0, cfg.maxSpeed ?? 0.25);
-    const capped = maxSpeed * (0.35 + 0.65 * rampEase);
-    limitSpeed(this, capped);
+// Speaks the mood once a crossfade of afterMs has settled on it; a newer call replaces it.
+function scheduleMoodAnnouncement(afterMs = 0) {
+  clearTimeout(announceTimer);
+  announceTimer = setTimeout(announceMood, afterMs + ANNOUNCE_SETTLE_MS);
+}
 
-    // Soft edge field: nudges before touching wall
-    const edgeSoftness = 60;
-    const edgeForce = 0.010;
+function fadeOutWordUI() {
+  if (!wordRing) return;
+  wordRing.style.transition = `opacity ${calmMs(MORE_FADE_OUT_MS)}ms ease`;
+  wordRing.style.opacity = "0";
+}
 
-    if (this.x - bounds.minX < edgeSoftness) {
-      const d = this.x - bounds.minX;
-      this.vx += (1 - d / edgeSoftness) * edgeForce;
-    }
-    if (bounds.maxX - this.x < edgeSoftness) {
-      const d = bounds.maxX - this.x;
-      this.vx -= (1 - d / edgeSoftness) * edgeForce;
-    }
-    if (this.y - bounds.minY < edgeSoftness) {
-      const d = this.y - bounds.minY;
-      this.vy += (1 - d / edgeSoftness) * edgeForce;
-    }
-    if (bounds.maxY - this.y < edgeSoftness) {
-      const d = bounds.maxY - this.y;
-      this.vy -= (1 - d / edgeSoftness) * edgeForce;
-    }
+function fadeInWordUI() {
+  if (!wordRing) return;
+  wordRing.style.transition = `opacity ${calmMs(650)}ms ease`;
+  requestAnimationFrame(() => { wordRing.style.opacity = "1"; });
+}
 
-    // Integrate
-    this.x += this.vx;
-    this.y += this.vy;
-
-    // Hard clamp to region (hard constraint)
-    this.x = clamp(this.x, bounds.minX, bounds.maxX);
-    this.y = clamp(this.y, bounds.minY, bounds.maxY);
-
-    // --- Unstick on wall contact (region-aware) ---
-    {
-      const eps = 0.75;
-      const damp = 0.30;
-      const turnBoost = 0.20;
-
-      const onLeft   = this.x <= bounds.minX + eps;
-      const onRight  = this.x >= bounds.maxX - eps;
-      const onTop    = this.y <= bounds.minY + eps;
-      const onBottom = this.y >= bounds.maxY - eps;
-
-      if (onLeft   && this.vx < 0) this.vx *= -damp;
-      if (onRight  && this.vx > 0) this.vx *= -damp;
-      if (onTop    && this.vy < 0) this.vy *= -damp;
-      if (onBottom && this.vy > 0) this.vy *= -damp;
-
-      let ax = 0, ay = 0;
-      if (onLeft)   ax += 1;
-      if (onRight)  ax -= 1;
-      if (onTop)    ay += 1;
-      if (onBottom) ay -= 1;
-
-      const mag = Math.hypot(ax, ay);
-      if (mag > 1e-6) {
-        ax /= mag; ay /= mag;
-        const inward = Math.atan2(ay, ax);
-        this.wanderHeading = approachAngle(this.wanderHeading, inward, turnBoost);
-      }
-    }
+function getOfferSet(excludeLabel = null, includeLabel = null) {
+  let offers = pickNextSet(excludeLabel);
+  if (!offers || offers.length < WORDS_PER_SET) offers = WORD_POOL.slice(0, WORDS_PER_SET);
 
-    // Heading follows travel direction
-    const speed = Math.hypot(this.vx, this.vy);
-    if (speed > MIN_SPEED_FOR_HEADING) {
-      const desired = Math.atan2(this.vy, this.vx);
-      const blended = wrapAngle(this.heading + wrapAngle(desired - this.heading) * HEADING_FOLLOW);
-      this.heading = approachAngle(this.heading, blended, MAX_TURN_PER_FRAME);
-    }
+  if (includeLabel && !offers.includes(includeLabel)) {
+    offers[Math.floor(uiRng() * offers.length)] = includeLabel;
   }
+  return offers;
+}
+
+// includeLabel: guarantee this word is in the next offer set.
+// onSwapped: runs once the new words are on screen.
+function cycleWords(includeLabel = null, onSwapped = null) {
+  isCyclingWords = true;
+  const hadFocus = !!wordRing && wordRing.contains(document.activeElement);
+  fadeOutWordUI();
+  triggerRipple();
 
-  draw(ctx, cfg) {
-    ctx.save();
+  setTimeout(() => {
+    currentMoodOffers = getOfferSet(uiSelectedWord, includeLabel);
+    renderWords(currentMoodOffers);
+    isCyclingWords = false;
+    fadeInWordUI();
+    if (hadFocus) moveWordFocus(0);
+    if (onSwapped) onSwapped();
+  }, calmMs(MORE_SWAP_DELAY_MS));
+}
 
-    let drawX = this.x;
-    let drawY = this.y;
+/* ---------------------------
+   Visitor words
+----------------------------*/
 
-    // Tremor (0 must be perfectly still)
-    const shake = cfg.shake ?? 0;
-    if (shake > 0) {
-      const tt = performance.now() * 0.001;
-      const freq = cfg.shakeSpeed ?? 40;
-      drawX += Math.sin(tt * freq + this.wanderPhase) * shake;
-      drawY += Math.cos(tt * freq * 0.9 + this.wanderPhase) * shake;
-    }
+/* Affect lexicon: [valence, arousal], both -1..1 (unpleasant..pleasant, sleepy..excited) */
+const AFFECT_LEXICON = {
+  happy: [0.8, 0.5], joy: [0.9, 0.6], joyful: [0.9, 0.6], delighted: [0.85, 0.6],
+  excited: [0.6, 0.9], thrilled: [0.7, 0.9], playful: [0.7, 0.6], silly: [0.6, 0.55],
+  amused: [0.7, 0.5], curious: [0.5, 0.45], wonder: [0.7, 0.35], awe: [0.6, 0.4],
+  hopeful: [0.6, 0.15], grateful: [0.75, 0.05], loved: [0.85, 0.15], warm: [0.7, -0.2],
+  content: [0.6, -0.4], calm: [0.5, -0.7], peaceful: [0.6, -0.75], relaxed: [0.55, -0.7],
+  serene: [0.6, -0.8], cozy: [0.65, -0.5], safe: [0.5, -0.5], nostalgic: [0.3, -0.35],
+  dreamy: [0.35, -0.55], sleepy: [0.05, -0.9], tired: [-0.3, -0.8], bored: [-0.35, -0.65],
+  small: [-0.15, -0.45], lonely: [-0.6, -0.45], sad: [-0.7, -0.45], melancholy: [-0.5, -0.5],
+  insignificant: [-0.55, -0.55], empty: [-0.6, -0.6], lost: [-0.55, 0.05], confused: [-0.35, 0.35],
+  uneasy: [-0.5, 0.4], uncomfortable: [-0.55, 0.45], nervous: [-0.5, 0.65], anxious: [-0.65, 0.75],
+  scared: [-0.75, 0.8], afraid: [-0.75, 0.75], stressed: [-0.7, 0.7], overwhelmed: [-0.6, 0.85],
+  angry: [-0.8, 0.85], annoyed: [-0.55, 0.5], disgusted: [-0.75, 0.35], weird: [-0.1, 0.4],
+  strange: [-0.1, 0.35], hungry: [-0.2, 0.6], alive: [0.6, 0.55], free: [0.75, 0.35],
+};
 
-    ctx.translate(drawX, drawY);
-    ctx.rotate(this.heading);
-    ctx.globalAlpha = this.opacity;
-
-    const grow = this.grow * this.pulse;
-    const len = this.length * grow;
-    const half = len / 2;
-
-    const segments = 7;
-    const pts = [];
-    const time = performance.now() * 0.001 * (this.wiggleSpeed || 1.0);
-
-    for (let i = 0; i <= segments; i++) {
-      const u = i / segments;
-      const x = lerp(-half, half, u);
-      const wobble =
-        Math.sin(u * Math.PI * 2 * this.curveFreq + this.curvePhase + time) *
-        (this.curveAmp * 4.0 * grow * (this.wiggleMul || 1.0));
-      pts.push({ x, y: wobble });
-    }
+function normalizeVisitorWord(raw) {
+  if (typeof raw !== "string") return null;
 
-    // body
-    ctx.lineWidth = Math.max(0.8, this.thickness * (0.75 + 0.25 * grow));
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.strokeStyle = "rgba(185, 245, 255, 0.95)";
-    ctx.beginPath();
-    ctx.moveTo(pts[0].x, pts[0].y);
-    for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-    ctx.stroke();
-
-    // inner glow
-    ctx.lineWidth = Math.max(0.7, this.thickness * 0.55 * (0.75 + 0.25 * grow));
-    ctx.strokeStyle = "rgba(225, 255, 255, 0.30)";
-    ctx.beginPath();
-    ctx.moveTo(pts[0].x, pts[0].y);
-    for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-    ctx.stroke();
-
-    // legs
-    ctx.lineWidth = Math.max(0.7, this.thickness * 0.35 * (0.75 + 0.25 * grow));
-    ctx.strokeStyle = "rgba(205, 250, 255, 0.40)";
-    const legCount = 6;
-    const legLen = this.legLen * (0.75 + 0.25 * grow);
-
-    for (let k = 1; k <= legCount; k++) {
-      const u = k / (legCount + 1);
-      const idx = clamp(Math.round(u * segments), 1, segments - 1);
-      const p = pts[idx];
-      const pPrev = pts[idx - 1];
-      const pNext = pts[idx + 1];
-
-      const tx = pNext.x - pPrev.x;
-      const ty = pNext.y - pPrev.y;
-      const mag = Math.hypot(tx, ty) || 1;
-
-      let nx = -ty / mag;
-      let ny = tx / mag;
-
-      const side = k % 2 === 0 ? 1 : -1;
-      nx *= side;
-      ny *= side;
-
-      ctx.beginPath();
-      ctx.moveTo(p.x, p.y);
-      ctx.lineTo(p.x + nx * legLen, p.y + ny * legLen);
-      ctx.stroke();
-    }
+  const first = raw.trim().split(/\s+/)[0] || "";
+  const word = first.replace(/[^\p{L}\p{M}'-]/gu, "").slice(0, VISITOR_WORD_MAX);
+  if (!word) return null;
 
-    ctx.restore();
-  }
+  return word.charAt(0).toLocaleUpperCase() + word.slice(1).toLocaleLowerCase();
 }
 
-/* ---------------------------
-   Field control
-----------------------------*/
+// Snap a derived value onto its tuner slider so it reads like a hand-tuned mood.
+function snapToSlider(key, v) {
+  const spec = sliderSpec(key);
+  const snapped = Math.round(clamp(v, spec.min, spec.max) / spec.step) * spec.step;
+  return parseFloat(snapped.toFixed(2));
+}
 
-function respawnFromActiveConfig() {
-  activationStart = performance.now();
+function moodFromWord(word) {
+  const key = word.toLowerCase();
+  const rand = mulberry32(hashString(key));
+  const jitter = (amt) => (rand() * 2 - 1) * amt;
+
+  // Unknown words still land on a stable spot of the affect plane.
+  const known = AFFECT_LEXICON[key];
+  const valence = known ? known[0] : jitter(1);
+  const arousal = known ? known[1] : jitter(1);
+
+  const a01 = (arousal + 1) / 2;
+  const v01 = (valence + 1) / 2;
+  const unease = Math.max(0, -valence) * Math.max(0, arousal);
+
+  let zones = [ZONES.full];
+  if (arousal < 0 && valence < 0) {
+    zones = rand() < 0.5 ? [ZONES.bottomLeft, ZONES.bottomRight] : [rand() < 0.5 ? ZONES.bottomLeft : ZONES.bottomRight];
+  } else if (arousal < 0.2 && valence > 0.2 && rand() < 0.35) {
+    zones = [ZONES.topLeft, ZONES.topRight];
+  } else if (unease > 0.25 && rand() < 0.5) {
+    zones = [ZONES.topLeft, ZONES.bottomRight];
+  }
+  const full = zones.includes(ZONES.full);
 
-  const fullBounds = getBounds();
-  const cfg = getActiveConfig();
-  const regions = computeRegionsFromZones(fullBounds, cfg.zones);
+  let centerBias = "none";
+  if (full && valence > 0.4 && arousal < 0.3) centerBias = "seek";
+  else if (full && valence < -0.3) centerBias = "avoid";
 
-  // If not full tank, orbit must be off and centerBias must be none
-  if (!isFullTankFromRegions(regions)) {
-    cfg.orbit = false;
-    cfg.centerBias = "none";
-  }
+  return {
+    label: word,
+    maxSpeed: snapToSlider("maxSpeed", lerp(0.05, 3.0, Math.pow(a01, 1.6)) + jitter(0.08)),
+    wiggle: snapToSlider("wiggle", lerp(0.3, 1.4, a01) + unease * 1.6 + jitter(0.1)),
+    wiggleSpeed: snapToSlider("wiggleSpeed", lerp(0.15, 3.5, a01) + jitter(0.2)),
+    shake: snapToSlider("shake", unease * 1.4 + (arousal > 0.7 ? 0.2 : 0)),
+    shakeSpeed: snapToSlider("shakeSpeed", lerp(8, 110, a01) + jitter(6)),
+    organismCount: snapToSlider("organismCount", lerp(1, 30, v01 * 0.55 + a01 * 0.45) + jitter(3)),
+    sepDistance: snapToSlider("sepDistance", valence < 0 ? lerp(30, 140, -valence) : lerp(8, 36, rand())),
+    zones,
+    orbit: full && valence > 0.3 && rand() < 0.6,
+    centerBias,
+  };
+}
 
-  organisms = [];
+// The pool label for a typed word, adding it as a visitor word when it is new. null if unusable.
+function addVisitorWord(raw) {
+  const word = normalizeVisitorWord(raw);
+  if (!word || word.toLowerCase() === "default") return null;
 
-  const count = clamp(Math.round(cfg.organismCount ?? 14), 1, 40);
-  for (let i = 0; i < count; i++) {
-    const r = pickRegionWeighted(regions);
-    organisms.push(new Organism(r, r.id));
-  }
+  const existing = MOOD_POOL_NAMES.find((n) => n.toLowerCase() === word.toLowerCase());
+  if (existing) return existing;
+
+  MOOD_LIBRARY.push(moodFromWord(word));
+  MOOD_POOL_NAMES.push(word);
+  VISITOR_WORDS.add(word);
+  return word;
 }
 
-function activateWord(word) {
-  registerMoodIntoSlotConfigs(word);
+// Returns the label that was activated, or null if the input was unusable.
+function submitVisitorWord(raw) {
+  if (isCyclingWords) return null;
 
-  uiSelectedWord = word;
-  simulationSlot = word;
-  setWordVisualState(word);
-  respawnFromActiveConfig();
+  const label = addVisitorWord(raw);
+  if (!label) return null;
+
+  cycleWords(label, () => activateWord(label));
+  return label;
 }
 
 /* ---------------------------
-   Background vignette
+   Seeded randomness
+   - ?seed=abc123 in the URL (one is picked if missing; only a copied link carries it)
+   - uiRng: offer shuffles, exhibition order
+   - field.rng: reseeded from seed + mood label whenever the field respawns or crossfades
 ----------------------------*/
 
-function drawBackgroundVignette(bounds) {
-  const g = ctx.createRadialGradient(
-    bounds.width * 0.5,
-    bounds.height * 0.35,
-    20,
-    bounds.width * 0.5,
-    bounds.height * 0.45,
-    bounds.width * 0.8
-  );
-  g.addColorStop(0, "rgba(140, 235, 255, 0.045)");
-  g.addColorStop(1, "rgba(0, 0, 0, 0)");
-  ctx.fillStyle = g;
-  ctx.fillRect(0, 0, bounds.width, bounds.height);
+function initSeed() {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = (params.get("seed") || "").trim().slice(0, 32);
+
+  // The one place real randomness is allowed: choosing a seed when none was given.
+  simSeed = fromUrl || Math.floor(Math.random() * 0x7fffffff).toString(36);
+  uiRng = mulberry32(hashString(`${simSeed}|ui`));
+  reseedField();
+}
+
+function reseedField() {
+  field.reseed(hashString(`${simSeed}|${blendWords.length > 1 ? blendWords.join("+") : currentSlotName()}`));
 }
 
 /* ---------------------------
-   Animation Loop
+   Deep links
+   - ?mood=Calm starts on that mood: a library label, or any word (it becomes a visitor
+     word, whose config is derived from the word, so the link still reproduces it)
+   - ?mood=Calm,Joyful starts on a blend (see MOOD BLENDS); ?weights=2,1 sets its weights
+   - ?cfg=… carries the tuned values of each linked mood, as base64url JSON of
+     { label: overrides }, where overrides are only the keys that differ from moods.json.
+     Checked against MOOD_SCHEMA like an import; session only. Older links holding one
+     flat overrides object still apply it to the first mood.
+   - The hash works too (#mood=Calm&cfg=…). With ?seed the link replays the same motion.
+   - The tuner's "Copy link" writes the current state as such a link.
 ----------------------------*/
 
-let lastFrameTime = performance.now();
-
-function animate() {
-  const now = performance.now();
-  const dt = clamp((now - lastFrameTime) / 1000, 0, 0.05);
-  lastFrameTime = now;
+const DEEP_LINK_MAX_CFG = 8000;   // characters of ?cfg accepted
 
-  const rect = canvas.getBoundingClientRect();
-  ctx.clearRect(0, 0, rect.width, rect.height);
+function encodeCfgBlob(values) {
+  let bin = "";
+  for (const b of new TextEncoder().encode(JSON.stringify(values))) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
 
-  const fullBounds = getBounds();
-  drawBackgroundVignette(fullBounds);
+// The object a ?cfg blob holds, or null if it is not one.
+function decodeCfgBlob(text) {
+  if (!text || text.length > DEEP_LINK_MAX_CFG) return null;
+  try {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+    const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0))));
+    return data && typeof data === "object" && !Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
 
-  const cfg = getActiveConfig();
+// { words, weights, cfg } from the query, with the hash taking precedence.
+function readDeepLink() {
+  const params = new URLSearchParams(window.location.search);
+  const hash = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+  const get = (k) => hash.get(k) ?? params.get(k);
 
-  // Recompute regions each frame so resize / zone changes stay correct
-  const regions = computeRegionsFromZones(fullBounds, cfg.zones);
-  const fullTank = isFullTankFromRegions(regions);
+  const split = (v) => (v || "").split(",").map((x) => x.trim()).filter(Boolean);
+  return {
+    words: split(get("mood")).slice(0, MAX_BLEND_WORDS),
+    weights: split(get("weights")).map(Number),
+    cfg: get("cfg"),
+  };
+}
 
-  // If not full, force orbit off + centerBias none
-  if (!fullTank) {
-    if (cfg.orbit) cfg.orbit = false;
-    if (cfg.centerBias !== "none") cfg.centerBias = "none";
+// Registers the linked moods (and their tuned values); returns the labels to start on, or null.
+function applyDeepLink(link) {
+  const labels = [];
+  for (const w of link.words) {
+    const label = w.toLowerCase() === "default" ? "Default" : (MOOD_POOL_NAMES.find((n) => n.toLowerCase() === w.toLowerCase()) || addVisitorWord(w));
+    if (label && !labels.includes(label)) labels.push(label);
   }
+  if (!labels.length) return null;
+
+  labels.forEach((label, i) => {
+    registerMoodIntoSlotConfigs(label);
+    const weight = link.weights[i];
+    if (labels.length > 1 && Number.isFinite(weight) && weight > 0) blendWeights[label] = clamp(weight, 0.1, 2);
+  });
 
-  const orbitEnabled = fullTank && !!cfg.orbit;
+  if (link.cfg) {
+    const raw = decodeCfgBlob(link.cfg);
+    const issues = [];
+    if (!raw) {
+      issues.push({ label: "?cfg", field: "—", action: "rejected", message: "not a parameter blob; ignored" });
+    } else {
+      // A flat object of mood fields is the older, first-mood-only form.
+      const perLabel = Object.keys(raw).some((k) => Object.hasOwn(MOOD_SCHEMA, k)) ? { [labels[0]]: raw } : raw;
+      for (const [key, overrides] of Object.entries(perLabel)) {
+        const label = labels.find((l) => l.toLowerCase() === key.toLowerCase());
+        if (!label || !overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+          issues.push({ label: `?cfg (${key})`, field: "—", action: "rejected", message: "not a linked mood's overrides; ignored" });
+          continue;
+        }
+        const values = validateMoodFields(overrides, `?cfg (${label})`, issues);
+        SLOT_CONFIGS[label] = normalizeSlotCfg({ ...getCfg(label), ...cloneMoodValues(values) });
+      }
+    }
+    logValidationReport(issues, "Deep link");
+  }
 
-  if (orbitEnabled) updateOrbitDrift(dt);
+  return labels;
+}
 
-  const byId = Object.create(null);
-  for (const r of regions) byId[r.id] = r;
+// This page's URL, pointing at what is on screen now: seed, mood(s), weights, tuned values.
+function deepLinkURL() {
+  const url = new URL(window.location.href);
+  const words = blendWords.length > 1 ? blendWords : [currentSlotName()];
+  const tuned = {};
+  for (const w of words) {
+    const overrides = overridesAgainstFile(w, getCfg(w));
+    if (Object.keys(overrides).length) tuned[w] = overrides;
+  }
 
-  for (const o of organisms) {
-    const rb = byId[o.regionId] || boundsForRegion(fullBounds, REGION.full);
-    o.update(rb, cfg, fullBounds, orbitEnabled, fullTank);
-    if (o.opacity > 0) o.draw(ctx, cfg);
+  url.hash = "";
+  url.searchParams.set("seed", simSeed);
+  url.searchParams.set("mood", words.join(","));
+  if (words.length > 1 && words.some((w) => blendWeight(w) !== 1)) {
+    url.searchParams.set("weights", words.map((w) => blendWeight(w)).join(","));
+  } else {
+    url.searchParams.delete("weights");
   }
+  if (Object.keys(tuned).length) url.searchParams.set("cfg", encodeCfgBlob(tuned));
+  else url.searchParams.delete("cfg");
 
-  drawRipple(fullBounds);
-  requestAnimationFrame(animate);
+  return url.toString();
 }
 
 /* ---------------------------
-   Popup Tuner
-   - Adds Zones selector (visual)
-   - Adds Orbit toggle ONLY when FULL tank is selected
-   - Adds Center Bias toggle ONLY when FULL tank is selected
-   - JSON output is directly pasteable into moods.json
+   Canvas Setup
 ----------------------------*/
 
-function addTapFeedback(btn) {
-  if (!btn) return;
+function resizeCanvas() {
+  const dpr = Math.min(2, window.devicePixelRatio || 1);
+  const rect = canvas.getBoundingClientRect();
+  if (usingRenderWorker()) {
+    field.resize(rect.width, rect.height, dpr);
+    return;
+  }
+  if (renderer.gl) {
+    renderer.gl.resize(rect.width, rect.height, dpr);
+    return;
+  }
+  canvas.width = Math.floor(rect.width * dpr);
+  canvas.height = Math.floor(rect.height * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
 
-  const down = () => btn.classList.add("tapFlash");
-  const up = () => btn.classList.remove("tapFlash");
+function getBounds() {
+  const rect = canvas.getBoundingClientRect();
 
-  btn.addEventListener("pointerdown", down, { passive: true });
+  return fieldBounds(rect.width, rect.height);
+}
+
+// A canvas keeps the first kind of context it hands out (and a transferred one keeps
+// none), so switching renderers swaps in an identical fresh element.
+function replaceCanvas() {
+  const fresh = canvas.cloneNode(false);
+  canvas.replaceWith(fresh);
+  canvas = fresh;
+  ctx = null;
+}
+
+/* ---------------------------
+   Renderer (2D / WebGL)
+   - "2d": render.js strokes every organism (the reference look)
+   - "webgl": render-gl.js draws them as instanced geometry, plus optional bloom / caustics
+   - ?renderer=webgl&effects=bloom,caustics, G or the tuner switch at runtime;
+     without WebGL2 (or on a lost context) the tank drops back to 2D
+----------------------------*/
+
+const RENDERER_KINDS = ["2d", "webgl"];
+
+const renderer = {
+  kind: "2d",
+  gl: null,                                   // GLRenderer while WebGL paints on this thread
+  effects: { bloom: false, caustics: false },
+};
+
+function readRendererOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const kind = params.get("renderer");
+  if (RENDERER_KINDS.includes(kind)) renderer.kind = kind;
+
+  for (const name of (params.get("effects") || "").split(",")) {
+    if (name in renderer.effects) renderer.effects[name] = true;
+  }
+}
+
+// Main thread: gives the current canvas a GLRenderer or a 2D context.
+function attachRenderer(kind) {
+  renderer.gl = null;
+  ctx = null;
+
+  if (kind === "webgl") {
+    try {
+      renderer.gl = new GLRenderer(canvas);
+      renderer.gl.setEffects(renderer.effects);
+      canvas.addEventListener("webglcontextlost", (e) => {
+        if (e.target !== canvas) return;
+        console.warn("WebGL context lost; drawing with canvas 2D.");
+        setRenderer("2d");
+      });
+    } catch (err) {
+      console.warn(`WebGL renderer unavailable (${err.message}); drawing with canvas 2D.`);
+      replaceCanvas();
+      kind = "2d";
+    }
+  }
+
+  if (kind === "2d") ctx = canvas.getContext("2d");
+  renderer.kind = kind;
+}
+
+// The field keeps running; only the canvas under it changes (not mid-capture: the
+// recording stream and frame export hold on to the old one).
+function setRenderer(kind) {
+  if (!RENDERER_KINDS.includes(kind) || kind === renderer.kind || isCapturing()) return;
+
+  replaceCanvas();
+  if (usingRenderWorker()) {
+    renderer.kind = kind;
+    transferCanvasToWorker(field.worker);
+  } else {
+    attachRenderer(kind);
+  }
+
+  resizeCanvas();
+}
+
+function toggleRenderer() {
+  setRenderer(renderer.kind === "webgl" ? "2d" : "webgl");
+}
+
+function setRenderEffects(changes) {
+  Object.assign(renderer.effects, changes);
+  if (usingRenderWorker()) field.setEffects(renderer.effects);
+  else if (renderer.gl) renderer.gl.setEffects(renderer.effects);
+}
+
+/* ---------------------------
+   Ripple effect
+----------------------------*/
+
+function triggerRipple(cx = null, cy = null, maxRadius = null) {
+  const bounds = getBounds();
+  const ripple = {
+    t: 0,
+    cx: cx ?? bounds.cx,
+    cy: cy ?? bounds.cy,
+    maxRadius: maxRadius ?? Math.min(bounds.width, bounds.height) * 0.55,
+  };
+
+  if (calmMotion) {
+    ripple.rate = CALM_RIPPLE.rate;
+    ripple.strength = CALM_RIPPLE.strength;
+    ripple.maxRadius *= CALM_RIPPLE.radiusScale;
+  }
+
+  if (usingRenderWorker()) field.addRipple(ripple);
+  else ripples.push(ripple);
+}
+
+/* ---------------------------
+   Pointer (tank interaction)
+   - Hover / touch position feeds field.pointer (flee / approach per mood)
+   - A tap disturbs the field at that spot and draws a local ripple
+----------------------------*/
+
+const TAP_RADIUS_MUL = 1.5;   // tap disturbance reach, relative to pointerRadius
+
+function canvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+function pokeTank(x, y) {
+  const radius = (effectiveConfig().pointerRadius ?? DEFAULT_CONFIG.pointerRadius) * TAP_RADIUS_MUL;
+  field.disturb(x, y, radius);
+  triggerRipple(x, y, radius);
+}
+
+function setupPointer() {
+  // On the tank, not the canvas, so a replacement canvas (worker fallback) keeps them
+  const tank = canvas && canvas.parentElement;
+  if (!tank) return;
+
+  tank.addEventListener("pointermove", (e) => {
+    const p = canvasPoint(e);
+    field.setPointer(p.x, p.y);
+  });
+
+  tank.addEventListener("pointerdown", (e) => {
+    const p = canvasPoint(e);
+    field.setPointer(p.x, p.y);
+    pokeTank(p.x, p.y);
+  });
+
+  // A finger lifting means nothing is hovering any more; a mouse still is.
+  tank.addEventListener("pointerup", (e) => {
+    if (e.pointerType !== "mouse") field.clearPointer();
+  });
+  tank.addEventListener("pointerleave", () => field.clearPointer());
+  tank.addEventListener("pointercancel", () => field.clearPointer());
+}
+
+/* ---------------------------
+   Feeding
+   - The feed button drops a pinch of food just under the surface, somewhere
+     across the middle of the tank; Field.feed() (sim.js) does the rest
+----------------------------*/
+
+const FEED_RIPPLE_RADIUS = 46;
+
+function feedTank() {
+  const b = getBounds();
+  const x = lerp(b.minX, b.maxX, 0.2 + 0.6 * uiRng());
+  const y = b.minY + 8;
+  field.feed(x, y);
+  triggerRipple(x, y, FEED_RIPPLE_RADIUS);
+}
+
+function setupFeeding() {
+  if (!feedBtn) return;
+  addTapFeedback(feedBtn);
+  feedBtn.addEventListener("click", feedTank);
+}
+
+/* ---------------------------
+   Simulation helpers
+----------------------------*/
+
+function currentSlotName() {
+  return simulationSlot || WORD_POOL[0];
+}
+
+// The selected mood, or the weighted mix of a blend (see MOOD BLENDS).
+function getActiveConfig() {
+  if (blendWords.length < 2) return getCfg(currentSlotName());
+  return mixConfigs(blendWords.map((w) => ({ cfg: getCfg(w), weight: blendWeight(w) })));
+}
+
+/* ---------------------------
+   Field control
+----------------------------*/
+
+function respawnFromActiveConfig() {
+  // Fresh field with the mood's own random stream (see SEED).
+  simAccumulator = 0;
+  reseedField();
+  field.respawn(getActiveConfig(), getBounds());
+}
+
+// Config that currently drives the field (timeline + crossfade applied).
+function effectiveConfig() {
+  return field.effectiveConfig(getActiveConfig());
+}
+
+function beginMoodTransition(prevCfg) {
+  reseedField();
+  field.beginTransition(prevCfg, transitionSeconds);
+}
+
+function activateWord(word) {
+  selectMoods([word]);
+}
+
+// Adds a word to the blend (dropping the oldest past MAX_BLEND_WORDS), or takes it out.
+function toggleBlendWord(word) {
+  // "Default" is on screen like any mood, so a blend started from it keeps it.
+  const current = blendWords.length ? blendWords : [uiSelectedWord].filter((w) => w === "Default" || MOOD_POOL_NAMES.includes(w));
+
+  let next;
+  if (current.includes(word)) {
+    if (current.length < 2) return;
+    next = current.filter((w) => w !== word);
+  } else {
+    next = [...current, word].slice(-MAX_BLEND_WORDS);
+  }
+  selectMoods(next);
+}
+
+function blendWeight(word) {
+  return blendWeights[word] ?? 1;
+}
+
+// words: one label, or several to blend. The first is the slot the tuner edits.
+function selectMoods(words) {
+  const prevCfg = effectiveConfig();
+
+  for (const w of words) registerMoodIntoSlotConfigs(w);
+
+  blendWords = words.length > 1 ? [...words] : [];
+  uiSelectedWord = words[0];
+  simulationSlot = words[0];
+  setWordVisualState(words[0]);
+
+  const crossfading = transitionMode === "crossfade" && !field.isEmpty();
+  if (crossfading) beginMoodTransition(prevCfg);
+  else respawnFromActiveConfig();
+
+  if (audioUnlocked) updateMoodTrack();
+  scheduleMoodAnnouncement(crossfading ? transitionSeconds * 1000 : 0);
+}
+
+/* ---------------------------
+   Animation Loop
+----------------------------*/
+
+let lastFrameTime = performance.now();
+
+// Paints the field as it stands at field.now (see render.js / render-gl.js).
+function drawFrame(fullBounds) {
+  const cfg = effectiveConfig();
+  ripples = renderer.gl
+    ? renderer.gl.render(field, cfg, fullBounds, ripples)
+    : paintFrame(ctx, field, cfg, fullBounds, ripples);
+}
+
+function animate() {
+  requestAnimationFrame(animate);
+
+  // The worker steps and paints on its own clock; it only needs tuner edits.
+  if (usingRenderWorker()) {
+    field.sync(getActiveConfig());
+    return;
+  }
+
+  // A frame export steps and paints the canvas itself.
+  if (capture.exporting) return;
+
+  const now = performance.now();
+  simAccumulator += Math.min(now - lastFrameTime, SIM_STEP_MS * MAX_STEPS_PER_FRAME);
+  lastFrameTime = now;
+
+  const fullBounds = getBounds();
+
+  // Fixed steps: the same seed + mood replays the same motion at any frame rate.
+  const slotCfg = getActiveConfig();
+  while (simAccumulator >= SIM_STEP_MS) {
+    field.step(slotCfg, fullBounds);
+    simAccumulator -= SIM_STEP_MS;
+  }
+
+  drawFrame(fullBounds);
+}
+
+/* ---------------------------
+   Popup Tuner
+   - Adds Zones selector (visual)
+   - Adds Orbit toggle ONLY when FULL tank is selected
+   - Adds Center Bias toggle ONLY when FULL tank is selected
+   - JSON output is directly pasteable into moods.json
+----------------------------*/
+
+function addTapFeedback(btn) {
+  if (!btn) return;
+
+  const down = () => btn.classList.add("tapFlash");
+  const up = () => btn.classList.remove("tapFlash");
+
+  btn.addEventListener("pointerdown", down, { passive: true });
   btn.addEventListener("pointerup", up, { passive: true });
   btn.addEventListener("pointercancel", up, { passive: true });
   btn.addEventListener("pointerleave", up, { passive: true });
@@ -1206,6 +2503,11 @@ function tunerHTML() {
           box-shadow: 0 3px 10px rgba(0,0,0,.35);
         }
         button:focus-visible{ outline: none; }
+        button:disabled{
+          opacity: .35;
+          cursor: default;
+          box-shadow: none;
+        }
 
         #sliderWrap{ margin-top: 8px; margin-bottom: 12px; }
 
@@ -1277,6 +2579,18 @@ function tunerHTML() {
           font-size:12px;
           line-height:1.35;
         }
+        .diffOut{
+          margin: 0;
+          max-height: 260px;
+          overflow: auto;
+          padding: 10px;
+          border-radius: 12px;
+          border: 1px solid rgba(255,255,255,.10);
+          background: #111;
+          font-size: 12px;
+          line-height: 1.4;
+          white-space: pre-wrap;
+        }
         .hint{
           font-size:12px;
           opacity:.55;
@@ -1351,6 +2665,20 @@ function tunerHTML() {
           background: rgba(180,245,255,.14);
           border-color: rgba(180,245,255,.35);
         }
+        .zoneSmallBtn:disabled{
+          opacity: .4;
+          cursor: default;
+        }
+        .zoneMap{
+          display: block;
+          width: 100%;
+          margin-top: 8px;
+          border-radius: 12px;
+          border: 1px solid rgba(255,255,255,.12);
+          background: rgba(255,255,255,.03);
+          cursor: crosshair;
+          touch-action: none;
+        }
 
         /* Mode toggles (Orbit + Center Bias) */
         .modeWrap{
@@ -1394,13 +2722,42 @@ function tunerHTML() {
 
       <div class="actions">
         <button id="copyBtn" type="button">Copy mood block</button>
+        <button id="linkBtn" type="button">Copy link</button>
         <button id="resetBtn" type="button">Reset to Default</button>
       </div>
 
+      <div class="actions">
+        <button id="undoBtn" type="button">Undo</button>
+        <button id="redoBtn" type="button">Redo</button>
+        <button id="revertBtn" type="button">Revert to moods.json</button>
+      </div>
+
+      <div class="actions">
+        <button id="exportBtn" type="button">Export moods.json</button>
+        <button id="importBtn" type="button">Import moods.json…</button>
+        <input id="importFile" type="file" accept=".json,application/json" hidden />
+      </div>
+
+      <div id="importPreview" class="section" hidden>
+        <div class="sectionTitle">IMPORT PREVIEW</div>
+        <pre id="importDiff" class="diffOut"></pre>
+        <div class="actions">
+          <button id="importApplyBtn" type="button">Apply</button>
+          <button id="importCancelBtn" type="button">Cancel</button>
+        </div>
+      </div>
+
       <div class="hint">Click a slider title to reveal its description.</div>
+      <div id="blendWrap"></div>
       <div id="sliderWrap"></div>
+      <div id="timelineWrap"></div>
+      <div id="transitionWrap"></div>
+      <div id="captureWrap"></div>
+      <div id="rendererWrap"></div>
 
       <textarea id="jsonOut" readonly></textarea>
+
+      <div id="validationWrap" class="section"></div>
     </body>
     </html>
   `;
@@ -1431,15 +2788,43 @@ function buildPopupTunerUI() {
   const sliderWrap = doc.getElementById("sliderWrap");
   const jsonOut = doc.getElementById("jsonOut");
   const copyBtn = doc.getElementById("copyBtn");
+  const linkBtn = doc.getElementById("linkBtn");
   const resetBtn = doc.getElementById("resetBtn");
+  const undoBtn = doc.getElementById("undoBtn");
+  const redoBtn = doc.getElementById("redoBtn");
+  const revertBtn = doc.getElementById("revertBtn");
+  const exportBtn = doc.getElementById("exportBtn");
+  const importBtn = doc.getElementById("importBtn");
+  const importFile = doc.getElementById("importFile");
+  const importPreview = doc.getElementById("importPreview");
+  const importDiff = doc.getElementById("importDiff");
+  const importApplyBtn = doc.getElementById("importApplyBtn");
+  const importCancelBtn = doc.getElementById("importCancelBtn");
   const metaLine = doc.getElementById("metaLine");
+  const blendWrap = doc.getElementById("blendWrap");
+  const timelineWrap = doc.getElementById("timelineWrap");
+  const transitionWrap = doc.getElementById("transitionWrap");
+  const captureWrap = doc.getElementById("captureWrap");
+  const rendererWrap = doc.getElementById("rendererWrap");
+  const validationWrap = doc.getElementById("validationWrap");
 
   addTapFeedback(copyBtn);
+  addTapFeedback(linkBtn);
   addTapFeedback(resetBtn);
+  addTapFeedback(undoBtn);
+  addTapFeedback(redoBtn);
+  addTapFeedback(revertBtn);
+  addTapFeedback(exportBtn);
+  addTapFeedback(importBtn);
+  addTapFeedback(importApplyBtn);
+  addTapFeedback(importCancelBtn);
 
   const PARAM_GROUPS = [
     { section: "BODY MOVEMENT", keys: ["maxSpeed", "wiggle", "wiggleSpeed", "shake", "shakeSpeed"] },
     { section: "ENSEMBLE", keys: ["organismCount", "sepDistance"] },
+    { section: "FLOCKING", keys: ["alignment", "cohesion", "perception"] },
+    { section: "POINTER", keys: ["pointerRadius"] },
+    { section: "LIFECYCLE", keys: ["lifeSpeed"] },
   ];
 
   const fmt = (n) => {
@@ -1456,13 +2841,24 @@ function buildPopupTunerUI() {
 
   function updateMeta() {
     const slot = currentSlotName();
-    if (metaLine) metaLine.textContent = `editing: ${slot}`;
+    const h = moodHistory(slot);
+    const modified = differsFromFile(slot);
+
+    let text = `editing: ${slot} · seed ${simSeed}`;
+    if (blendWords.length > 1) text += ` · blend of ${blendWords.length}`;
+    text += modified ? " · ● modified" : " · = moods.json";
+    if (h && h.revs.length > 1) text += ` (rev ${h.at + 1}/${h.revs.length})`;
+    if (metaLine) metaLine.textContent = text;
+
+    undoBtn.disabled = !canStepRevision(slot, -1);
+    redoBtn.disabled = !canStepRevision(slot, 1);
+    revertBtn.disabled = !modified;
   }
 
   function setCfgValue(slot, key, value) {
     const cfg = getCfg(slot);
 
-    if (key === "organismCount" || key === "sepDistance" || key === "shakeSpeed") {
+    if (key === "organismCount" || key === "sepDistance" || key === "shakeSpeed" || key === "pointerRadius" || key === "perception") {
       value = Math.round(value);
     }
 
@@ -1472,33 +2868,7 @@ function buildPopupTunerUI() {
   }
 
   function moodBlockText(slot) {
-    const cfg = getCfg(slot);
-
-    const orderedKeys = [
-      "maxSpeed", "wiggle", "wiggleSpeed",
-      "shake", "shakeSpeed",
-      "organismCount", "sepDistance",
-      "zones",
-      "orbit",
-      "centerBias",
-    ];
-
-    const fmtVal = (k, v) => {
-      if (k === "zones") {
-        const z = normalizeZones(v);
-        return `[${z.map((s) => `"${s}"`).join(", ")}]`;
-      }
-      if (k === "orbit") return v ? "true" : "false";
-      if (k === "centerBias") return `"${normalizeCenterBias(v)}"`;
-      return v;
-    };
-
-    const lines = orderedKeys.map((k) => `  "${k}": ${fmtVal(k, cfg[k])},`).join("\n");
-
-    return `{
-  "label": "${slot}",
-${lines}
-},`;
+    return `${formatMoodBlock(slot, getCfg(slot))},`;
   }
 
   function updateTextArea() {
@@ -1549,6 +2919,7 @@ ${lines}
       }
 
       if (slot === currentSlotName()) respawnFromActiveConfig();
+      commitRevision(slot);
       updateTextArea();
       refreshVisuals();
       rebuildModeSections();
@@ -1576,6 +2947,10 @@ ${lines}
         const on = !fullOn && z.includes(c.id);
         cellEls[c.id].classList.toggle("selected", on);
       }
+
+      for (const id of ZONE_SHAPES) toolBtns[id].classList.toggle("selected", tool === id);
+      removeShapeBtn.disabled = !z.some((zone) => typeof zone === "object");
+      drawMap();
     }
 
     for (const c of cells) {
@@ -1609,6 +2984,201 @@ ${lines}
     row.appendChild(clearBtn);
     wrap.appendChild(row);
 
+    // Shape editor: draw zones onto a map of the tank (normalized, like moods.json)
+    const RING_INNER_RATIO = 0.55;   // a drawn ring's hole, relative to its radius
+    const tank = getBounds();
+    const tankW = tank.maxX - tank.minX;
+    const tankH = tank.maxY - tank.minY;
+    const side = Math.min(tankW, tankH);
+
+    let tool = "circle";
+    let draft = null;   // { shape, from? } being drawn
+
+    const toolRow = doc.createElement("div");
+    toolRow.className = "zoneRow";
+    const toolBtns = Object.create(null);
+
+    for (const id of ZONE_SHAPES) {
+      const btn = doc.createElement("button");
+      btn.type = "button";
+      btn.className = "zoneSmallBtn";
+      btn.textContent = id.toUpperCase();
+      btn.addEventListener("click", () => { tool = id; draft = null; refreshVisuals(); });
+      toolRow.appendChild(btn);
+      toolBtns[id] = btn;
+    }
+    wrap.appendChild(toolRow);
+
+    const map = doc.createElement("canvas");
+    map.className = "zoneMap";
+    map.width = 320;
+    map.height = Math.round((320 * tankH) / tankW);
+    wrap.appendChild(map);
+
+    const editRow = doc.createElement("div");
+    editRow.className = "zoneRow";
+
+    const removeShapeBtn = doc.createElement("button");
+    removeShapeBtn.type = "button";
+    removeShapeBtn.className = "zoneSmallBtn";
+    removeShapeBtn.textContent = "REMOVE LAST SHAPE";
+    removeShapeBtn.addEventListener("click", () => {
+      const z = normalizeZones(cfg.zones);
+      const last = z.map((zone) => typeof zone === "object").lastIndexOf(true);
+      if (last >= 0) setZones(z.filter((_, i) => i !== last));
+    });
+
+    editRow.appendChild(removeShapeBtn);
+    wrap.appendChild(editRow);
+
+    const editNote = doc.createElement("div");
+    editNote.className = "modeNote";
+    editNote.textContent = "Circle / ring: drag out from the centre. Rect: drag corner to corner. Polygon: click each corner, then click the first one (or double-click) to close. Shapes add to the quadrants; FULL clears them.";
+    wrap.appendChild(editNote);
+
+    function mapPoint(e) {
+      const rect = map.getBoundingClientRect();
+      return [
+        clamp((e.clientX - rect.left) / (rect.width || map.width), 0, 1),
+        clamp((e.clientY - rect.top) / (rect.height || map.height), 0, 1),
+      ];
+    }
+
+    function shapeFromDrag(a, b) {
+      if (tool === "rect") {
+        return { shape: "rect", x: Math.min(a[0], b[0]), y: Math.min(a[1], b[1]), w: Math.abs(b[0] - a[0]), h: Math.abs(b[1] - a[1]) };
+      }
+      const r = Math.hypot((b[0] - a[0]) * tankW, (b[1] - a[1]) * tankH) / side;
+      if (tool === "ring") return { shape: "ring", cx: a[0], cy: a[1], r, inner: r * RING_INNER_RATIO };
+      return { shape: "circle", cx: a[0], cy: a[1], r };
+    }
+
+    // Too small to swim in (a click, a slip): ignored. Rounded as moods.json would write it.
+    function addShape(shape) {
+      const round = (n) => +n.toFixed(3);
+      const rounded = {};
+      for (const k of Object.keys(shape)) {
+        if (k === "points") rounded.points = shape.points.map((p) => [round(p[0]), round(p[1])]);
+        else rounded[k] = typeof shape[k] === "number" ? round(shape[k]) : shape[k];
+      }
+
+      const zone = normalizeZoneShape(rounded);
+      if (zone) setZones([...normalizeZones(cfg.zones).filter((z) => z !== ZONES.full), zone]);
+    }
+
+    map.addEventListener("pointerdown", (e) => {
+      const p = mapPoint(e);
+
+      if (tool === "polygon") {
+        const pts = draft ? draft.shape.points : [];
+        const first = pts[0];
+        if (pts.length >= 3 && Math.hypot((p[0] - first[0]) * map.width, (p[1] - first[1]) * map.height) < 8) {
+          draft = null;
+          addShape({ shape: "polygon", points: pts });
+          return;
+        }
+        draft = { shape: { shape: "polygon", points: [...pts, p] } };
+        drawMap();
+        return;
+      }
+
+      draft = { from: p, shape: shapeFromDrag(p, p) };
+      if (map.setPointerCapture) map.setPointerCapture(e.pointerId);
+    });
+
+    map.addEventListener("pointermove", (e) => {
+      if (!draft || !draft.from) return;
+      draft.shape = shapeFromDrag(draft.from, mapPoint(e));
+      drawMap();
+    });
+
+    map.addEventListener("pointerup", () => {
+      if (!draft || !draft.from) return;
+      const shape = draft.shape;
+      draft = null;
+      addShape(shape);
+      drawMap();
+    });
+
+    // The second click of the double-click already added a duplicate corner
+    map.addEventListener("dblclick", () => {
+      if (tool !== "polygon" || !draft) return;
+      const pts = draft.shape.points.slice(0, -1);
+      draft = null;
+      if (pts.length >= 3) addShape({ shape: "polygon", points: pts });
+      else drawMap();
+    });
+
+    function traceZone(g, z, W, H, open = false) {
+      const s = Math.min(W, H);
+      g.beginPath();
+      switch (z.shape) {
+        case "circle":
+          g.arc(z.cx * W, z.cy * H, z.r * s, 0, Math.PI * 2);
+          break;
+        case "ring":
+          g.arc(z.cx * W, z.cy * H, z.r * s, 0, Math.PI * 2);
+          g.moveTo(z.cx * W + z.inner * s, z.cy * H);
+          g.arc(z.cx * W, z.cy * H, z.inner * s, 0, Math.PI * 2);
+          break;
+        case "rect":
+          g.rect(z.x * W, z.y * H, z.w * W, z.h * H);
+          break;
+        case "polygon":
+          z.points.forEach((p, i) => (i ? g.lineTo(p[0] * W, p[1] * H) : g.moveTo(p[0] * W, p[1] * H)));
+          if (!open) g.closePath();
+          break;
+      }
+    }
+
+    function drawMap() {
+      const g = map.getContext("2d");
+      if (!g) return;
+
+      const W = map.width;
+      const H = map.height;
+      const z = normalizeZones(cfg.zones);
+      const fill = "rgba(180,245,255,.16)";
+      const line = "rgba(180,245,255,.6)";
+
+      g.clearRect(0, 0, W, H);
+      g.strokeStyle = "rgba(255,255,255,.14)";
+      g.lineWidth = 1;
+      g.beginPath();
+      g.moveTo(W / 2, 0); g.lineTo(W / 2, H);
+      g.moveTo(0, H / 2); g.lineTo(W, H / 2);
+      g.stroke();
+
+      g.fillStyle = fill;
+      if (z.includes(ZONES.full)) g.fillRect(0, 0, W, H);
+      const quads = { topLeft: [0, 0], topRight: [0.5, 0], bottomLeft: [0, 0.5], bottomRight: [0.5, 0.5] };
+      for (const q of Object.keys(quads)) {
+        if (z.includes(q)) g.fillRect(quads[q][0] * W, quads[q][1] * H, W / 2, H / 2);
+      }
+
+      for (const zone of z) {
+        if (typeof zone !== "object") continue;
+        traceZone(g, zone, W, H);
+        g.fillStyle = fill;
+        g.fill("evenodd");
+        g.strokeStyle = line;
+        g.stroke();
+      }
+
+      if (draft) {
+        const open = draft.shape.shape === "polygon";
+        traceZone(g, draft.shape, W, H, open);
+        g.setLineDash([4, 4]);
+        g.strokeStyle = line;
+        g.stroke();
+        g.setLineDash([]);
+        if (open) {
+          g.fillStyle = line;
+          for (const p of draft.shape.points) g.fillRect(p[0] * W - 2, p[1] * H - 2, 4, 4);
+        }
+      }
+    }
+
     refreshVisuals();
     return wrap;
   }
@@ -1656,6 +3226,7 @@ ${lines}
     function setOrbit(v) {
       cfg.orbit = !!v;
       if (slot === currentSlotName()) respawnFromActiveConfig();
+      commitRevision(slot);
       updateTextArea();
       refresh();
     }
@@ -1717,6 +3288,7 @@ ${lines}
     function setMode(v) {
       cfg.centerBias = normalizeCenterBias(v);
       if (slot === currentSlotName()) respawnFromActiveConfig();
+      commitRevision(slot);
       updateTextArea();
       refresh();
     }
@@ -1739,36 +3311,190 @@ ${lines}
     return wrap;
   }
 
-  function rebuildModeSections() {
-    if (orbitSectionEl && orbitSectionEl.parentNode) orbitSectionEl.parentNode.removeChild(orbitSectionEl);
-    if (centerBiasSectionEl && centerBiasSectionEl.parentNode) centerBiasSectionEl.parentNode.removeChild(centerBiasSectionEl);
-
-    orbitSectionEl = buildOrbitSectionIfFull();
-    if (orbitSectionEl) sliderWrap.appendChild(orbitSectionEl);
+  function buildPointerModeSection() {
+    const slot = currentSlotName();
+    const cfg = getCfg(slot);
 
-    centerBiasSectionEl = buildCenterBiasSectionIfFull();
-    if (centerBiasSectionEl) sliderWrap.appendChild(centerBiasSectionEl);
-  }
+    const wrap = doc.createElement("div");
+    wrap.className = "zoneSection";
 
-  function buildSlidersForCurrentSlot() {
-    sliderWrap.innerHTML = "";
-    orbitSectionEl = null;
-    centerBiasSectionEl = null;
+    const title = doc.createElement("div");
+    title.className = "zoneTitle";
+    title.textContent = "POINTER";
+    wrap.appendChild(title);
 
-    const slot = currentSlotName();
-    getCfg(slot); // ensure normalized
+    const row = doc.createElement("div");
+    row.className = "modeWrap";
 
-    PARAM_GROUPS.forEach((group) => {
-      const section = doc.createElement("div");
-      section.className = "section";
+    const buttons = ["ignore", "flee", "approach"].map((mode) => {
+      const btn = doc.createElement("button");
+      btn.type = "button";
+      btn.className = "modeBtn";
+      btn.textContent = mode.toUpperCase();
+      btn.addEventListener("click", () => setMode(mode));
+      row.appendChild(btn);
+      return { mode, btn };
+    });
+    wrap.appendChild(row);
 
-      const title = doc.createElement("div");
-      title.className = "sectionTitle";
-      title.textContent = group.section;
-      section.appendChild(title);
+    function refresh() {
+      const m = normalizePointerMode(cfg.pointerMode);
+      buttons.forEach(({ mode, btn }) => btn.classList.toggle("selected", m === mode));
+    }
 
-      group.keys.forEach((key) => {
-        const info = TUNER_DESCRIPTIONS[key] || { title: key, desc: "" };
+    function setMode(v) {
+      cfg.pointerMode = normalizePointerMode(v);
+      commitRevision(slot);
+      updateTextArea();
+      refresh();
+    }
+
+    const note = doc.createElement("div");
+    note.className = "modeNote";
+    note.textContent = "How organisms react to a hovering mouse or a finger on the tank. Taps scatter nearby organisms in every mode.";
+    wrap.appendChild(note);
+
+    refresh();
+    return wrap;
+  }
+
+  // Share sliders per species; refreshSpecies() updates the live head count every tick.
+  let refreshSpecies = () => {};
+
+  function buildSpeciesSection() {
+    const slot = currentSlotName();
+    const ids = Object.keys(SPECIES);
+
+    const wrap = doc.createElement("div");
+    wrap.className = "section";
+
+    const title = doc.createElement("div");
+    title.className = "sectionTitle";
+    title.textContent = "SPECIES";
+    wrap.appendChild(title);
+
+    const rows = ids.map((id) => {
+      const row = doc.createElement("div");
+      row.className = "sliderRow";
+
+      const head = doc.createElement("div");
+      head.className = "sliderHead";
+
+      const lab = doc.createElement("div");
+      lab.className = "sliderTitle";
+      lab.textContent = SPECIES[id].label;
+
+      const val = doc.createElement("div");
+      val.className = "sliderVal";
+
+      head.appendChild(lab);
+      head.appendChild(val);
+
+      const sp = SPECIES[id];
+      const desc = doc.createElement("div");
+      desc.className = "sliderDesc";
+      desc.textContent = `${sp.segments} segments, ${sp.legs} legs, ${sp.length[0]}–${sp.length[1]}px long; ` +
+        `speed x${sp.speedMul}, sociability ${sp.sociability}. Share of the population.`;
+
+      const slider = doc.createElement("input");
+      slider.type = "range";
+      slider.min = "0";
+      slider.max = "100";
+      slider.step = "1";
+
+      head.addEventListener("click", () => row.classList.toggle("open"));
+
+      slider.addEventListener("input", () => {
+        setShare(id, parseFloat(slider.value) / 100);
+        updateTextArea();
+      });
+      slider.addEventListener("change", () => commitRevision(slot));
+
+      row.appendChild(head);
+      row.appendChild(desc);
+      row.appendChild(slider);
+      wrap.appendChild(row);
+      return { id, val, slider };
+    });
+
+    const breakdown = doc.createElement("div");
+    breakdown.className = "modeNote";
+    wrap.appendChild(breakdown);
+
+    // Moving one share rescales the others to fill the rest.
+    function setShare(id, share) {
+      const mix = normalizeSpeciesMix(getCfg(slot).species);
+      share = clamp(Number.isFinite(share) ? share : 0, 0, 1);
+
+      const others = ids.filter((k) => k !== id);
+      const rest = others.reduce((sum, k) => sum + (mix[k] || 0), 0);
+      const next = { [id]: share };
+      for (const k of others) {
+        next[k] = rest > 0 ? ((mix[k] || 0) / rest) * (1 - share) : (k === others[0] ? 1 - share : 0);
+      }
+
+      const out = {};
+      for (const k of ids) {
+        const w = Math.round(next[k] * 100) / 100;
+        if (w > 0) out[k] = w;
+      }
+      setCfgValue(slot, "species", normalizeSpeciesMix(out));
+      refreshShares();
+    }
+
+    function refreshShares() {
+      const mix = normalizeSpeciesMix(getCfg(slot).species);
+      rows.forEach(({ id, val, slider }) => {
+        const pct = Math.round((mix[id] || 0) * 100);
+        val.textContent = `${pct}%`;
+        if (doc.activeElement !== slider) slider.value = String(pct);
+      });
+    }
+
+    refreshSpecies = () => {
+      const counts = field.speciesBreakdown();
+      const total = ids.reduce((sum, id) => sum + (counts[id] || 0), 0);
+      const parts = ids
+        .filter((id) => counts[id])
+        .map((id) => `${SPECIES[id].label} ${counts[id]} (${Math.round((counts[id] / total) * 100)}%)`);
+      breakdown.textContent = `Population: ${parts.join(" · ") || "none"}`;
+    };
+
+    refreshShares();
+    refreshSpecies();
+    return wrap;
+  }
+
+  function rebuildModeSections() {
+    if (orbitSectionEl && orbitSectionEl.parentNode) orbitSectionEl.parentNode.removeChild(orbitSectionEl);
+    if (centerBiasSectionEl && centerBiasSectionEl.parentNode) centerBiasSectionEl.parentNode.removeChild(centerBiasSectionEl);
+
+    orbitSectionEl = buildOrbitSectionIfFull();
+    if (orbitSectionEl) sliderWrap.appendChild(orbitSectionEl);
+
+    centerBiasSectionEl = buildCenterBiasSectionIfFull();
+    if (centerBiasSectionEl) sliderWrap.appendChild(centerBiasSectionEl);
+  }
+
+  function buildSlidersForCurrentSlot() {
+    sliderWrap.innerHTML = "";
+    orbitSectionEl = null;
+    centerBiasSectionEl = null;
+
+    const slot = currentSlotName();
+    getCfg(slot); // ensure normalized
+
+    PARAM_GROUPS.forEach((group) => {
+      const section = doc.createElement("div");
+      section.className = "section";
+
+      const title = doc.createElement("div");
+      title.className = "sectionTitle";
+      title.textContent = group.section;
+      section.appendChild(title);
+
+      group.keys.forEach((key) => {
+        const info = TUNER_DESCRIPTIONS[key] || { title: key, desc: "" };
         const spec = sliderSpec(key);
 
         const row = doc.createElement("div");
@@ -1811,6 +3537,9 @@ ${lines}
           updateTextArea();
         });
 
+        // One revision per drag, not per input event
+        slider.addEventListener("change", () => commitRevision(slot));
+
         row.appendChild(head);
         row.appendChild(desc);
         row.appendChild(slider);
@@ -1820,6 +3549,9 @@ ${lines}
       sliderWrap.appendChild(section);
     });
 
+    sliderWrap.appendChild(buildPointerModeSection());
+    sliderWrap.appendChild(buildSpeciesSection());
+
     // Zones UI
     sliderWrap.appendChild(buildZoneSelectorForCurrentSlot());
 
@@ -1829,6 +3561,419 @@ ${lines}
     updateTextArea();
   }
 
+  // Weight sliders while several words are selected (see MOOD BLENDS). refreshBlend() runs every tick.
+  let refreshBlend = () => {};
+
+  function buildBlendSection() {
+    blendWrap.innerHTML = "";
+    refreshBlend = () => {};
+    if (blendWords.length < 2) return;
+
+    const words = [...blendWords];
+
+    const wrap = doc.createElement("div");
+    wrap.className = "zoneSection";
+
+    const title = doc.createElement("div");
+    title.className = "zoneTitle";
+    title.textContent = `BLEND (${words.length} MOODS)`;
+    wrap.appendChild(title);
+
+    const rows = words.map((word, i) => {
+      const row = doc.createElement("div");
+      row.className = "sliderRow";
+
+      const head = doc.createElement("div");
+      head.className = "sliderHead";
+
+      const lab = doc.createElement("div");
+      lab.className = "sliderTitle";
+      lab.textContent = i === 0 ? `${word} (editing)` : word;
+
+      const val = doc.createElement("div");
+      val.className = "sliderVal";
+
+      head.appendChild(lab);
+      head.appendChild(val);
+
+      const slider = doc.createElement("input");
+      slider.type = "range";
+      slider.min = "0.1";
+      slider.max = "2";
+      slider.step = "0.05";
+      slider.value = String(blendWeight(word));
+
+      slider.addEventListener("input", () => {
+        const v = parseFloat(slider.value);
+        if (Number.isFinite(v)) blendWeights[word] = v;
+        refreshBlend();
+      });
+
+      row.appendChild(head);
+      row.appendChild(slider);
+      wrap.appendChild(row);
+      return { word, val };
+    });
+
+    const note = doc.createElement("div");
+    note.className = "modeNote";
+    note.textContent = `The tank runs the weighted mix of these moods; the sliders and JSON below edit ${words[0]} alone. Weights last for this session.`;
+    wrap.appendChild(note);
+
+    refreshBlend = () => {
+      const total = words.reduce((sum, w) => sum + blendWeight(w), 0);
+      rows.forEach(({ word, val }) => { val.textContent = `${Math.round((blendWeight(word) / total) * 100)}%`; });
+    };
+
+    refreshBlend();
+    blendWrap.appendChild(wrap);
+  }
+
+  // Preview + scrub for moods with keyframes. refreshTimeline() runs every tick.
+  let refreshTimeline = () => {};
+
+  function buildTimelineSection() {
+    timelineWrap.innerHTML = "";
+    refreshTimeline = () => {};
+
+    const cfg = getCfg(currentSlotName());
+    if (!hasTimeline(cfg)) return;
+
+    const duration = timelineDuration(cfg);
+
+    const wrap = doc.createElement("div");
+    wrap.className = "zoneSection";
+
+    const title = doc.createElement("div");
+    title.className = "zoneTitle";
+    title.textContent = `TIMELINE (${cfg.keyframes.length} KEYFRAMES, ${(cfg.keyframeLoop || "none").toUpperCase()})`;
+    wrap.appendChild(title);
+
+    const sliderRow = doc.createElement("div");
+    sliderRow.className = "sliderRow";
+
+    const head = doc.createElement("div");
+    head.className = "sliderHead";
+
+    const lab = doc.createElement("div");
+    lab.className = "sliderTitle";
+    lab.textContent = "Playhead";
+
+    const val = doc.createElement("div");
+    val.className = "sliderVal";
+
+    head.appendChild(lab);
+    head.appendChild(val);
+
+    const scrub = doc.createElement("input");
+    scrub.type = "range";
+    scrub.min = "0";
+    scrub.max = String(duration);
+    scrub.step = "0.1";
+
+    sliderRow.appendChild(head);
+    sliderRow.appendChild(scrub);
+    wrap.appendChild(sliderRow);
+
+    const row = doc.createElement("div");
+    row.className = "modeWrap";
+
+    const playBtn = doc.createElement("button");
+    playBtn.type = "button";
+    playBtn.className = "modeBtn";
+
+    const restartBtn = doc.createElement("button");
+    restartBtn.type = "button";
+    restartBtn.className = "modeBtn";
+    restartBtn.textContent = "RESTART";
+
+    row.appendChild(playBtn);
+    row.appendChild(restartBtn);
+    wrap.appendChild(row);
+
+    const note = doc.createElement("div");
+    note.className = "modeNote";
+    note.textContent = "Drag the playhead to preview any moment. Keyframes are authored in moods.json.";
+    wrap.appendChild(note);
+
+    let dragging = false;
+
+    refreshTimeline = () => {
+      const info = evalTimeline(getCfg(currentSlotName()), field.timelineSeconds());
+      if (!dragging) scrub.value = String(info.t);
+      val.textContent = `${info.t.toFixed(1)} / ${duration.toFixed(1)} s`;
+      playBtn.textContent = field.timeline.pausedAt === null ? "PAUSE" : "PLAY";
+    };
+
+    scrub.addEventListener("pointerdown", () => { dragging = true; });
+    scrub.addEventListener("change", () => { dragging = false; });
+    scrub.addEventListener("input", () => {
+      const v = parseFloat(scrub.value);
+      if (Number.isFinite(v)) field.scrubTimeline(v);
+    });
+
+    playBtn.addEventListener("click", () => field.setTimelinePaused(field.timeline.pausedAt === null));
+    restartBtn.addEventListener("click", () => field.scrubTimeline(0));
+
+    timelineWrap.appendChild(wrap);
+    refreshTimeline();
+  }
+
+  // Global (not per mood): how activateWord() moves between moods
+  function buildTransitionSection() {
+    transitionWrap.innerHTML = "";
+
+    const wrap = doc.createElement("div");
+    wrap.className = "zoneSection";
+
+    const title = doc.createElement("div");
+    title.className = "zoneTitle";
+    title.textContent = "MOOD TRANSITION (ALL MOODS)";
+    wrap.appendChild(title);
+
+    const row = doc.createElement("div");
+    row.className = "modeWrap";
+
+    const fadeBtn = doc.createElement("button");
+    fadeBtn.type = "button";
+    fadeBtn.className = "modeBtn";
+    fadeBtn.textContent = "CROSSFADE";
+
+    const cutBtn = doc.createElement("button");
+    cutBtn.type = "button";
+    cutBtn.className = "modeBtn";
+    cutBtn.textContent = "CUT";
+
+    row.appendChild(fadeBtn);
+    row.appendChild(cutBtn);
+    wrap.appendChild(row);
+
+    const sliderRow = doc.createElement("div");
+    sliderRow.className = "sliderRow";
+
+    const head = doc.createElement("div");
+    head.className = "sliderHead";
+
+    const lab = doc.createElement("div");
+    lab.className = "sliderTitle";
+    lab.textContent = "Crossfade Duration";
+
+    const val = doc.createElement("div");
+    val.className = "sliderVal";
+
+    head.appendChild(lab);
+    head.appendChild(val);
+
+    const slider = doc.createElement("input");
+    slider.type = "range";
+    slider.min = "0.5";
+    slider.max = "10";
+    slider.step = "0.1";
+    slider.value = String(transitionSeconds);
+
+    sliderRow.appendChild(head);
+    sliderRow.appendChild(slider);
+    wrap.appendChild(sliderRow);
+
+    const note = doc.createElement("div");
+    note.className = "modeNote";
+    note.textContent = "Crossfade keeps the swarm alive between moods: motion and zones interpolate, surplus organisms fade out, new ones fade in. Cut respawns the field.";
+    wrap.appendChild(note);
+
+    function refresh() {
+      fadeBtn.classList.toggle("selected", transitionMode === "crossfade");
+      cutBtn.classList.toggle("selected", transitionMode === "cut");
+      sliderRow.style.opacity = transitionMode === "crossfade" ? "1" : "0.45";
+      val.textContent = `${transitionSeconds.toFixed(1)} s`;
+    }
+
+    fadeBtn.addEventListener("click", () => { transitionMode = "crossfade"; refresh(); });
+    cutBtn.addEventListener("click", () => { transitionMode = "cut"; refresh(); });
+
+    slider.addEventListener("input", () => {
+      const v = parseFloat(slider.value);
+      if (Number.isFinite(v)) transitionSeconds = v;
+      refresh();
+    });
+
+    transitionWrap.appendChild(wrap);
+    refresh();
+  }
+
+  // Global (not per mood): WebM recording and fixed-dt frame export
+  let refreshCapture = () => {};
+
+  function buildCaptureSection() {
+    captureWrap.innerHTML = "";
+
+    const wrap = doc.createElement("div");
+    wrap.className = "zoneSection";
+
+    const title = doc.createElement("div");
+    title.className = "zoneTitle";
+    title.textContent = "CAPTURE";
+    wrap.appendChild(title);
+
+    const sliderRow = doc.createElement("div");
+    sliderRow.className = "sliderRow";
+
+    const head = doc.createElement("div");
+    head.className = "sliderHead";
+
+    const lab = doc.createElement("div");
+    lab.className = "sliderTitle";
+    lab.textContent = "Length";
+
+    const val = doc.createElement("div");
+    val.className = "sliderVal";
+
+    head.appendChild(lab);
+    head.appendChild(val);
+
+    const slider = doc.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "120";
+    slider.step = "1";
+    slider.value = String(capture.seconds);
+
+    sliderRow.appendChild(head);
+    sliderRow.appendChild(slider);
+    wrap.appendChild(sliderRow);
+
+    const row = doc.createElement("div");
+    row.className = "modeWrap";
+
+    const recBtn = doc.createElement("button");
+    recBtn.type = "button";
+    recBtn.className = "modeBtn";
+
+    const framesBtn = doc.createElement("button");
+    framesBtn.type = "button";
+    framesBtn.className = "modeBtn";
+    framesBtn.textContent = "EXPORT FRAMES (F)";
+
+    row.appendChild(recBtn);
+    row.appendChild(framesBtn);
+    wrap.appendChild(row);
+
+    const note = doc.createElement("div");
+    note.className = "modeNote";
+    wrap.appendChild(note);
+
+    refreshCapture = () => {
+      val.textContent = capture.seconds > 0
+        ? `${capture.seconds} s`
+        : `1 mood cycle (${captureSeconds().toFixed(1)} s)`;
+      recBtn.textContent = capture.recorder ? "STOP RECORDING (V)" : "RECORD WEBM (V)";
+      recBtn.classList.toggle("selected", !!capture.recorder);
+      recBtn.disabled = capture.exporting;
+      framesBtn.disabled = isCapturing();
+      note.textContent = capture.status ||
+        `Both respawn the field first, so seed + mood gives the same take. Frames export at ${CAPTURE_FPS} fps as a .zip of PNGs.`;
+    };
+
+    slider.addEventListener("input", () => {
+      const v = parseInt(slider.value, 10);
+      if (Number.isFinite(v)) capture.seconds = v;
+      refreshCapture();
+    });
+
+    recBtn.addEventListener("click", toggleRecording);
+    framesBtn.addEventListener("click", exportFrameSequence);
+
+    captureWrap.appendChild(wrap);
+    refreshCapture();
+  }
+
+  // Global (not per mood): which renderer paints the tank, and its post effects
+  let refreshRenderer = () => {};
+
+  function buildRendererSection() {
+    rendererWrap.innerHTML = "";
+
+    const wrap = doc.createElement("div");
+    wrap.className = "zoneSection";
+
+    const title = doc.createElement("div");
+    title.className = "zoneTitle";
+    title.textContent = "RENDERER (G)";
+    wrap.appendChild(title);
+
+    const kindRow = doc.createElement("div");
+    kindRow.className = "modeWrap";
+
+    const kindBtns = RENDERER_KINDS.map((kind) => {
+      const btn = doc.createElement("button");
+      btn.type = "button";
+      btn.className = "modeBtn";
+      btn.textContent = kind === "webgl" ? "WEBGL" : "2D";
+      btn.addEventListener("click", () => { setRenderer(kind); refreshRenderer(); });
+      kindRow.appendChild(btn);
+      return btn;
+    });
+    wrap.appendChild(kindRow);
+
+    const effectRow = doc.createElement("div");
+    effectRow.className = "modeWrap";
+
+    const effectBtns = Object.keys(renderer.effects).map((name) => {
+      const btn = doc.createElement("button");
+      btn.type = "button";
+      btn.className = "modeBtn";
+      btn.textContent = name.toUpperCase();
+      btn.addEventListener("click", () => { setRenderEffects({ [name]: !renderer.effects[name] }); refreshRenderer(); });
+      effectRow.appendChild(btn);
+      return btn;
+    });
+    wrap.appendChild(effectRow);
+
+    const note = doc.createElement("div");
+    note.className = "modeNote";
+    note.textContent = `WebGL draws every organism in a few instanced calls, for populations up to ${MAX_ORGANISMS}. Bloom and caustics are WebGL only; without WebGL2 the tank stays 2D.`;
+    wrap.appendChild(note);
+
+    refreshRenderer = () => {
+      kindBtns.forEach((btn, i) => {
+        btn.classList.toggle("selected", renderer.kind === RENDERER_KINDS[i]);
+        btn.disabled = isCapturing();
+      });
+      Object.keys(renderer.effects).forEach((name, i) => {
+        effectBtns[i].classList.toggle("selected", renderer.effects[name]);
+        effectBtns[i].disabled = renderer.kind !== "webgl";
+      });
+    };
+
+    rendererWrap.appendChild(wrap);
+    refreshRenderer();
+  }
+
+  // moods.json problems found at load; the current slot's issues come first
+  function buildValidationSection() {
+    validationWrap.innerHTML = "";
+
+    const title = doc.createElement("div");
+    title.className = "sectionTitle";
+    title.textContent = `MOODS.JSON VALIDATION (${MOOD_VALIDATION_REPORT.length})`;
+    validationWrap.appendChild(title);
+
+    if (!MOOD_VALIDATION_REPORT.length) {
+      const ok = doc.createElement("div");
+      ok.className = "modeNote";
+      ok.textContent = "No problems found.";
+      validationWrap.appendChild(ok);
+      return;
+    }
+
+    const slot = currentSlotName();
+    const sorted = MOOD_VALIDATION_REPORT.slice().sort((a, b) => (b.label === slot) - (a.label === slot));
+
+    const out = doc.createElement("pre");
+    out.className = "diffOut";
+    out.textContent = sorted.map(formatValidationIssue).join("\n");
+    validationWrap.appendChild(out);
+  }
+
   copyBtn.addEventListener("click", async () => {
     const slot = currentSlotName();
     const text = moodBlockText(slot);
@@ -1844,36 +3989,688 @@ ${lines}
     }
   });
 
+  // A link to this exact state (see Deep links); copied through the JSON box if the clipboard is blocked.
+  linkBtn.addEventListener("click", async () => {
+    const link = deepLinkURL();
+
+    try {
+      await tunerWindow.navigator.clipboard.writeText(link);
+    } catch {
+      jsonOut.value = link;
+      jsonOut.focus();
+      jsonOut.select();
+      doc.execCommand("copy");
+    }
+  });
+
   resetBtn.addEventListener("click", () => {
     const slot = currentSlotName();
-    SLOT_CONFIGS[slot] = { ...DEFAULT_CONFIG };
+    SLOT_CONFIGS[slot] = baseMoodConfig();
+    commitRevision(slot);
     respawnFromActiveConfig();
     updateMeta();
     buildSlidersForCurrentSlot();
   });
 
+  exportBtn.addEventListener("click", () => {
+    const blob = new tunerWindow.Blob([libraryExportText()], { type: "application/json" });
+    const url = tunerWindow.URL.createObjectURL(blob);
+
+    const a = doc.createElement("a");
+    a.href = url;
+    a.download = "moods.json";
+    doc.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => tunerWindow.URL.revokeObjectURL(url), 1000);
+  });
+
+  let pendingImport = null;
+
+  function closeImportPreview() {
+    pendingImport = null;
+    importPreview.hidden = true;
+    importDiff.textContent = "";
+    importFile.value = "";
+  }
+
+  importBtn.addEventListener("click", () => importFile.click());
+
+  importFile.addEventListener("change", async () => {
+    const file = importFile.files && importFile.files[0];
+    if (!file) return;
+
+    importPreview.hidden = false;
+
+    try {
+      const { entries, issues } = parseMoodLibraryText(await file.text());
+      logValidationReport(issues, file.name);
+
+      pendingImport = diffMoodLibrary(entries);
+      importDiff.textContent = describeLibraryDiff(pendingImport, MOOD_POOL_NAMES.length);
+      if (issues.length) {
+        importDiff.textContent += `\n\n${issues.length} validation issue(s):\n${issues.map(formatValidationIssue).join("\n")}`;
+      }
+      importApplyBtn.disabled = !pendingImport.some((c) => c.kind !== "absent");
+    } catch (err) {
+      pendingImport = null;
+      importDiff.textContent = `Could not read ${file.name}: ${err.message}`;
+      importApplyBtn.disabled = true;
+    }
+  });
+
+  importApplyBtn.addEventListener("click", () => {
+    if (!pendingImport) return;
+    applyLibraryDiff(pendingImport);
+    closeImportPreview();
+    updateMeta();
+    buildSlidersForCurrentSlot();
+  });
+
+  importCancelBtn.addEventListener("click", closeImportPreview);
+
+  function applyHistoryChange(changed) {
+    if (!changed) return;
+    respawnFromActiveConfig();
+    updateMeta();
+    buildSlidersForCurrentSlot();
+  }
+
+  undoBtn.addEventListener("click", () => applyHistoryChange(stepRevision(currentSlotName(), -1)));
+  redoBtn.addEventListener("click", () => applyHistoryChange(stepRevision(currentSlotName(), 1)));
+  revertBtn.addEventListener("click", () => {
+    revertToFile(currentSlotName());
+    applyHistoryChange(true);
+  });
+
   updateMeta();
+  buildBlendSection();
   buildSlidersForCurrentSlot();
+  buildTimelineSection();
+  buildTransitionSection();
+  buildCaptureSection();
+  buildRendererSection();
+  buildValidationSection();
 
   let lastSlot = currentSlotName();
+  let lastBlend = blendWords.join("|");
   function tick() {
     if (!tunerWindow || tunerWindow.closed) return;
 
+    const nowBlend = blendWords.join("|");
+    if (nowBlend !== lastBlend) {
+      lastBlend = nowBlend;
+      buildBlendSection();
+    }
+
     const nowSlot = currentSlotName();
     if (nowSlot !== lastSlot) {
       lastSlot = nowSlot;
       updateMeta();
       buildSlidersForCurrentSlot();
+      buildTimelineSection();
+      buildValidationSection();
     } else {
       updateMeta();
       updateTextArea();
+      refreshTimeline();
+      refreshSpecies();
+      refreshBlend();
     }
+    refreshCapture();
+    refreshRenderer();
 
     tunerWindow.requestAnimationFrame(tick);
   }
   tunerWindow.requestAnimationFrame(tick);
 }
 
+/* ---------------------------
+   Exhibition mode (autoplay)
+----------------------------*/
+
+const exhibit = {
+  enabled: false,
+  dwellMs: EXHIBIT_DWELL_SECONDS * 1000,
+  idleMs: EXHIBIT_IDLE_SECONDS * 1000,
+  order: "random",     // "random" | "playlist"
+  playlist: [],        // labels; empty = library order
+  index: -1,
+  timer: null,
+  lastInteraction: 0,
+};
+
+function readExhibitOptions() {
+  const params = new URLSearchParams(window.location.search);
+
+  const secs = (name, fallback) => {
+    const v = parseFloat(params.get(name));
+    return Number.isFinite(v) && v > 0 ? v : fallback;
+  };
+
+  exhibit.dwellMs = secs("dwell", EXHIBIT_DWELL_SECONDS) * 1000;
+  exhibit.idleMs = secs("idle", EXHIBIT_IDLE_SECONDS) * 1000;
+
+  const list = (params.get("playlist") || "").split(",").map((x) => x.trim()).filter(Boolean);
+  exhibit.playlist = list;
+  const order = params.get("order");
+  exhibit.order = order === "playlist" || order === "random" ? order : list.length ? "playlist" : "random";
+
+  return params.has("exhibit") && params.get("exhibit") !== "0";
+}
+
+function nextExhibitLabel() {
+  const source = exhibit.playlist.length ? exhibit.playlist : MOOD_POOL_NAMES;
+
+  if (exhibit.order === "playlist") {
+    const list = source.filter((label) => MOOD_POOL_NAMES.includes(label));
+    if (!list.length) return null;
+
+    exhibit.index = (exhibit.index + 1) % list.length;
+    return list[exhibit.index];
+  }
+
+  const pool = source.filter((label) => MOOD_POOL_NAMES.includes(label) && label !== uiSelectedWord);
+  if (!pool.length) return null;
+  return pool[Math.floor(uiRng() * pool.length)];
+}
+
+function scheduleExhibit(ms) {
+  clearTimeout(exhibit.timer);
+  exhibit.timer = setTimeout(exhibitStep, Math.max(250, ms));
+}
+
+function exhibitStep() {
+  if (!exhibit.enabled) return;
+
+  // A visitor is here: wait until they have been idle long enough.
+  const idleLeft = exhibit.lastInteraction + exhibit.idleMs - performance.now();
+  if (idleLeft > 0) {
+    scheduleExhibit(idleLeft);
+    return;
+  }
+
+  if (isCyclingWords) {
+    scheduleExhibit(calmMs(MORE_SWAP_DELAY_MS));
+    return;
+  }
+
+  const label = nextExhibitLabel();
+  if (label) cycleWords(label, () => activateWord(label));
+
+  scheduleExhibit(exhibit.dwellMs);
+}
+
+function setExhibitMode(on) {
+  exhibit.enabled = !!on;
+  clearTimeout(exhibit.timer);
+  if (!exhibit.enabled) return;
+
+  exhibit.lastInteraction = -Infinity; // start right away, even if switched on by a keypress
+  scheduleExhibit(0);
+}
+
+function noteVisitorInteraction(e) {
+  if (!e.isTrusted) return;
+  exhibit.lastInteraction = performance.now();
+}
+
+/* ---------------------------
+   Worker rendering (?worker)
+   - The canvas is transferred to worker.js, which owns the Field, steps it and paints
+     it with render.js; the page keeps the words, tuner and audio
+   - `field` becomes a WorkerField: the Field calls script.js makes, posted across;
+     reads come from the worker's last "state" message (one per painted frame)
+   - No OffscreenCanvas, or the worker fails to start: a fresh canvas + the main-thread path
+----------------------------*/
+
+const RENDER_WORKER_SRC = "./worker.js";
+
+function renderWorkerRequested() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has("worker") || params.get("worker") === "0") return false;
+
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined" || !canvas.transferControlToOffscreen) {
+    console.warn("?worker: OffscreenCanvas is not supported here; drawing on the main thread.");
+    return false;
+  }
+  return true;
+}
+
+function usingRenderWorker() {
+  return field instanceof WorkerField;
+}
+
+class WorkerField {
+  constructor(worker) {
+    this.worker = worker;
+    this.now = 0;
+    this.timeline = { pausedAt: null };
+    this.state = null;          // last { type: "state", ... } from the worker
+    this.contacts = [];
+    this.frames = new Map();    // export frame id -> { resolve, reject }
+    this.nextFrameId = 1;
+    this.sentCfg = "";          // JSON of the slot config the worker has
+
+    worker.addEventListener("message", (e) => this.receive(e.data));
+  }
+
+  post(msg, transfer = []) {
+    this.worker.postMessage(msg, transfer);
+  }
+
+  receive(msg) {
+    switch (msg.type) {
+      case "state":
+        this.state = msg;
+        this.now = msg.now;
+        this.timeline.pausedAt = msg.paused ? msg.timelineSeconds : null;
+        this.contacts.push(...msg.contacts);
+        if (this.contacts.length > MAX_CONTACTS) this.contacts.splice(0, this.contacts.length - MAX_CONTACTS);
+        break;
+
+      // The worker could not start the renderer it was asked for
+      case "renderer":
+        console.warn(`WebGL renderer unavailable in the worker (${msg.reason}); drawing with canvas 2D.`);
+        renderer.kind = msg.kind;
+        break;
+
+      case "frame": {
+        const pending = this.frames.get(msg.id);
+        this.frames.delete(msg.id);
+        if (!pending) break;
+        if (msg.error) pending.reject(new Error(msg.error));
+        else pending.resolve(new Uint8Array(msg.png));
+        break;
+      }
+    }
+  }
+
+  // Field calls (sim.js)
+  reseed(seed) {
+    this.post({ type: "reseed", seed });
+  }
+
+  respawn(slotCfg, bounds) {
+    this.sentCfg = JSON.stringify(slotCfg);
+    this.post({ type: "respawn", cfg: slotCfg, bounds });
+  }
+
+  beginTransition(prevCfg, seconds) {
+    this.post({ type: "transition", prevCfg, seconds });
+  }
+
+  effectiveConfig(slotCfg) {
+    return this.state ? this.state.cfg : normalizeSlotCfg({ ...slotCfg });
+  }
+
+  isEmpty() {
+    return !this.state || this.state.count === 0;
+  }
+
+  speciesBreakdown() {
+    return this.state ? this.state.breakdown : {};
+  }
+
+  timelineSeconds() {
+    return this.state ? this.state.timelineSeconds : 0;
+  }
+
+  setTimelinePaused(paused) {
+    this.post({ type: "timelinePaused", paused });
+  }
+
+  scrubTimeline(seconds) {
+    this.post({ type: "scrub", seconds });
+  }
+
+  setPointer(x, y) {
+    this.post({ type: "pointer", x, y });
+  }
+
+  clearPointer() {
+    this.post({ type: "clearPointer" });
+  }
+
+  disturb(x, y, radius) {
+    this.post({ type: "disturb", x, y, radius });
+  }
+
+  feed(x, y) {
+    this.post({ type: "feed", x, y });
+  }
+
+  setCalm(on) {
+    this.post({ type: "calm", on });
+  }
+
+  drainContacts() {
+    const out = this.contacts;
+    this.contacts = [];
+    return out;
+  }
+
+  // Worker only
+  resize(width, height, dpr) {
+    this.post({ type: "resize", width, height, dpr });
+  }
+
+  // Tuner edits that don't respawn (mode buttons) still have to reach the worker.
+  sync(slotCfg) {
+    const json = JSON.stringify(slotCfg);
+    if (json === this.sentCfg) return;
+    this.sentCfg = json;
+    this.post({ type: "config", cfg: slotCfg });
+  }
+
+  addRipple(ripple) {
+    this.post({ type: "ripple", ripple });
+  }
+
+  setEffects(effects) {
+    this.post({ type: "effects", effects });
+  }
+
+  // Frame export: the worker's own clock stops while frames are requested one by one.
+  hold(on) {
+    this.post({ type: "hold", on });
+  }
+
+  renderFrameAt(slotCfg, atMs) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextFrameId++;
+      this.frames.set(id, { resolve, reject });
+      this.post({ type: "frame", id, atMs, cfg: slotCfg });
+    });
+  }
+}
+
+function transferCanvasToWorker(worker) {
+  const offscreen = canvas.transferControlToOffscreen();
+  worker.postMessage({ type: "init", canvas: offscreen, renderer: renderer.kind, effects: renderer.effects }, [offscreen]);
+}
+
+function startRenderWorker() {
+  let worker;
+  try {
+    worker = new Worker(RENDER_WORKER_SRC);
+    transferCanvasToWorker(worker);
+  } catch (err) {
+    if (worker) worker.terminate();
+    fallBackToMainThread(err.message);
+    return;
+  }
+
+  worker.addEventListener("error", (e) => {
+    e.preventDefault();
+    worker.terminate();
+    if (field instanceof WorkerField && field.worker === worker) fallBackToMainThread(e.message || "worker error");
+  });
+
+  field = new WorkerField(worker);
+  field.setCalm(calmMotion);
+}
+
+// The old canvas belongs to the worker now (or is half-transferred): swap in a fresh one.
+function fallBackToMainThread(reason) {
+  console.warn(`?worker: ${reason}; drawing on the main thread.`);
+
+  for (const pending of field.frames ? field.frames.values() : []) pending.reject(new Error("render worker stopped"));
+
+  replaceCanvas();
+  attachRenderer(renderer.kind);
+
+  field = new Field();
+  field.setCalm(calmMotion);
+
+  // Before init() has a mood, it sizes and spawns the field itself.
+  if (!simulationSlot) return;
+  resizeCanvas();
+  respawnFromActiveConfig();
+}
+
+/* ---------------------------
+   Capture (catalogue recordings)
+   - V: record the tank to WebM via captureStream() + MediaRecorder (V again stops early)
+   - F: export a PNG sequence (.zip) stepped at a fixed dt, so frame n is always
+     sim time n / CAPTURE_FPS regardless of how fast the machine renders
+   - Length: capture.seconds, or 0 = one full mood cycle (timeline duration,
+     doubled for pingpong; CAPTURE_SECONDS for moods without keyframes)
+   - Both start from a fresh respawn: seed + mood gives the same take every time.
+----------------------------*/
+
+const capture = {
+  seconds: CAPTURE_SECONDS,
+  recorder: null,
+  stopTimer: null,
+  exporting: false,   // animate() hands the canvas over while frames are rendered
+  status: "",
+};
+
+function setCaptureStatus(text) {
+  capture.status = text;
+  if (!captureStatusEl) return;
+  captureStatusEl.textContent = text;
+  captureStatusEl.classList.toggle("show", !!text);
+}
+
+function captureSeconds() {
+  if (capture.seconds > 0) return capture.seconds;
+
+  const cfg = getActiveConfig();
+  const d = timelineDuration(cfg);
+  if (d <= 0) return CAPTURE_SECONDS;
+  return cfg.keyframeLoop === "pingpong" ? d * 2 : d;
+}
+
+function captureFileName(ext) {
+  const slug = currentSlotName().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "mood";
+  return `sea-monkey-${slug}-${simSeed}.${ext}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function isCapturing() {
+  return !!capture.recorder || capture.exporting;
+}
+
+function pickRecorderType() {
+  const types = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+  return types.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+}
+
+function startRecording() {
+  if (isCapturing()) return;
+  if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+    setCaptureStatus("video recording is not supported in this browser");
+    return;
+  }
+
+  const seconds = captureSeconds();
+  const mimeType = pickRecorderType();
+  let stream = null;
+  let recorder;
+  try {
+    stream = canvas.captureStream(60);
+    recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  } catch (err) {
+    recordingFailed(err, stream);
+    return;
+  }
+  const chunks = [];
+
+  recorder.addEventListener("dataavailable", (e) => {
+    if (e.data && e.data.size) chunks.push(e.data);
+  });
+  recorder.addEventListener("stop", () => {
+    recorder.stream.getTracks().forEach((t) => t.stop());
+    capture.recorder = null;
+    clearTimeout(capture.stopTimer);
+
+    if (!chunks.length) {
+      setCaptureStatus("recording failed: no video data");
+      return;
+    }
+    downloadBlob(new Blob(chunks, { type: "video/webm" }), captureFileName("webm"));
+    setCaptureStatus("");
+  });
+
+  respawnFromActiveConfig();
+  try {
+    recorder.start(1000);
+  } catch (err) {
+    recordingFailed(err, stream);
+    return;
+  }
+  capture.recorder = recorder;
+  capture.stopTimer = setTimeout(stopRecording, seconds * 1000);
+  setCaptureStatus(`● rec ${seconds.toFixed(1)} s`);
+}
+
+// captureStream() / MediaRecorder can refuse (e.g. NotSupportedError for the mimeType).
+function recordingFailed(err, stream) {
+  if (stream) stream.getTracks().forEach((t) => t.stop());
+  console.error("Recording failed:", err);
+  setCaptureStatus("video recording failed (see console)");
+}
+
+function stopRecording() {
+  clearTimeout(capture.stopTimer);
+  if (capture.recorder && capture.recorder.state !== "inactive") capture.recorder.stop();
+}
+
+function toggleRecording() {
+  if (capture.recorder) stopRecording();
+  else startRecording();
+}
+
+function canvasPNG() {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) { reject(new Error("canvas.toBlob returned nothing")); return; }
+      blob.arrayBuffer().then((buf) => resolve(new Uint8Array(buf)), reject);
+    }, "image/png");
+  });
+}
+
+// Steps the field until it reaches atMs, paints it, returns the PNG bytes.
+function exportFrame(atMs, fullBounds) {
+  if (usingRenderWorker()) return field.renderFrameAt(getActiveConfig(), atMs);
+
+  while (field.now + SIM_STEP_MS <= atMs + 1e-6) field.step(getActiveConfig(), fullBounds);
+  drawFrame(fullBounds);
+  return canvasPNG();
+}
+
+async function exportFrameSequence() {
+  if (isCapturing()) return;
+
+  const frames = Math.min(CAPTURE_MAX_FRAMES, Math.max(1, Math.round(captureSeconds() * CAPTURE_FPS)));
+  const frameMs = 1000 / CAPTURE_FPS;
+  const digits = String(frames - 1).length;
+  const files = [];
+
+  capture.exporting = true;
+  if (usingRenderWorker()) field.hold(true);
+  respawnFromActiveConfig();
+
+  try {
+    const fullBounds = getBounds();
+    for (let i = 0; i < frames; i++) {
+      files.push({ name: `frame_${String(i).padStart(digits, "0")}.png`, data: await exportFrame(i * frameMs, fullBounds) });
+      if (i % 10 === 0) setCaptureStatus(`frames ${i + 1}/${frames}`);
+    }
+
+    setCaptureStatus("zipping…");
+    downloadBlob(zipStore(files), captureFileName("zip"));
+    setCaptureStatus("");
+  } catch (err) {
+    console.error("Frame export failed:", err);
+    setCaptureStatus("frame export failed (see console)");
+  } finally {
+    capture.exporting = false;
+    if (usingRenderWorker()) field.hold(false);
+    simAccumulator = 0;
+    lastFrameTime = performance.now();
+  }
+}
+
+// Uncompressed ("stored") zip: PNGs are already compressed, so this only
+// needs the CRC-32 of each file and the two directory records.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zipStore(files) {
+  const encoder = new TextEncoder();
+  const DOS_DATE_1980 = 0x21; // 1980-01-01, the zip epoch
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);            // version needed
+    local.setUint16(12, DOS_DATE_1980, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);         // compressed = stored
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);            // version made by
+    entry.setUint16(6, 20, true);            // version needed
+    entry.setUint16(14, DOS_DATE_1980, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const directorySize = directory.reduce((s, part) => s + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: "application/zip" });
+}
+
 /* ---------------------------
    Init
 ----------------------------*/
@@ -1882,6 +4679,11 @@ async function init() {
   if (hasInitialized) return;
   hasInitialized = true;
 
+  readRendererOptions();
+  if (renderWorkerRequested()) startRenderWorker();
+  else attachRenderer(renderer.kind);
+  initSeed();
+
   if (tunerEl) {
     tunerEl.classList.remove("open");
     tunerEl.setAttribute("aria-hidden", "true");
@@ -1895,6 +4697,13 @@ async function init() {
   }
 
   setupAudio();
+  setupPointer();
+  setupFeeding();
+  setupWordKeys();
+
+  setContrastCursor(loadContrastCursor());
+  if (cursorBtn) cursorBtn.addEventListener("click", toggleContrastCursor);
+  setupCalmMotion();
 
   if (needMoreBtn) {
     needMoreBtn.addEventListener("click", () => {
@@ -1903,14 +4712,34 @@ async function init() {
     });
   }
 
+  ["pointerdown", "keydown", "wheel"].forEach((type) => {
+    window.addEventListener(type, noteVisitorInteraction, { capture: true, passive: true });
+  });
+
+  if (visitorWordForm && visitorWordInput) {
+    visitorWordForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (!submitVisitorWord(visitorWordInput.value)) return;
+      visitorWordInput.value = "";
+      visitorWordInput.blur();
+    });
+  }
+
   await loadMoodLibrary();
+  registerMoodIntoSlotConfigs("Default");
 
-  uiSelectedWord = "Default";
-  simulationSlot = "Default";
+  // A deep link starts on its mood(s), already on offer; otherwise "Default".
+  const linked = applyDeepLink(readDeepLink());
+  const start = linked || ["Default"];
+
+  blendWords = start.length > 1 ? start : [];
+  uiSelectedWord = start[0];
+  simulationSlot = start[0];
   setWordVisualState(uiSelectedWord);
 
-  currentMoodOffers = getOfferSet(currentSlotName());
+  currentMoodOffers = getOfferSet(currentSlotName(), MOOD_POOL_NAMES.includes(start[0]) ? start[0] : null);
   renderWords(currentMoodOffers);
+  scheduleMoodAnnouncement();
 
   requestAnimationFrame(() => {
     requestAnimationFrame(() => {
@@ -1923,22 +4752,81 @@ async function init() {
 
   requestAnimationFrame(() => respawnFromActiveConfig());
   animate();
+
+  if (readExhibitOptions()) setExhibitMode(true);
 }
 
 /* ---------------------------
-   Keybinding: press T to open popup tuner
+   Keybindings
+   - T: open popup tuner
+   - E: toggle exhibition mode
+   - V: record WebM / stop recording
+   - F: export PNG frame sequence
+   - G: switch renderer (2D / WebGL)
+   - R: reroll the words
+   - C: high-contrast cursor on / off
+   - M: calm motion on / off
+   (arrow keys, Enter and Shift+Enter inside the word ring: see setupWordKeys)
 ----------------------------*/
 
+function isTypingTarget(target) {
+  const tag = target && target.tagName ? target.tagName.toLowerCase() : "";
+  return ["input", "textarea", "select"].includes(tag) || !!(target && target.isContentEditable);
+}
+
 window.addEventListener("keydown", (e) => {
-  if (e.key === "t" || e.key === "T") {
-    const tag = e.target && e.target.tagName ? e.target.tagName.toLowerCase() : "";
-    const isTyping =
-      ["input", "textarea", "select"].includes(tag) ||
-      (e.target && e.target.isContentEditable);
-    if (isTyping) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (isTypingTarget(e.target)) return;
+
+  switch (e.key) {
+    case "t":
+    case "T":
+      e.preventDefault();
+      openTunerWindow();
+      break;
 
-    e.preventDefault();
-    openTunerWindow();
+    case "e":
+    case "E":
+      e.preventDefault();
+      readExhibitOptions();
+      setExhibitMode(!exhibit.enabled);
+      break;
+
+    case "v":
+    case "V":
+      e.preventDefault();
+      toggleRecording();
+      break;
+
+    case "f":
+    case "F":
+      e.preventDefault();
+      exportFrameSequence();
+      break;
+
+    case "g":
+    case "G":
+      e.preventDefault();
+      toggleRenderer();
+      break;
+
+    case "r":
+    case "R":
+      e.preventDefault();
+      if (!isCyclingWords) cycleWords();
+      break;
+
+    case "c":
+    case "C":
+      e.preventDefault();
+      toggleContrastCursor();
+      break;
+
+    case "m":
+    case "M":
+      e.preventDefault();
+      toggleCalmMotion();
+      break;
   }
 });
 
@@ -0,0 +1,2017 @@
+/* sim.js — Simulation core (no DOM)
+   - Zones/regions, organism physics, crossfades, timelines, seeded randomness
+   - Knows nothing about the canvas, moods.json or the tuner: the page hands it
+     the field bounds and the slot config, and steps its clock
+   - Loaded as a plain <script> before script.js; in Node it is a CommonJS module
+     (see test/sim.test.js, run with: npm test)
+
+   FIELD:
+   - new Field(seed) owns the organisms, the sim clock (field.now, ms since respawn),
+     the random stream, the crossfade / wall slide in progress and the timeline clock.
+   - field.respawn(slotCfg, bounds)       fresh field at t = 0
+   - field.beginTransition(prevCfg, s)    crossfade from prevCfg over s seconds
+   - field.step(slotCfg, bounds, dtMs)    one step; returns the config it ran with
+   - field.setPointer(x, y) / clearPointer() / disturb(x, y, radius)   visitor input
+   - field.drainContacts()                pairs that came within sepDistance since the last drain
+   - Neighbour forces query a SpatialHash rebuilt each step, so cost grows with local density, not n²
+   - field.speciesBreakdown()             living organisms per species (cfg.species mix, see SPECIES)
+   - field.bubbles                        bubbles rising from the scene's bubblers (cfg.scene, see Scene)
+   - field.feed(x, y) / field.food        food grains scattered at (x, y), sinking until eaten (see Lifecycle)
+   - field.setCalm(on)                    reduced motion: every effective config goes through calmConfig()
+   - Physics is tuned per step at SIM_STEP_MS; dtMs only moves the clocks.
+*/
+
+/* Tank margin (usable bounds) */
+const INNER_MARGIN = 0.10;
+
+/* Turning */
+const MAX_TURN_PER_FRAME = 0.020;
+const HEADING_FOLLOW = 0.10;
+const MIN_SPEED_FOR_HEADING = 0.04;
+
+/* Emergence */
+const RAMP_SECONDS = 1.8;
+const TARGET_OPACITY = 0.92;
+const GROW_FROM = 0.62;
+
+/* Simulation clock: fixed steps so a seed replays identically */
+const SIM_STEP_MS = 1000 / 60;
+const MAX_STEPS_PER_FRAME = 4;   // catch-up cap per rendered frame
+
+/* Population ceiling (neighbour queries go through SpatialHash, so this is a frame-budget cap) */
+const MAX_ORGANISMS = 600;
+
+/* Surplus organisms after a crossfade */
+const RETIRE_SECONDS = 1.6;
+
+/* Pointer + taps: startle lets a slow mood still dart away (px per step) */
+const POINTER_FLEE_SPEED = 1.2;
+const DISTURB_SECONDS = 0.9;
+const DISTURB_SPEED = 3.0;
+const STARTLE_DECAY = 0.94;
+
+/* Contact events kept for listeners (audio); older ones are dropped */
+const MAX_CONTACTS = 32;
+
+/* Scene: obstacle look-ahead (px) and bubbles (px per step) */
+const SCENE_AVOID = 36;
+const BUBBLE_RISE = 0.9;
+const BUBBLE_REACH = 10;         // how far past its rim a bubble nudges organisms
+const BUBBLE_PUSH = 0.35;        // drift (px per step) right against a bubble; swimming speed caps don't apply
+const MAX_BUBBLES = 240;
+
+/* Lifecycle (life-seconds; cfg.lifeSpeed sets how many pass per second) */
+const LIFE_EGG_SECONDS = 8;        // average time in the egg (each one varies 0.6x..1.4x)
+const LIFE_GROW_SECONDS = 180;     // hatchling to full size
+const LIFE_ADULT_SECONDS = 600;    // full grown, before old age sets in
+const LIFE_OLD_SECONDS = 120;      // slowing and fading, then it dies
+const HATCH_SIZE = 0.3;            // size at hatching, relative to full grown
+const OLD_OPACITY = 0.35;          // opacity left at the very end, relative to TARGET_OPACITY
+const OLD_SPEED = 0.45;            // speed left at the very end
+
+/* Feeding: grains sink (px per step), organisms sense them within FOOD_SENSE px */
+const FEED_GRAINS = 14;
+const FEED_SPREAD = 40;
+const FOOD_SINK = 0.22;
+const FOOD_SECONDS = 45;           // a grain nobody eats dissolves
+const FOOD_SENSE = 160;
+const FOOD_SEEK = 0.05;
+const FOOD_DASH = 0.9;             // speed allowance while closing in, so slow moods still get there
+const FOOD_BITE = 4;               // px past the head that still counts as eating
+const FOOD_GROWTH = 20;            // life-seconds of growth per grain, while still growing
+const HUNGER_SECONDS = 20;         // appetite returns over this long after a meal
+const MAX_FOOD = 200;
+
+/* ---------------------------
+   Zones / Regions
+   - A zone is a named tank part ("full", a quadrant) or a shape in normalized tank
+     coordinates (0..1 across the usable bounds; radii are fractions of its smaller side):
+       { "shape": "circle",  "cx": 0.5, "cy": 0.5, "r": 0.2 }
+       { "shape": "ring",    "cx": 0.5, "cy": 0.5, "r": 0.35, "inner": 0.2 }
+       { "shape": "rect",    "x": 0, "y": 0.8, "w": 1, "h": 0.2 }
+       { "shape": "polygon", "points": [[0.1, 0.9], [0.5, 0.4], [0.9, 0.9]] }
+   - Quadrants merge into boxes; each shape is a region of its own. A region is an
+     axis-aligned box ({ minX, maxX, ... }); circles, rings and polygons also carry
+     region.shape in px, and regionEdge() gives walls that follow it
+----------------------------*/
+
+const ZONES = Object.freeze({
+  full: "full",
+  topLeft: "topLeft",
+  topRight: "topRight",
+  bottomLeft: "bottomLeft",
+  bottomRight: "bottomRight",
+});
+
+const REGION = Object.freeze({
+  full: "full",
+  top: "top",
+  bottom: "bottom",
+  left: "left",
+  right: "right",
+  topLeft: "topLeft",
+  topRight: "topRight",
+  bottomLeft: "bottomLeft",
+  bottomRight: "bottomRight",
+});
+
+const ZONE_SHAPES = Object.freeze(["circle", "ring", "rect", "polygon"]);
+const ZONE_MIN_SIZE = 0.02;     // smallest radius / side / ring width (normalized)
+
+function unit(v) {
+  return Number.isFinite(v) ? clamp(v, 0, 1) : null;
+}
+
+// A shape zone with its numbers clamped into the tank, or null if it cannot be drawn.
+function normalizeZoneShape(z) {
+  if (!z || typeof z !== "object" || !ZONE_SHAPES.includes(z.shape)) return null;
+
+  switch (z.shape) {
+    case "circle":
+    case "ring": {
+      const cx = unit(z.cx);
+      const cy = unit(z.cy);
+      const r = unit(z.r);
+      if (cx === null || cy === null || r === null || r < ZONE_MIN_SIZE) return null;
+      if (z.shape === "circle") return { shape: "circle", cx, cy, r };
+
+      const inner = unit(z.inner);
+      if (inner === null || r - inner < ZONE_MIN_SIZE) return null;
+      return { shape: "ring", cx, cy, r, inner };
+    }
+
+    case "rect": {
+      const x = unit(z.x);
+      const y = unit(z.y);
+      if (x === null || y === null || !Number.isFinite(z.w) || !Number.isFinite(z.h)) return null;
+      const w = clamp(z.w, 0, 1 - x);
+      const h = clamp(z.h, 0, 1 - y);
+      if (w < ZONE_MIN_SIZE || h < ZONE_MIN_SIZE) return null;
+      return { shape: "rect", x, y, w, h };
+    }
+
+    case "polygon": {
+      if (!Array.isArray(z.points)) return null;
+      const points = [];
+      for (const p of z.points) {
+        if (!Array.isArray(p) || unit(p[0]) === null || unit(p[1]) === null) return null;
+        points.push([unit(p[0]), unit(p[1])]);
+      }
+      if (points.length < 3 || Math.abs(polygonArea(points)) < ZONE_MIN_SIZE * ZONE_MIN_SIZE) return null;
+      return { shape: "polygon", points };
+    }
+  }
+  return null;
+}
+
+function normalizeZones(zones) {
+  if (!Array.isArray(zones) || zones.length === 0) return [ZONES.full];
+
+  const out = [];
+  const seen = new Set();
+  for (const z of zones) {
+    const zone = typeof z === "string" ? (Object.hasOwn(ZONES, z.trim()) ? z.trim() : null) : normalizeZoneShape(z);
+    if (zone === null) continue;
+
+    const key = JSON.stringify(zone);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(zone);
+  }
+  return out.length ? out : [ZONES.full];
+}
+
+function zoneToMask(z) {
+  switch (z) {
+    case ZONES.topLeft: return 1;
+    case ZONES.topRight: return 2;
+    case ZONES.bottomLeft: return 4;
+    case ZONES.bottomRight: return 8;
+    case ZONES.full: return 15;
+    default: return 0;
+  }
+}
+
+// Usable tank for a width x height surface: equal padding on all sides
+// (based on the smaller dimension).
+function fieldBounds(width, height) {
+  const base = Math.min(width, height) * INNER_MARGIN;
+
+  return {
+    minX: base,
+    maxX: width - base,
+    minY: base,
+    maxY: height - base,
+    width,
+    height,
+    cx: width / 2,
+    cy: height / 2,
+  };
+}
+
+function boundsForRegion(fullBounds, id) {
+  const midX = fullBounds.cx;
+  const midY = fullBounds.cy;
+
+  let minX = fullBounds.minX, maxX = fullBounds.maxX;
+  let minY = fullBounds.minY, maxY = fullBounds.maxY;
+
+  switch (id) {
+    case REGION.full:
+      break;
+
+    case REGION.top:
+      maxY = midY;
+      break;
+    case REGION.bottom:
+      minY = midY;
+      break;
+    case REGION.left:
+      maxX = midX;
+      break;
+    case REGION.right:
+      minX = midX;
+      break;
+
+    case REGION.topLeft:
+      maxX = midX; maxY = midY;
+      break;
+    case REGION.topRight:
+      minX = midX; maxY = midY;
+      break;
+    case REGION.bottomLeft:
+      maxX = midX; minY = midY;
+      break;
+    case REGION.bottomRight:
+      minX = midX; minY = midY;
+      break;
+  }
+
+  const cx = (minX + maxX) * 0.5;
+  const cy = (minY + maxY) * 0.5;
+  const area = Math.max(0, (maxX - minX) * (maxY - minY));
+
+  return { id, minX, maxX, minY, maxY, cx, cy, width: fullBounds.width, height: fullBounds.height, area };
+}
+
+// Signed area (shoelace); positive when the points run clockwise on screen.
+function polygonArea(points) {
+  let a = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    a += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+  }
+  return a / 2;
+}
+
+// Region for shape zone #index: its box (clipped to the tank) plus the shape in px.
+function boundsForShape(fullBounds, zone, index) {
+  const tankW = fullBounds.maxX - fullBounds.minX;
+  const tankH = fullBounds.maxY - fullBounds.minY;
+  const side = Math.min(tankW, tankH);
+  const px = (u) => fullBounds.minX + u * tankW;
+  const py = (v) => fullBounds.minY + v * tankH;
+
+  let minX, maxX, minY, maxY, area;
+  let shape = null;
+
+  switch (zone.shape) {
+    case "circle":
+    case "ring": {
+      const x = px(zone.cx);
+      const y = py(zone.cy);
+      const r = zone.r * side;
+      const inner = zone.shape === "ring" ? zone.inner * side : 0;
+      minX = x - r; maxX = x + r; minY = y - r; maxY = y + r;
+      area = Math.PI * (r * r - inner * inner);
+      shape = zone.shape === "ring" ? { kind: "ring", x, y, r, inner } : { kind: "circle", x, y, r };
+      break;
+    }
+
+    case "rect":
+      minX = px(zone.x); maxX = px(zone.x + zone.w);
+      minY = py(zone.y); maxY = py(zone.y + zone.h);
+      area = (maxX - minX) * (maxY - minY);
+      break;
+
+    case "polygon": {
+      const points = zone.points.map((p) => [px(p[0]), py(p[1])]);
+      minX = Math.min(...points.map((p) => p[0])); maxX = Math.max(...points.map((p) => p[0]));
+      minY = Math.min(...points.map((p) => p[1])); maxY = Math.max(...points.map((p) => p[1]));
+      area = Math.abs(polygonArea(points));
+      shape = { kind: "polygon", points, winding: Math.sign(polygonArea(points)) || 1 };
+      break;
+    }
+  }
+
+  minX = clamp(minX, fullBounds.minX, fullBounds.maxX);
+  maxX = clamp(maxX, fullBounds.minX, fullBounds.maxX);
+  minY = clamp(minY, fullBounds.minY, fullBounds.maxY);
+  maxY = clamp(maxY, fullBounds.minY, fullBounds.maxY);
+
+  const region = {
+    id: `${zone.shape}:${index}`, minX, maxX, minY, maxY,
+    cx: (minX + maxX) * 0.5,
+    cy: (minY + maxY) * 0.5,
+    width: fullBounds.width, height: fullBounds.height,
+    area,
+  };
+  if (shape) region.shape = shape;
+  return region;
+}
+
+// Nearest point on segment a-b to (x, y).
+function closestOnSegment(ax, ay, bx, by, x, y) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? clamp(((x - ax) * dx + (y - ay) * dy) / len2, 0, 1) : 0;
+  return [ax + dx * t, ay + dy * t];
+}
+
+// Signed distance to a shape (positive inside) and the inward normal at its nearest wall.
+function shapeEdge(shape, x, y) {
+  switch (shape.kind) {
+    case "circle":
+    case "ring": {
+      const dx = x - shape.x;
+      const dy = y - shape.y;
+      const dist = Math.hypot(dx, dy);
+      const ux = dist > 1e-6 ? dx / dist : 1;
+      const uy = dist > 1e-6 ? dy / dist : 0;
+
+      const outer = shape.r - dist;
+      if (shape.kind === "ring" && dist - shape.inner < outer) return { d: dist - shape.inner, nx: ux, ny: uy };
+      return { d: outer, nx: -ux, ny: -uy };
+    }
+
+    case "polygon": {
+      const pts = shape.points;
+      let inside = false;
+      let best = Infinity, bx = x, by = y, ex = 0, ey = 0;
+
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const [xi, yi] = pts[i];
+        const [xj, yj] = pts[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+
+        const [qx, qy] = closestOnSegment(xj, yj, xi, yi, x, y);
+        const d2 = (qx - x) * (qx - x) + (qy - y) * (qy - y);
+        if (d2 < best) { best = d2; bx = qx; by = qy; ex = xi - xj; ey = yi - yj; }
+      }
+
+      const dist = Math.sqrt(best);
+      let nx, ny;
+      if (dist > 1e-6) {
+        nx = (inside ? x - bx : bx - x) / dist;
+        ny = (inside ? y - by : by - y) / dist;
+      } else {
+        // On the wall: the edge's own inward normal (winding tells which side is in)
+        const len = Math.hypot(ex, ey) || 1;
+        nx = (-ey / len) * shape.winding;
+        ny = (ex / len) * shape.winding;
+      }
+      return { d: inside ? dist : -dist, nx, ny };
+    }
+  }
+  return { d: Infinity, nx: 0, ny: 0 };
+}
+
+// Nearest wall of a shaped region: the shape, or its box where the tank cuts it off.
+function regionEdge(bounds, x, y) {
+  let e = shapeEdge(bounds.shape, x, y);
+
+  const walls = [
+    [x - bounds.minX, 1, 0], [bounds.maxX - x, -1, 0],
+    [y - bounds.minY, 0, 1], [bounds.maxY - y, 0, -1],
+  ];
+  for (const [d, nx, ny] of walls) {
+    if (d < e.d) e = { d, nx, ny };
+  }
+  return e;
+}
+
+function regionContains(r, x, y) {
+  if (x < r.minX || x > r.maxX || y < r.minY || y > r.maxY) return false;
+  return !r.shape || shapeEdge(r.shape, x, y).d >= 0;
+}
+
+// Moves an outside point toward the shape by up to maxStep px (Infinity = onto the wall).
+function pullIntoShape(o, bounds, maxStep) {
+  const e = regionEdge(bounds, o.x, o.y);
+  if (e.d >= 0) return;
+  const step = Math.min(-e.d, maxStep);
+  o.x += e.nx * step;
+  o.y += e.ny * step;
+}
+
+function computeRegionsFromZones(fullBounds, zonesArray) {
+  const zones = normalizeZones(zonesArray);
+
+  // If "full" present, treat as full regardless of other items.
+  if (zones.includes(ZONES.full)) {
+    return [boundsForRegion(fullBounds, REGION.full)];
+  }
+
+  const regions = [];
+  zones.forEach((z, i) => {
+    if (typeof z === "object") regions.push(boundsForShape(fullBounds, z, i));
+  });
+
+  let mask = 0;
+  for (const z of zones) mask |= zoneToMask(z);
+
+  // All four => full
+  if ((mask & 15) === 15) {
+    return [boundsForRegion(fullBounds, REGION.full)];
+  }
+
+  // Prefer bigger merges first: top/bottom, then left/right, then leftovers.
+  if ((mask & 3) === 3) { // TL+TR
+    regions.push(boundsForRegion(fullBounds, REGION.top));
+    mask &= ~3;
+  }
+  if ((mask & 12) === 12) { // BL+BR
+    regions.push(boundsForRegion(fullBounds, REGION.bottom));
+    mask &= ~12;
+  }
+  if ((mask & 5) === 5) { // TL+BL
+    regions.push(boundsForRegion(fullBounds, REGION.left));
+    mask &= ~5;
+  }
+  if ((mask & 10) === 10) { // TR+BR
+    regions.push(boundsForRegion(fullBounds, REGION.right));
+    mask &= ~10;
+  }
+
+  // Remaining quadrants (diagonals and leftovers remain separate)
+  if (mask & 1) regions.push(boundsForRegion(fullBounds, REGION.topLeft));
+  if (mask & 2) regions.push(boundsForRegion(fullBounds, REGION.topRight));
+  if (mask & 4) regions.push(boundsForRegion(fullBounds, REGION.bottomLeft));
+  if (mask & 8) regions.push(boundsForRegion(fullBounds, REGION.bottomRight));
+
+  return regions.length ? regions : [boundsForRegion(fullBounds, REGION.full)];
+}
+
+function isFullTankFromRegions(regions) {
+  return regions && regions.length === 1 && regions[0].id === REGION.full;
+}
+
+function zonesKey(zones) {
+  return JSON.stringify(normalizeZones(zones));
+}
+
+/* ---------------------------
+   Scene (decor)
+   - cfg.scene: static items in the same normalized tank coordinates as shape zones
+     (y defaults to 1, the tank floor; sizes are fractions of the smaller side):
+       { "type": "rock",    "x": 0.2, "r": 0.08 }
+       { "type": "plant",   "x": 0.8, "height": 0.4 }
+       { "type": "bubbler", "x": 0.6, "rate": 3 }      (bubbles per second)
+   - sceneLayout() turns them into px obstacles (circles; plants are capsules);
+     organisms steer around them and bubbles from bubblers rise through the field,
+     nudging whoever they pass (Field.stepBubbles)
+----------------------------*/
+
+const SCENE_TYPES = Object.freeze(["rock", "plant", "bubbler"]);
+
+// A scene item with its numbers clamped into range, or null if it is unusable.
+function normalizeSceneItem(item) {
+  if (!item || typeof item !== "object" || !SCENE_TYPES.includes(item.type)) return null;
+
+  const x = unit(item.x);
+  const y = item.y === undefined ? 1 : unit(item.y);
+  if (x === null || y === null) return null;
+
+  switch (item.type) {
+    case "rock":
+      if (!Number.isFinite(item.r)) return null;
+      return { type: "rock", x, y, r: clamp(item.r, 0.02, 0.3) };
+
+    case "plant":
+      if (!Number.isFinite(item.height)) return null;
+      return { type: "plant", x, y, height: clamp(item.height, 0.05, 1) };
+
+    case "bubbler":
+      return { type: "bubbler", x, y, rate: Number.isFinite(item.rate) ? clamp(item.rate, 0.2, 12) : 3 };
+  }
+  return null;
+}
+
+function normalizeScene(scene) {
+  if (!Array.isArray(scene)) return [];
+  return scene.map(normalizeSceneItem).filter(Boolean);
+}
+
+// The scene in px for these bounds: { items, obstacles, bubblers }.
+function sceneLayout(fullBounds, scene) {
+  const tankW = fullBounds.maxX - fullBounds.minX;
+  const tankH = fullBounds.maxY - fullBounds.minY;
+  const side = Math.min(tankW, tankH);
+  const items = [];
+  const obstacles = [];
+  const bubblers = [];
+
+  for (const s of normalizeScene(scene)) {
+    const x = fullBounds.minX + s.x * tankW;
+    const y = fullBounds.minY + s.y * tankH;
+
+    switch (s.type) {
+      case "rock": {
+        const item = { type: "rock", x, y, r: s.r * side };
+        items.push(item);
+        obstacles.push({ x, y, r: item.r });
+        break;
+      }
+      case "plant": {
+        const item = { type: "plant", x, y, top: y - s.height * tankH, r: side * 0.025 };
+        items.push(item);
+        obstacles.push({ x, y, x2: x, y2: item.top, r: item.r });
+        break;
+      }
+      case "bubbler": {
+        const item = { type: "bubbler", x, y, r: side * 0.022, rate: s.rate };
+        items.push(item);
+        obstacles.push({ x, y, r: item.r });
+        bubblers.push(item);
+        break;
+      }
+    }
+  }
+
+  return { items, obstacles, bubblers };
+}
+
+// Distance from (x, y) to an obstacle's surface (negative inside) and the outward normal.
+function obstacleEdge(ob, x, y) {
+  let qx = ob.x;
+  let qy = ob.y;
+  if (ob.x2 !== undefined) [qx, qy] = closestOnSegment(ob.x, ob.y, ob.x2, ob.y2, x, y);
+
+  const dx = x - qx;
+  const dy = y - qy;
+  const dist = Math.hypot(dx, dy);
+  if (dist < 1e-6) return { d: -ob.r, nx: 0, ny: -1 };
+  return { d: dist - ob.r, nx: dx / dist, ny: dy / dist };
+}
+
+/* ---------------------------
+   Lifecycle
+   - o.age in life-seconds: negative while in the egg, 0 at hatching. cfg.lifeSpeed life-seconds
+     pass per second (0 = off: nobody ages, though eggs and hatchlings still finish growing).
+   - Egg -> hatchling growing from HATCH_SIZE over LIFE_GROW_SECONDS -> adult for
+     LIFE_ADULT_SECONDS -> old: slower and fainter for LIFE_OLD_SECONDS, then it dies and
+     the population lays an egg in its place (Field.reconcilePopulation).
+   - With lifeSpeed on, a respawn starts the tank as eggs.
+   - Food from field.feed() sinks and settles; organisms within FOOD_SENSE steer to the
+     nearest grain and eat it, which speeds a hatchling's growth by FOOD_GROWTH.
+----------------------------*/
+
+function lifeSize(age) {
+  if (age <= 0) return HATCH_SIZE;
+  const k = Math.min(1, age / LIFE_GROW_SECONDS);
+  return lerp(HATCH_SIZE, 1, 1 - (1 - k) * (1 - k));
+}
+
+// 1 until old age, then down to 0 at death.
+function lifeVigor(age) {
+  return 1 - clamp((age - LIFE_GROW_SECONDS - LIFE_ADULT_SECONDS) / LIFE_OLD_SECONDS, 0, 1);
+}
+
+// Life-seconds one step moves an organism of this age on by.
+function lifeStep(age, lifeSpeed, dtSeconds) {
+  if (lifeSpeed > 0) return lifeSpeed * dtSeconds;
+  return age < LIFE_GROW_SECONDS ? dtSeconds : 0;
+}
+
+/* ---------------------------
+   Species
+   - Body: segments, legs, size ranges [min, max] (px), colours (r, g, b)
+   - Behaviour: speedMul scales speed + thrust; sociability (-1..1) shrinks personal
+     space toward the same species and draws them together (negative: aloof)
+   - A mood mixes them with cfg.species: { shrimp: 0.8, adult: 0.2 } (weights, any scale)
+----------------------------*/
+
+const SPECIES = Object.freeze({
+  shrimp: {
+    label: "Brine shrimp",
+    segments: 7, legs: 6,
+    length: [17, 24], thickness: [3.4, 4.8], legLen: [4.5, 7.5],
+    color: [185, 245, 255], legColor: [205, 250, 255],
+    speedMul: 1.0, sociability: 0,
+  },
+  adult: {
+    label: "Adult",
+    segments: 9, legs: 10,
+    length: [30, 40], thickness: [5, 6.6], legLen: [7, 10.5],
+    color: [200, 238, 226], legColor: [215, 246, 236],
+    speedMul: 0.7, sociability: 0.45,
+  },
+  nauplius: {
+    label: "Nauplius",
+    segments: 4, legs: 2,
+    length: [8, 11], thickness: [2.6, 3.4], legLen: [4, 6],
+    color: [225, 250, 240], legColor: [235, 255, 248],
+    speedMul: 1.35, sociability: -0.3,
+  },
+});
+
+const DEFAULT_SPECIES = "shrimp";
+
+// Known species with positive weight, weights summing to 1. Falls back to all shrimp.
+function normalizeSpeciesMix(mix) {
+  const out = {};
+  let total = 0;
+
+  if (mix && typeof mix === "object" && !Array.isArray(mix)) {
+    for (const id of Object.keys(SPECIES)) {
+      const w = mix[id];
+      if (typeof w === "number" && Number.isFinite(w) && w > 0) {
+        out[id] = w;
+        total += w;
+      }
+    }
+  }
+  if (!total) return { [DEFAULT_SPECIES]: 1 };
+
+  for (const id of Object.keys(out)) out[id] /= total;
+  return out;
+}
+
+// Whole organisms per species for a population (largest remainder, registry order on ties).
+function speciesTargets(count, mix) {
+  const weights = normalizeSpeciesMix(mix);
+  const ids = Object.keys(weights);
+
+  const out = {};
+  const remainders = ids.map((id) => {
+    const exact = count * weights[id];
+    out[id] = Math.floor(exact);
+    return { id, r: exact - out[id] };
+  });
+
+  let left = count - ids.reduce((s, id) => s + out[id], 0);
+  remainders.sort((a, b) => b.r - a.r);
+  for (let i = 0; left > 0; i = (i + 1) % remainders.length, left--) out[remainders[i].id]++;
+
+  return out;
+}
+
+/* ---------------------------
+   Default config
+----------------------------*/
+
+const DEFAULT_CONFIG = {
+  // BODY MOVEMENT
+  maxSpeed: 0.2,
+  wiggle: 0.75,
+  wiggleSpeed: 0.85,
+
+  // BODY MOVEMENT (Shake)
+  shake: 0.0,
+  shakeSpeed: 40,
+
+  // ENSEMBLE
+  organismCount: 14,
+  sepDistance: 14,
+
+  // FLOCKING (0 = off): steer with / toward neighbours within perception px
+  alignment: 0,
+  cohesion: 0,
+  perception: 60,
+
+  // ZONES
+  zones: [ZONES.full],
+
+  // ORBIT (full tank only)
+  orbit: false,
+
+  // CENTER BIAS (full tank only): "none" | "seek" | "avoid"
+  centerBias: "none",
+
+  // TIMELINE (only used when the mood declares keyframes)
+  keyframeLoop: "none",
+
+  // POINTER: "ignore" | "flee" | "approach", within pointerRadius px
+  pointerMode: "ignore",
+  pointerRadius: 120,
+
+  // SPECIES mix (see SPECIES)
+  species: { shrimp: 1 },
+
+  // SCENE decor (see Scene)
+  scene: [],
+
+  // LIFECYCLE: life-seconds per second, 0 = off (see Lifecycle)
+  lifeSpeed: 0,
+};
+
+function normalizeCenterBias(v) {
+  return (v === "seek" || v === "avoid") ? v : "none";
+}
+
+function normalizePointerMode(v) {
+  return (v === "flee" || v === "approach") ? v : "ignore";
+}
+
+function normalizeSlotCfg(cfg) {
+  cfg.zones = normalizeZones(cfg.zones);
+  cfg.centerBias = normalizeCenterBias(cfg.centerBias);
+  cfg.pointerMode = normalizePointerMode(cfg.pointerMode);
+  cfg.species = normalizeSpeciesMix(cfg.species);
+  cfg.scene = normalizeScene(cfg.scene);
+
+  // safety: if not full, orbit + centerBias must be off/none
+  if (!cfg.zones.includes(ZONES.full) && cfg.zones.length) {
+    cfg.orbit = false;
+    cfg.centerBias = "none";
+  }
+  return cfg;
+}
+
+function populationFor(cfg) {
+  return clamp(Math.round(cfg.organismCount ?? 14), 1, MAX_ORGANISMS);
+}
+
+/* ---------------------------
+   Spatial hash
+   - Uniform grid over organism positions, rebuilt every step in Field.step()
+   - Cell size = the widest interaction reach, so a query only visits the cells
+     overlapping its radius; callers still check exact distances
+----------------------------*/
+
+class SpatialHash {
+  constructor() {
+    this.cellSize = 0;
+    this.cells = new Map(); // cell key -> organisms (arrays are reused between rebuilds)
+  }
+
+  static key(cx, cy) {
+    return (cx + 32768) * 65536 + (cy + 32768);
+  }
+
+  rebuild(items, cellSize) {
+    cellSize = Math.max(1, cellSize);
+    if (cellSize !== this.cellSize) {
+      this.cellSize = cellSize;
+      this.cells.clear();
+    } else {
+      for (const list of this.cells.values()) list.length = 0;
+    }
+
+    for (const o of items) {
+      const k = SpatialHash.key(Math.floor(o.x / cellSize), Math.floor(o.y / cellSize));
+      let list = this.cells.get(k);
+      if (!list) {
+        list = [];
+        this.cells.set(k, list);
+      }
+      list.push(o);
+    }
+  }
+
+  // Everything in the cells within radius of (x, y), written into out (also returned).
+  near(x, y, radius, out = []) {
+    out.length = 0;
+    const cs = this.cellSize;
+    const x0 = Math.floor((x - radius) / cs);
+    const x1 = Math.floor((x + radius) / cs);
+    const y0 = Math.floor((y - radius) / cs);
+    const y1 = Math.floor((y + radius) / cs);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const list = this.cells.get(SpatialHash.key(cx, cy));
+        if (list) for (const o of list) out.push(o);
+      }
+    }
+    return out;
+  }
+}
+
+// Widest distance any neighbour force reaches under cfg (0 = organisms ignore each other).
+function neighborReach(cfg) {
+  const sep = Math.max(0, cfg.sepDistance ?? 0);
+  const flocking = (cfg.alignment ?? 0) > 0 || (cfg.cohesion ?? 0) > 0;
+  const perception = flocking ? Math.max(0, cfg.perception ?? 0) : 0;
+  return Math.max(sep * 3, perception);
+}
+
+/* ---------------------------
+   Seeded randomness
+----------------------------*/
+
+function hashString(str) {
+  // FNV-1a (32-bit)
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(arr, rand) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/* ---------------------------
+   Helpers
+----------------------------*/
+
+function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+function lerp(a, b, t) { return a + (b - a) * t; }
+function easeInOut(t) { return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; }
+
+function wrapAngle(a) {
+  while (a > Math.PI) a -= Math.PI * 2;
+  while (a < -Math.PI) a += Math.PI * 2;
+  return a;
+}
+
+function approachAngle(current, target, maxStep) {
+  let d = wrapAngle(target - current);
+  d = clamp(d, -maxStep, maxStep);
+  return current + d;
+}
+
+function limitSpeed(o, maxSpeed) {
+  const s = Math.hypot(o.vx, o.vy);
+  if (s > maxSpeed) {
+    const k = maxSpeed / (s || 1);
+    o.vx *= k;
+    o.vy *= k;
+  }
+}
+
+function pickRegionWeighted(regions, rand) {
+  const total = regions.reduce((s, r) => s + (r.area || 0), 0) || 1;
+  let t = rand() * total;
+  for (const r of regions) {
+    t -= (r.area || 0);
+    if (t <= 0) return r;
+  }
+  return regions[regions.length - 1];
+}
+
+function regionForPoint(regions, x, y, rand) {
+  for (const r of regions) {
+    if (regionContains(r, x, y)) return r;
+  }
+  return pickRegionWeighted(regions, rand);
+}
+
+// Uniform over the region: its box, or (for shapes) rejection-sampled inside the shape.
+function randomPointIn(r, rand) {
+  for (let i = 0; i < 24; i++) {
+    const x = rand() * (r.maxX - r.minX) + r.minX;
+    const y = rand() * (r.maxY - r.minY) + r.minY;
+    if (!r.shape || shapeEdge(r.shape, x, y).d >= 0) return { x, y };
+  }
+
+  const p = { x: r.cx, y: r.cy };
+  pullIntoShape(p, r, Infinity);
+  return p;
+}
+
+// Walls sliding between regions. The box slides; a target shape takes hold as it
+// arrives (shapeGrip 0..1), so organisms are herded in rather than snapped.
+function lerpBounds(a, b, t) {
+  const minX = lerp(a.minX, b.minX, t);
+  const maxX = lerp(a.maxX, b.maxX, t);
+  const minY = lerp(a.minY, b.minY, t);
+  const maxY = lerp(a.maxY, b.maxY, t);
+  const out = {
+    id: b.id, minX, maxX, minY, maxY,
+    cx: (minX + maxX) * 0.5,
+    cy: (minY + maxY) * 0.5,
+    width: b.width, height: b.height,
+    area: Math.max(0, (maxX - minX) * (maxY - minY)),
+  };
+  if (b.shape) {
+    out.shape = b.shape;
+    out.shapeGrip = t;
+  }
+  return out;
+}
+
+/* ---------------------------
+   Organism
+   - update(bounds, cfg, env) advances one fixed step
+   - env: { now, dt (ms), fullBounds, orbitEnabled, fullTank, orbitDir, neighbors, pointer, disturbances, contacts,
+            obstacles, bubbleColumns, food }
+----------------------------*/
+
+class Organism {
+  // age: life-seconds (negative = still an egg); by default full grown, at a point in
+  // adulthood taken from wanderPhase so a tank of them doesn't grow old all at once.
+  constructor(regionBounds, regionId, rand, now = 0, speciesId = DEFAULT_SPECIES, age = null) {
+    this.regionId = regionId || REGION.full;
+    this.species = SPECIES[speciesId] ? speciesId : DEFAULT_SPECIES;
+
+    const sp = SPECIES[this.species];
+    const within = (range) => range[0] + rand() * (range[1] - range[0]);
+
+    const spawnAt = randomPointIn(regionBounds, rand);
+    this.x = spawnAt.x;
+    this.y = spawnAt.y;
+
+    this.vx = 0;
+    this.vy = 0;
+
+    this.heading = rand() * Math.PI * 2;
+    this.wanderHeading = rand() * Math.PI * 2;
+    this.wanderPhase = rand() * 1000;
+
+    this.length = within(sp.length);
+    this.thickness = within(sp.thickness);
+    this.legLen = within(sp.legLen);
+    this.segments = sp.segments;
+    this.legs = sp.legs;
+
+    this.curveAmp = 0.25 + rand() * 0.6;
+    this.curveFreq = 0.6 + rand() * 1.2;
+    this.curvePhase = rand() * Math.PI * 2;
+
+    this.pulsePhase = rand() * Math.PI * 2;
+    this.pulse = 1;
+
+    this.age = age ?? LIFE_GROW_SECONDS + (this.wanderPhase % 1) * LIFE_ADULT_SECONDS * 0.5;
+    this.fedAt = -Infinity;     // field clock of the last meal
+
+    this.opacity = 0;
+    this.grow = GROW_FROM * lifeSize(this.age);
+
+    this.bornAt = now;
+    this.retireAt = null;       // set when a crossfade makes this organism surplus, or it dies of old age
+    this.retireFrom = 0;
+    this.fromBounds = null;     // region bounds at the start of a crossfade
+    this.lastBounds = null;
+
+    this.wiggleMul = 1.0;
+    this.wiggleSpeed = 1.0;
+
+    this.startle = 0;           // extra speed allowance after a poke, decays each step
+    this.touching = new Set();  // neighbours currently within sepDistance
+
+    this.orbitPhase = rand() * Math.PI * 2;
+    this.orbitRadiusMul = 0.85 + rand() * 0.35;
+    this.orbitNoise = rand() * 1000;
+  }
+
+  update(bounds, cfg, env) {
+    const { now, fullBounds, orbitEnabled, fullTank, orbitDir, neighbors } = env;
+    const sp = SPECIES[this.species];
+    const pointer = env.pointer || null;
+    const disturbances = env.disturbances || [];
+    const contacts = env.contacts || null;
+    const obstacles = env.obstacles || [];
+    const bubbleColumns = env.bubbleColumns || [];
+    const food = env.food || [];
+    const t = now * 0.001;
+
+    // Lifecycle
+    this.age += lifeStep(this.age, Math.max(0, cfg.lifeSpeed ?? 0), (env.dt ?? SIM_STEP_MS) / 1000);
+    const vigor = lifeVigor(this.age);
+    if (vigor <= 0) this.retire(now);
+
+    // Ramp-in
+    const elapsed = (now - this.bornAt) / 1000;
+    const ramp = Math.min(1, elapsed / RAMP_SECONDS);
+    const rampEase = Math.pow(ramp, 1.6);
+
+    this.opacity = Math.max(this.opacity, TARGET_OPACITY * rampEase);
+    this.grow = Math.max(this.grow, lerp(GROW_FROM, 1, rampEase) * lifeSize(this.age));
+    if (vigor < 1) this.opacity = Math.min(this.opacity, TARGET_OPACITY * lerp(OLD_OPACITY, 1, vigor));
+
+    // Fade-out (surplus after a crossfade, or died of old age)
+    if (this.retireAt !== null) {
+      const k = clamp((now - this.retireAt) / (RETIRE_SECONDS * 1000), 0, 1);
+      this.opacity = this.retireFrom * (1 - k);
+    }
+
+    // Eggs lie still until they hatch
+    if (this.isEgg()) {
+      this.vx = 0;
+      this.vy = 0;
+      return;
+    }
+
+    // Body movement
+    this.wiggleMul = cfg.wiggle ?? 1.0;
+    this.wiggleSpeed = cfg.wiggleSpeed ?? 1.0;
+    this.pulse = 1 + Math.sin(t + this.pulsePhase) * 0.05;
+
+    // Gentle wander baseline
+    const drift =
+      Math.sin(t * 0.55 + this.wanderPhase) * 0.5 +
+      Math.sin(t * 0.23 + this.wanderPhase * 1.7) * 0.5;
+
+    const desiredWander = this.wanderHeading + drift * 0.06;
+    this.wanderHeading = approachAngle(this.wanderHeading, desiredWander, 0.006);
+
+    // Shared center vector (also used by orbit + centerBias)
+    const cx = fullBounds.cx;
+    const cy = fullBounds.cy;
+    const dx = this.x - cx;
+    const dy = this.y - cy;
+    const dist = Math.hypot(dx, dy) || 1;
+
+    // --- Orbit (FULL tank only): shared swirl around CENTER ---
+    if (orbitEnabled) {
+      const tankSize = Math.min(fullBounds.maxX - fullBounds.minX, fullBounds.maxY - fullBounds.minY);
+      const targetR = tankSize * 0.25;
+
+      const tx = (-dy / dist) * orbitDir;
+      const ty = ( dx / dist) * orbitDir;
+
+      const radialError = (dist - targetR) / targetR;
+
+      const tangentialStrength = 0.040;
+      const radialStrength     = 0.090;
+      const centerBiasTiny     = 0.00;
+
+      const wobble = 0.78 + 0.22 * Math.sin(t * 0.55 + this.wanderPhase);
+
+      this.vx += tx * tangentialStrength * wobble;
+      this.vy += ty * tangentialStrength * wobble;
+
+      this.vx += (-dx / dist) * radialError * radialStrength;
+      this.vy += (-dy / dist) * radialError * radialStrength;
+
+
+    }
+
+// --- Center Bias (FULL tank only): subtle seek/avoid/none ---
+if (fullTank) {
+  const mode = normalizeCenterBias(cfg.centerBias);
+  if (mode !== "none") {
+    // Base strengths (tune these)
+    const baseSeek  = 0.045; // stronger than before
+    const baseAvoid = 0.020; // keep your avoid about where it is
+
+    // Distance scaling: seek gets stronger when far from center
+    const tankSize = Math.min(fullBounds.maxX - fullBounds.minX, fullBounds.maxY - fullBounds.minY);
+    const targetR = tankSize * 0.25; // same reference scale you use elsewhere
+    const dist01 = clamp(dist / (targetR || 1), 0, 2.5); // 0..~2.5
+
+    const speedMul = 0.75 + 0.75 * clamp((cfg.maxSpeed ?? 0.2) / 0.22, 0, 1);
+    const wobble = 0.75 + 0.25 * Math.sin(t * 0.7 + this.wanderPhase * 0.9);
+
+    const base = (mode === "seek") ? baseSeek : baseAvoid;
+
+    // seek: scale up with distance; avoid: mostly constant
+    const distMul = (mode === "seek") ? (0.6 + 0.8 * dist01) : 1.0;
+
+    const s = base * distMul * speedMul * wobble * rampEase;
+
+    const dir = (mode === "seek") ? -1 : 1; // seek => toward center
+    this.vx += (dx / dist) * (s * dir);
+    this.vy += (dy / dist) * (s * dir);
+
+    // Optional: helps seek “read” as gathering at center
+    if (mode === "seek") {
+      this.vx *= 0.94;
+      this.vy *= 0.94;
+    }
+  }
+}
+
+    // --- Pointer (per mood): flee / approach / ignore ---
+    const pointerMode = normalizePointerMode(cfg.pointerMode);
+    if (pointer && pointerMode !== "ignore") {
+      const px = this.x - pointer.x;
+      const py = this.y - pointer.y;
+      const pd = Math.hypot(px, py) || 1;
+      const radius = Math.max(1, cfg.pointerRadius ?? DEFAULT_CONFIG.pointerRadius);
+
+      if (pd < radius) {
+        const near = 1 - pd / radius;
+
+        if (pointerMode === "flee") {
+          const s = 0.12 * near * near * rampEase;
+          this.vx += (px / pd) * s;
+          this.vy += (py / pd) * s;
+          this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(py, px), 0.08 * near);
+          this.startle = Math.max(this.startle, POINTER_FLEE_SPEED * near);
+        } else {
+          // Gather around the pointer, not on top of it
+          const hold = radius * 0.18;
+          const s = 0.05 * clamp((pd - hold) / radius, -0.5, 1) * rampEase;
+          this.vx -= (px / pd) * s;
+          this.vy -= (py / pd) * s;
+          this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(-py, -px), 0.03 * near);
+        }
+      }
+    }
+
+    // --- Food: head for the nearest grain in sense range; eat it on reaching it ---
+    let dash = 0;
+    if (food.length && this.retireAt === null) {
+      let grain = null;
+      let gd = FOOD_SENSE;
+      for (const g of food) {
+        if (g.eaten) continue;
+        const d = Math.hypot(g.x - this.x, g.y - this.y);
+        if (d < gd) { gd = d; grain = g; }
+      }
+
+      if (grain) {
+        const appetite = 0.35 + 0.65 * clamp((now - this.fedAt) / (HUNGER_SECONDS * 1000), 0, 1);
+        if (gd < this.length * this.grow * 0.5 + FOOD_BITE) {
+          grain.eaten = true;
+          this.fedAt = now;
+          if (this.age < LIFE_GROW_SECONDS) this.age = Math.min(LIFE_GROW_SECONDS, this.age + FOOD_GROWTH);
+        } else {
+          const fx = (grain.x - this.x) / gd;
+          const fy = (grain.y - this.y) / gd;
+          const s = FOOD_SEEK * appetite * rampEase;
+          this.vx += fx * s;
+          this.vy += fy * s;
+          this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(fy, fx), 0.06 * appetite);
+          dash = FOOD_DASH * appetite * (1 - gd / FOOD_SENSE);
+        }
+      }
+    }
+
+    // --- Taps: a short radial shove away from the tap point ---
+    for (const d of disturbances) {
+      const age = (now - d.start) / (DISTURB_SECONDS * 1000);
+      if (age < 0 || age >= 1) continue;
+
+      const dx3 = this.x - d.x;
+      const dy3 = this.y - d.y;
+      const dd = Math.hypot(dx3, dy3);
+      if (dd >= d.radius) continue;
+
+      // Tapped dead-on: scatter along a direction of its own
+      const ux = dd > 1e-6 ? dx3 / dd : Math.cos(this.wanderPhase);
+      const uy = dd > 1e-6 ? dy3 / dd : Math.sin(this.wanderPhase);
+      const k = (1 - dd / d.radius) * (1 - age) * (1 - age);
+
+      this.vx += ux * 0.35 * k;
+      this.vy += uy * 0.35 * k;
+      this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(uy, ux), 0.25 * k);
+      this.startle = Math.max(this.startle, DISTURB_SPEED * k);
+    }
+
+    // --- Scene: slide around obstacles (turn along the surface, not back) ---
+    for (const ob of obstacles) {
+      const e = obstacleEdge(ob, this.x, this.y);
+      if (e.d >= SCENE_AVOID) continue;
+
+      const k = 1 - Math.max(0, e.d) / SCENE_AVOID;
+      this.vx += e.nx * 0.03 * k;
+      this.vy += e.ny * 0.03 * k;
+
+      const side = Math.cos(this.wanderHeading) * -e.ny + Math.sin(this.wanderHeading) * e.nx >= 0 ? 1 : -1;
+      this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(e.nx * side, -e.ny * side), 0.05 * k);
+    }
+
+    // --- Bubbles: a gentle lift (and sideways nudge) from any passing close by ---
+    // It carries the organism like a current, so even a still mood gets lifted.
+    let driftX = 0, driftY = 0;
+    for (const col of bubbleColumns) {
+      if (Math.abs(this.x - col.x) > col.reach) continue;
+
+      for (const b of col.bubbles) {
+        const bx = this.x - b.x;
+        const by = this.y - b.y;
+        const reach = b.r + BUBBLE_REACH;
+        if (Math.abs(by) > reach) continue;
+
+        const bd = Math.hypot(bx, by);
+        if (bd >= reach) continue;
+
+        const k = 1 - bd / reach;
+        driftY -= BUBBLE_PUSH * k;
+        driftX += (bd > 1e-6 ? bx / bd : 0) * BUBBLE_PUSH * 0.5 * k;
+      }
+    }
+
+    // Safety-net turning: near walls, bias intent inward (wall-normal)
+    {
+      const turnZone = 90;
+      let ax = 0, ay = 0;
+
+      if (bounds.shape) {
+        // Shaped region: only the nearest wall, wherever it faces
+        const e = regionEdge(bounds, this.x, this.y);
+        const t = clamp(1 - e.d / turnZone, 0, 1);
+        ax = e.nx * t;
+        ay = e.ny * t;
+      } else {
+        const tL = 1 - (this.x - bounds.minX) / turnZone;
+        const tR = 1 - (bounds.maxX - this.x) / turnZone;
+        const tT = 1 - (this.y - bounds.minY) / turnZone;
+        const tB = 1 - (bounds.maxY - this.y) / turnZone;
+
+        if (tL > 0) ax += clamp(tL, 0, 1);
+        if (tR > 0) ax -= clamp(tR, 0, 1);
+        if (tT > 0) ay += clamp(tT, 0, 1);
+        if (tB > 0) ay -= clamp(tB, 0, 1);
+      }
+
+      const mag = Math.hypot(ax, ay);
+      if (mag > 1e-6) {
+        ax /= mag; ay /= mag;
+
+        const inward = Math.atan2(ay, ax);
+        const urgency = clamp(mag, 0, 1);
+        const maxTurn = 0.020 * urgency;
+
+        this.wanderHeading = approachAngle(this.wanderHeading, inward, maxTurn);
+      }
+    }
+
+    // Accelerate along wanderHeading (maxSpeed is energy proxy)
+    const accel = (0.01 + (cfg.maxSpeed ?? 0.25) * 0.02) * (orbitEnabled ? 0.35 : 1.0) * sp.speedMul;
+    this.vx += Math.cos(this.wanderHeading) * accel * rampEase;
+    this.vy += Math.sin(this.wanderHeading) * accel * rampEase;
+
+    // Personal space (ONLY within same region); sociability bends it for the same species
+    const sepDist = Math.max(0, cfg.sepDistance ?? 0);
+    if (sepDist > 0 && neighbors.length > 1) {
+      const separateStrength = 0.02;
+      const kinD = sepDist * (1 - 0.4 * sp.sociability);
+      const flockD = sepDist * 3;
+
+      for (const other of neighbors) {
+        if (other === this || other.isEgg()) continue;
+        if (other.regionId !== this.regionId) continue;
+
+        const kin = other.species === this.species;
+        const minD = kin ? kinD : sepDist;
+
+        const dx2 = this.x - other.x;
+        const dy2 = this.y - other.y;
+        const d2 = dx2 * dx2 + dy2 * dy2;
+
+        // Sociable kin drift toward each other until personal space takes over
+        if (kin && sp.sociability > 0 && d2 >= minD * minD && d2 < flockD * flockD) {
+          const d = Math.sqrt(d2);
+          const pull = 0.004 * sp.sociability * (1 - d / flockD) * rampEase;
+          this.vx -= (dx2 / d) * pull;
+          this.vy -= (dy2 / d) * pull;
+        }
+
+        if (d2 > 0 && d2 < minD * minD) {
+          const d = Math.sqrt(d2);
+          const push = (minD - d) / minD;
+          this.vx += (dx2 / d) * push * separateStrength * rampEase;
+          this.vy += (dy2 / d) * push * separateStrength * rampEase;
+
+          // One event per pair as it comes into range, not one per step
+          if (contacts && !this.touching.has(other) && !other.touching.has(this)) {
+            contacts.push({ x: (this.x + other.x) * 0.5, y: (this.y + other.y) * 0.5, at: now });
+          }
+          this.touching.add(other);
+        } else {
+          this.touching.delete(other);
+        }
+      }
+
+      // Neighbours only cover nearby cells, so drop pairs that drifted out of view
+      for (const other of this.touching) {
+        const minD = other.species === this.species ? kinD : sepDist;
+        if (other.isGone() || Math.hypot(this.x - other.x, this.y - other.y) >= minD) this.touching.delete(other);
+      }
+    }
+
+    // Flocking (same region): alignment matches the local heading, cohesion drifts
+    // toward the local centre. Both off by default.
+    const alignment = Math.max(0, cfg.alignment ?? 0);
+    const cohesion = Math.max(0, cfg.cohesion ?? 0);
+    const perception = Math.max(0, cfg.perception ?? 0);
+    if ((alignment > 0 || cohesion > 0) && perception > 0 && neighbors.length > 1) {
+      let n = 0, sumX = 0, sumY = 0, sumVx = 0, sumVy = 0;
+
+      for (const other of neighbors) {
+        if (other === this || other.isEgg()) continue;
+        if (other.regionId !== this.regionId || other.retireAt !== null) continue;
+
+        const dx4 = other.x - this.x;
+        const dy4 = other.y - this.y;
+        if (dx4 * dx4 + dy4 * dy4 > perception * perception) continue;
+
+        n++;
+        sumX += other.x;
+        sumY += other.y;
+        sumVx += other.vx;
+        sumVy += other.vy;
+      }
+
+      if (n > 0) {
+        const avgVx = sumVx / n;
+        const avgVy = sumVy / n;
+        if (alignment > 0 && Math.hypot(avgVx, avgVy) > 1e-6) {
+          this.vx += (avgVx - this.vx) * 0.05 * alignment * rampEase;
+          this.vy += (avgVy - this.vy) * 0.05 * alignment * rampEase;
+          this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(avgVy, avgVx), 0.03 * alignment * rampEase);
+        }
+
+        const tx = sumX / n - this.x;
+        const ty = sumY / n - this.y;
+        const td = Math.hypot(tx, ty);
+        if (cohesion > 0 && td > 1e-6) {
+          const far = clamp(td / perception, 0, 1);
+          const s = 0.012 * cohesion * far * rampEase;
+          this.vx += (tx / td) * s;
+          this.vy += (ty / td) * s;
+          this.wanderHeading = approachAngle(this.wanderHeading, Math.atan2(ty, tx), 0.015 * cohesion * far * rampEase);
+        }
+      }
+    }
+
+    // Damping
+    this.vx *= 0.96;
+    this.vy *= 0.96;
+
+    // Speed cap
+    const maxSpeed = Math.max(0, cfg.maxSpeed ?? 0.25) * sp.speedMul * lerp(OLD_SPEED, 1, vigor);
+    const capped = Math.max(maxSpeed * (0.35 + 0.65 * rampEase), this.startle, dash);
+    limitSpeed(this, capped);
+    this.startle *= STARTLE_DECAY;
+
+    // Soft edge field: nudges before touching wall
+    const edgeSoftness = 60;
+    const edgeForce = 0.010;
+
+    if (bounds.shape) {
+      const e = regionEdge(bounds, this.x, this.y);
+      if (e.d < edgeSoftness) {
+        const k = (1 - Math.max(0, e.d) / edgeSoftness) * edgeForce;
+        this.vx += e.nx * k;
+        this.vy += e.ny * k;
+      }
+    } else {
+      if (this.x - bounds.minX < edgeSoftness) {
+        const d = this.x - bounds.minX;
+        this.vx += (1 - d / edgeSoftness) * edgeForce;
+      }
+      if (bounds.maxX - this.x < edgeSoftness) {
+        const d = bounds.maxX - this.x;
+        this.vx -= (1 - d / edgeSoftness) * edgeForce;
+      }
+      if (this.y - bounds.minY < edgeSoftness) {
+        const d = this.y - bounds.minY;
+        this.vy += (1 - d / edgeSoftness) * edgeForce;
+      }
+      if (bounds.maxY - this.y < edgeSoftness) {
+        const d = bounds.maxY - this.y;
+        this.vy -= (1 - d / edgeSoftness) * edgeForce;
+      }
+    }
+
+    // Integrate
+    this.x += this.vx + driftX;
+    this.y += this.vy + driftY;
+
+    // Out of any obstacle it swam into (the region below still has the last word)
+    for (const ob of obstacles) {
+      const e = obstacleEdge(ob, this.x, this.y);
+      if (e.d >= 0) continue;
+      this.x -= e.nx * e.d;
+      this.y -= e.ny * e.d;
+
+      const vn = this.vx * e.nx + this.vy * e.ny;
+      if (vn < 0) {
+        this.vx -= e.nx * vn;
+        this.vy -= e.ny * vn;
+      }
+    }
+
+    // Hard clamp to region (hard constraint); a shape still arriving only herds
+    this.x = clamp(this.x, bounds.minX, bounds.maxX);
+    this.y = clamp(this.y, bounds.minY, bounds.maxY);
+    if (bounds.shape) {
+      const grip = bounds.shapeGrip ?? 1;
+      pullIntoShape(this, bounds, grip >= 1 ? Infinity : 0.5 + 4 * grip);
+    }
+
+    // --- Unstick on wall contact (region-aware) ---
+    {
+      const eps = 0.75;
+      const damp = 0.30;
+      const turnBoost = 0.20;
+
+      let ax = 0, ay = 0;
+
+      if (bounds.shape) {
+        const e = regionEdge(bounds, this.x, this.y);
+        if (e.d <= eps) {
+          // Reflect (damped) only the part of the velocity heading out through the wall
+          const vn = this.vx * e.nx + this.vy * e.ny;
+          if (vn < 0) {
+            this.vx -= e.nx * vn * (1 + damp);
+            this.vy -= e.ny * vn * (1 + damp);
+          }
+          ax = e.nx;
+          ay = e.ny;
+        }
+      } else {
+        const onLeft   = this.x <= bounds.minX + eps;
+        const onRight  = this.x >= bounds.maxX - eps;
+        const onTop    = this.y <= bounds.minY + eps;
+        const onBottom = this.y >= bounds.maxY - eps;
+
+        if (onLeft   && this.vx < 0) this.vx *= -damp;
+        if (onRight  && this.vx > 0) this.vx *= -damp;
+        if (onTop    && this.vy < 0) this.vy *= -damp;
+        if (onBottom && this.vy > 0) this.vy *= -damp;
+
+        if (onLeft)   ax += 1;
+        if (onRight)  ax -= 1;
+        if (onTop)    ay += 1;
+        if (onBottom) ay -= 1;
+      }
+
+      const mag = Math.hypot(ax, ay);
+      if (mag > 1e-6) {
+        ax /= mag; ay /= mag;
+        const inward = Math.atan2(ay, ax);
+        this.wanderHeading = approachAngle(this.wanderHeading, inward, turnBoost);
+      }
+    }
+
+    // Heading follows travel direction
+    const speed = Math.hypot(this.vx, this.vy);
+    if (speed > MIN_SPEED_FOR_HEADING) {
+      const desired = Math.atan2(this.vy, this.vx);
+      const blended = wrapAngle(this.heading + wrapAngle(desired - this.heading) * HEADING_FOLLOW);
+      this.heading = approachAngle(this.heading, blended, MAX_TURN_PER_FRAME);
+    }
+  }
+
+  retire(now) {
+    if (this.retireAt !== null) return;
+    this.retireAt = now;
+    this.retireFrom = this.opacity;
+  }
+
+  isGone() {
+    return this.retireAt !== null && this.opacity <= 0;
+  }
+
+  isEgg() {
+    return this.age < 0;
+  }
+}
+
+/* ---------------------------
+   Calm motion (reduced-motion visitors)
+   - calmConfig(cfg) caps the high-frequency parts of a mood: shake becomes a slow
+     sway and wiggleSpeed stops buzzing; speed, zones, flocking and the rest stay as tuned
+   - The tremor it takes away comes back as cfg.shimmer (0..1): renderers fade each
+     organism in and out slowly with it (shimmerAlpha)
+----------------------------*/
+
+const CALM_MAX_SHAKE = 0.4;         // px
+const CALM_MAX_SHAKE_SPEED = 3;     // a sway, not a buzz
+const CALM_MAX_WIGGLE_SPEED = 1.2;
+const CALM_SHIMMER_SPEED = 1.4;     // rad/s of the opacity pulse
+const CALM_SHIMMER_DEPTH = 0.45;    // opacity lost at the bottom of a full-strength pulse
+
+function calmConfig(cfg) {
+  const shake = cfg.shake ?? 0;
+  return {
+    ...cfg,
+    shake: Math.min(shake, CALM_MAX_SHAKE),
+    shakeSpeed: Math.min(cfg.shakeSpeed ?? 40, CALM_MAX_SHAKE_SPEED),
+    wiggleSpeed: Math.min(cfg.wiggleSpeed ?? 0.85, CALM_MAX_WIGGLE_SPEED),
+    shimmer: clamp(shake / 1.5, 0, 1),
+  };
+}
+
+// Opacity multiplier for cfg.shimmer; 1 when there is none.
+function shimmerAlpha(o, cfg, now) {
+  const shimmer = cfg.shimmer ?? 0;
+  if (!(shimmer > 0)) return 1;
+  const wave = 0.5 + 0.5 * Math.sin(now * 0.001 * CALM_SHIMMER_SPEED + o.wanderPhase);
+  return 1 - shimmer * CALM_SHIMMER_DEPTH * wave;
+}
+
+/* ---------------------------
+   Mood transitions (crossfade)
+----------------------------*/
+
+const BLEND_NUMERIC_KEYS = [
+  "maxSpeed", "wiggle", "wiggleSpeed", "shake", "shakeSpeed", "sepDistance",
+  "alignment", "cohesion", "perception", "pointerRadius", "lifeSpeed",
+];
+
+function blendConfigs(from, to, t) {
+  const out = { ...to };
+
+  for (const key of BLEND_NUMERIC_KEYS) {
+    const a = from[key] ?? DEFAULT_CONFIG[key];
+    const b = to[key] ?? DEFAULT_CONFIG[key];
+    out[key] = lerp(a, b, t);
+  }
+
+  // Discrete modes flip halfway through
+  if (t < 0.5) {
+    out.orbit = from.orbit;
+    out.centerBias = from.centerBias;
+    out.pointerMode = from.pointerMode;
+    out.species = from.species;
+    out.scene = from.scene;
+  }
+
+  return out;
+}
+
+/* ---------------------------
+   Mood blends (several words at once)
+   - mixConfigs([{ cfg, weight }, ...]) is the weighted average of slot configs
+   - Numbers and organismCount average by weight; species mixes add up by weight;
+     zones are the union of every mood's zones (any "full" wins)
+   - orbit, centerBias, pointerMode, scene and audio come from the heaviest mood
+     (the first one on a tie); timelines don't blend, so keyframes are dropped
+----------------------------*/
+
+function mixConfigs(parts) {
+  const live = parts.filter((p) => p && p.cfg && p.weight > 0);
+  if (!live.length) return normalizeSlotCfg({ ...DEFAULT_CONFIG });
+
+  const total = live.reduce((sum, p) => sum + p.weight, 0);
+  const heaviest = live.reduce((best, p) => (p.weight > best.weight ? p : best), live[0]);
+  const out = { ...heaviest.cfg };
+  delete out.keyframes;
+  delete out.keyframeLoop;
+
+  for (const key of [...BLEND_NUMERIC_KEYS, "organismCount"]) {
+    out[key] = live.reduce((sum, p) => sum + (p.cfg[key] ?? DEFAULT_CONFIG[key]) * p.weight, 0) / total;
+  }
+  out.organismCount = Math.round(out.organismCount);
+
+  const species = {};
+  for (const p of live) {
+    const mix = normalizeSpeciesMix(p.cfg.species);
+    for (const id of Object.keys(mix)) species[id] = (species[id] || 0) + mix[id] * (p.weight / total);
+  }
+  out.species = species;
+
+  const zones = live.flatMap((p) => normalizeZones(p.cfg.zones));
+  out.zones = zones.includes(ZONES.full) ? [ZONES.full] : normalizeZones(zones);
+
+  return normalizeSlotCfg(out);
+}
+
+/* ---------------------------
+   Timelines (keyframes)
+   - cfg.keyframes: [{ at: seconds, ease?: "linear" | "in" | "out" | "inOut", ...partial config }]
+   - Overrides accumulate: a key set on one keyframe holds until another keyframe changes it.
+   - Numbers interpolate; orbit/centerBias/pointerMode/species/scene flip halfway; zones slide over the segment.
+   - cfg.keyframeLoop: "none" (hold the last keyframe) | "loop" | "pingpong"
+----------------------------*/
+
+const KEYFRAME_EASINGS = {
+  linear: (t) => t,
+  in: (t) => t * t,
+  out: (t) => 1 - (1 - t) * (1 - t),
+  inOut: easeInOut,
+};
+
+const TIMELINE_NUMERIC_KEYS = [...BLEND_NUMERIC_KEYS, "organismCount"];
+
+function hasTimeline(cfg) {
+  return Array.isArray(cfg.keyframes) && cfg.keyframes.length > 0;
+}
+
+// Cumulative keyframe states, starting from the mood's own values.
+function timelineStates(cfg) {
+  const kfs = cfg.keyframes.slice().sort((a, b) => a.at - b.at);
+  if (kfs[0].at > 0) kfs.unshift({ at: 0 });
+
+  const states = [];
+  let acc = { ...cfg };
+  for (const kf of kfs) {
+    const { at, ease, ...overrides } = kf;
+    acc = { ...acc, ...overrides };
+    states.push({ at, ease: Object.hasOwn(KEYFRAME_EASINGS, ease) ? KEYFRAME_EASINGS[ease] : easeInOut, cfg: acc });
+  }
+  return states;
+}
+
+function timelineDuration(cfg) {
+  if (!hasTimeline(cfg)) return 0;
+  return Math.max(...cfg.keyframes.map((k) => k.at));
+}
+
+// Returns { cfg, fromZones, t, duration, segmentLeft } for raw time t (seconds since activation).
+// cfg.zones is where the walls are heading; fromZones is where this segment started.
+function evalTimeline(cfg, t) {
+  const states = timelineStates(cfg);
+  const duration = states[states.length - 1].at;
+  const loop = cfg.keyframeLoop || "none";
+
+  let local = Math.max(0, t);
+  let forward = true;
+
+  if (duration > 0 && loop === "loop") {
+    local %= duration;
+  } else if (duration > 0 && loop === "pingpong") {
+    const p = local % (duration * 2);
+    forward = p < duration;
+    local = forward ? p : duration * 2 - p;
+  } else {
+    local = Math.min(local, duration);
+  }
+
+  let i = 0;
+  while (i < states.length - 2 && local >= states[i + 1].at) i++;
+
+  const a = states[i];
+  const b = states[Math.min(i + 1, states.length - 1)];
+  const span = b.at - a.at;
+
+  if (span <= 0 || (loop === "none" && local >= duration)) {
+    return { cfg: normalizeSlotCfg({ ...b.cfg }), fromZones: normalizeZones(b.cfg.zones), t: local, duration, segmentLeft: 0 };
+  }
+
+  const k = b.ease(clamp((local - a.at) / span, 0, 1));
+  const out = { ...b.cfg };
+
+  for (const key of TIMELINE_NUMERIC_KEYS) {
+    out[key] = lerp(a.cfg[key] ?? DEFAULT_CONFIG[key], b.cfg[key] ?? DEFAULT_CONFIG[key], k);
+  }
+  if (k < 0.5) {
+    out.orbit = a.cfg.orbit;
+    out.centerBias = a.cfg.centerBias;
+    out.pointerMode = a.cfg.pointerMode;
+    out.species = a.cfg.species;
+    out.scene = a.cfg.scene;
+  }
+
+  // Zones head toward whichever keyframe playback is moving to.
+  out.zones = forward ? b.cfg.zones : a.cfg.zones;
+  const fromZones = normalizeZones(forward ? a.cfg.zones : b.cfg.zones);
+
+  const segmentLeft = forward ? b.at - local : local - a.at;
+  return { cfg: normalizeSlotCfg(out), fromZones, t: local, duration, segmentLeft };
+}
+
+/* ---------------------------
+   Field
+----------------------------*/
+
+class Field {
+  constructor(seed = 0) {
+    this.rng = mulberry32(seed);   // spawns, wander, orbit flips
+    this.now = 0;                  // ms of simulated time since the field last respawned
+    this.organisms = [];
+
+    this.transition = null;        // { from, start, duration }
+    this.zonesKey = null;          // zones the organisms are homed to
+    this.zoneMorph = null;         // { start, duration } wall slide in progress
+    this.timeline = { start: 0, pausedAt: null };
+
+    this.orbitDir = 1;             // +1 or -1
+    this.orbitDirTarget = 1;
+    this.orbitDirTimer = 0;
+
+    this.pointer = null;           // { x, y } in bounds space while hovering / touching
+    this.disturbances = [];        // taps: [{ x, y, radius, start }]
+    this.contacts = [];            // [{ x, y, at }] until drainContacts()
+    this.bubbles = [];             // rising from the scene's bubblers: [{ x, y, r, x0, phase, col }]
+    this.food = [];                // grains from feed(): [{ x, y, x0, phase, at, eaten }]
+
+    this.grid = new SpatialHash(); // neighbour lookup, rebuilt every step
+    this.calm = false;             // reduced motion (see Calm motion)
+  }
+
+  reseed(seed) {
+    this.rng = mulberry32(seed);
+  }
+
+  // Fresh field: clock back to zero, so mood + seed always spawns and moves the same way.
+  // A timeline starts in the zones of its first keyframe; step() then slides toward the next.
+  respawn(slotCfg, fullBounds) {
+    this.now = 0;
+    this.orbitDir = 1;
+    this.orbitDirTarget = 1;
+    this.orbitDirTimer = 0;
+
+    this.transition = null;
+    this.zoneMorph = null;
+    this.disturbances = [];
+    this.contacts = [];
+    this.bubbles = [];
+    this.food = [];
+    this.resetTimeline();
+
+    const cfg = this.effectiveConfig(slotCfg);
+    const zones = hasTimeline(slotCfg) ? evalTimeline(slotCfg, this.timelineSeconds()).fromZones : cfg.zones;
+    const regions = computeRegionsFromZones(fullBounds, zones);
+
+    this.organisms = [];
+    this.zonesKey = zonesKey(zones);
+
+    const hatching = (cfg.lifeSpeed ?? 0) > 0;
+    const targets = speciesTargets(populationFor(cfg), cfg.species);
+    for (const id of Object.keys(targets)) {
+      for (let i = 0; i < targets[id]; i++) this.spawn(regions, id, hatching);
+    }
+  }
+
+  // hatching: arrive as an egg instead of full grown.
+  spawn(regions, speciesId, hatching = false) {
+    const r = pickRegionWeighted(regions, this.rng);
+    const age = hatching ? -LIFE_EGG_SECONDS * (0.6 + 0.8 * this.rng()) : null;
+    this.organisms.push(new Organism(r, r.id, this.rng, this.now, speciesId, age));
+  }
+
+  // Nothing to crossfade from (not even organisms still fading out).
+  isEmpty() {
+    return this.organisms.length === 0;
+  }
+
+  // Living organisms per species id.
+  speciesBreakdown() {
+    const out = {};
+    for (const o of this.organisms) {
+      if (o.retireAt === null) out[o.species] = (out[o.species] || 0) + 1;
+    }
+    return out;
+  }
+
+  // step() notices the new zones / population and slides + fades the field.
+  beginTransition(prevCfg, seconds) {
+    this.resetTimeline();
+    this.transition = {
+      from: { ...prevCfg },
+      start: this.now,
+      duration: Math.max(1, seconds * 1000),
+    };
+  }
+
+  setPointer(x, y) {
+    this.pointer = { x, y };
+  }
+
+  clearPointer() {
+    this.pointer = null;
+  }
+
+  disturb(x, y, radius) {
+    this.disturbances.push({ x, y, radius: Math.max(1, radius), start: this.now });
+  }
+
+  drainContacts() {
+    const out = this.contacts;
+    this.contacts = [];
+    return out;
+  }
+
+  // A pinch of food grains around (x, y); they sink from there.
+  feed(x, y) {
+    for (let i = 0; i < FEED_GRAINS && this.food.length < MAX_FOOD; i++) {
+      const x0 = x + (this.rng() - 0.5) * FEED_SPREAD;
+      const y0 = y + (this.rng() - 0.5) * FEED_SPREAD * 0.4;
+      this.food.push({ x: x0, y: y0, x0, phase: this.rng() * Math.PI * 2, at: this.now, eaten: false });
+    }
+  }
+
+  transitionProgress(now = this.now) {
+    if (!this.transition) return 1;
+    return clamp((now - this.transition.start) / this.transition.duration, 0, 1);
+  }
+
+  // Config that currently drives the field: the slot, advanced along its
+  // timeline, blended from the previous mood while a crossfade runs, and calmed last.
+  effectiveConfig(slotCfg, now = this.now) {
+    let cfg = slotCfg;
+    if (hasTimeline(cfg)) cfg = evalTimeline(cfg, this.timelineSeconds(now)).cfg;
+    if (this.transition) cfg = blendConfigs(this.transition.from, cfg, easeInOut(this.transitionProgress(now)));
+
+    return this.calm ? calmConfig(cfg) : cfg;
+  }
+
+  setCalm(on) {
+    this.calm = !!on;
+  }
+
+  resetTimeline() {
+    this.timeline = { start: this.now, pausedAt: this.timeline.pausedAt === null ? null : this.now };
+  }
+
+  timelineSeconds(now = this.now) {
+    return ((this.timeline.pausedAt ?? now) - this.timeline.start) / 1000;
+  }
+
+  setTimelinePaused(paused) {
+    if (paused && this.timeline.pausedAt === null) {
+      this.timeline.pausedAt = this.now;
+    } else if (!paused && this.timeline.pausedAt !== null) {
+      this.timeline.start += this.now - this.timeline.pausedAt;
+      this.timeline.pausedAt = null;
+    }
+  }
+
+  scrubTimeline(seconds) {
+    const now = this.timeline.pausedAt ?? this.now;
+    this.timeline.start = now - Math.max(0, seconds) * 1000;
+  }
+
+  zoneMorphProgress(now = this.now) {
+    if (!this.zoneMorph) return 1;
+    return clamp((now - this.zoneMorph.start) / this.zoneMorph.duration, 0, 1);
+  }
+
+  // How long walls take to reach new zones: the rest of the crossfade, else the
+  // rest of the timeline segment, else a short settle.
+  zoneMorphSeconds(slotCfg, now = this.now) {
+    if (this.transition) return (this.transition.start + this.transition.duration - now) / 1000;
+    if (hasTimeline(slotCfg)) return evalTimeline(slotCfg, this.timelineSeconds(now)).segmentLeft;
+    return 0.4;
+  }
+
+  // Survivors keep swimming; their walls slide from where they were to the new region.
+  rehome(regions, fullBounds, seconds) {
+    for (const o of this.organisms) {
+      o.fromBounds = { ...(o.lastBounds || boundsForRegion(fullBounds, REGION.full)) };
+      o.regionId = regionForPoint(regions, o.x, o.y, this.rng).id;
+    }
+    this.zoneMorph = { start: this.now, duration: Math.max(200, seconds * 1000) };
+  }
+
+  // Surplus organisms fade out; missing ones fade in (per species, so a new mix swaps bodies too).
+  // hatching: the missing ones come as eggs.
+  reconcilePopulation(target, regions, mix, hatching = false) {
+    const want = speciesTargets(target, mix);
+
+    for (const id of Object.keys(SPECIES)) {
+      const living = this.organisms.filter((o) => o.retireAt === null && o.species === id);
+      const n = want[id] || 0;
+
+      if (living.length > n) {
+        for (const o of shuffle(living, this.rng).slice(n)) o.retire(this.now);
+      } else {
+        for (let i = living.length; i < n; i++) this.spawn(regions, id, hatching);
+      }
+    }
+  }
+
+  // Bubblers release bubbles (seeded); bubbles wobble up and pop at the top of the tank.
+  // Returns them grouped per column for Organism.update().
+  stepBubbles(layout, fullBounds, dtMs) {
+    layout.bubblers.forEach((b, col) => {
+      if (this.bubbles.length >= MAX_BUBBLES || this.rng() >= b.rate * (dtMs / 1000)) return;
+      const x0 = b.x + (this.rng() - 0.5) * b.r;
+      this.bubbles.push({ x: x0, y: b.y - b.r, r: 1.2 + this.rng() * 2.6, x0, phase: this.rng() * Math.PI * 2, col });
+    });
+
+    const columns = new Map();
+    for (const bubble of this.bubbles) {
+      bubble.y -= BUBBLE_RISE * (0.7 + bubble.r / 6);
+      bubble.phase += 0.08;
+      bubble.x = bubble.x0 + Math.sin(bubble.phase) * 2.5;
+
+      let column = columns.get(bubble.col);
+      if (!column) columns.set(bubble.col, (column = { x: bubble.x0, reach: 2.5 + 4 + BUBBLE_REACH, bubbles: [] }));
+      column.bubbles.push(bubble);
+    }
+
+    if (this.bubbles.some((b) => b.y < fullBounds.minY)) this.bubbles = this.bubbles.filter((b) => b.y >= fullBounds.minY);
+    return [...columns.values()];
+  }
+
+  // Grains sink with a slight sway and settle on the tank floor until eaten or dissolved.
+  stepFood(fullBounds) {
+    if (this.food.some((g) => g.eaten || this.now - g.at > FOOD_SECONDS * 1000)) {
+      this.food = this.food.filter((g) => !g.eaten && this.now - g.at <= FOOD_SECONDS * 1000);
+    }
+
+    for (const g of this.food) {
+      if (g.y >= fullBounds.maxY) continue;
+      g.y = Math.min(fullBounds.maxY, g.y + FOOD_SINK);
+      g.phase += 0.03;
+      g.x = clamp(g.x0 + Math.sin(g.phase) * 3, fullBounds.minX, fullBounds.maxX);
+    }
+    return this.food;
+  }
+
+  updateOrbitDrift(dt) {
+    this.orbitDirTimer -= dt;
+    if (this.orbitDirTimer <= 0) {
+      this.orbitDirTarget = this.rng() < 0.5 ? 1 : -1;
+      this.orbitDirTimer = 2.8 + this.rng() * 4.2;
+    }
+
+    const blend = clamp(dt * 1.2, 0, 1);
+    this.orbitDir = this.orbitDir * (1 - blend) + this.orbitDirTarget * blend;
+
+    if (Math.abs(this.orbitDir) > 0.98) this.orbitDir = this.orbitDirTarget;
+  }
+
+  // One step at field.now. Returns the config it ran with.
+  step(slotCfg, fullBounds, dtMs = SIM_STEP_MS) {
+    const now = this.now;
+    const cfg = this.effectiveConfig(slotCfg, now);
+
+    // Recompute regions each step so resize / zone changes stay correct
+    const regions = computeRegionsFromZones(fullBounds, cfg.zones);
+    const fullTank = isFullTankFromRegions(regions);
+
+    // Zones or population moved (crossfade, timeline): slide walls, fade organisms in/out
+    const key = zonesKey(cfg.zones);
+    if (key !== this.zonesKey) {
+      this.rehome(regions, fullBounds, this.zoneMorphSeconds(slotCfg, now));
+      this.zonesKey = key;
+    }
+    this.reconcilePopulation(populationFor(cfg), regions, cfg.species, (cfg.lifeSpeed ?? 0) > 0);
+
+    const morph = easeInOut(this.zoneMorphProgress(now));
+
+    // If not full, force orbit off + centerBias none
+    if (!fullTank) {
+      if (cfg.orbit) cfg.orbit = false;
+      if (cfg.centerBias !== "none") cfg.centerBias = "none";
+    }
+
+    const orbitEnabled = fullTank && !!cfg.orbit;
+
+    if (orbitEnabled) this.updateOrbitDrift(dtMs / 1000);
+
+    const byId = Object.create(null);
+    for (const r of regions) byId[r.id] = r;
+
+    if (this.disturbances.length) {
+      this.disturbances = this.disturbances.filter((d) => now - d.start < DISTURB_SECONDS * 1000);
+    }
+
+    const layout = sceneLayout(fullBounds, cfg.scene);
+
+    const env = {
+      now, dt: dtMs, fullBounds, orbitEnabled, fullTank,
+      orbitDir: this.orbitDir,
+      neighbors: [],
+      pointer: this.pointer,
+      disturbances: this.disturbances,
+      contacts: this.contacts,
+      obstacles: layout.obstacles,
+      bubbleColumns: this.stepBubbles(layout, fullBounds, dtMs),
+      food: this.stepFood(fullBounds),
+    };
+
+    // Neighbours come from the grid: each organism sees the cells within reach, not the whole tank
+    const reach = neighborReach(cfg);
+    if (reach > 0) this.grid.rebuild(this.organisms, reach);
+
+    for (const o of this.organisms) {
+      let rb = byId[o.regionId] || boundsForRegion(fullBounds, REGION.full);
+      if (this.zoneMorph && o.fromBounds) rb = lerpBounds(o.fromBounds, rb, morph);
+
+      if (reach > 0) this.grid.near(o.x, o.y, reach, env.neighbors);
+
+      o.lastBounds = rb;
+      o.update(rb, cfg, env);
+    }
+
+    if (this.transition && this.transitionProgress(now) >= 1) this.transition = null;
+    if (this.zoneMorph && this.zoneMorphProgress(now) >= 1) {
+      this.zoneMorph = null;
+      for (const o of this.organisms) o.fromBounds = null;
+    }
+    if (this.organisms.some((o) => o.isGone())) this.organisms = this.organisms.filter((o) => !o.isGone());
+    if (this.contacts.length > MAX_CONTACTS) this.contacts.splice(0, this.contacts.length - MAX_CONTACTS);
+
+    this.now += dtMs;
+    return cfg;
+  }
+}
+
+/* ---------------------------
+   Node (tests)
+----------------------------*/
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RAMP_SECONDS, TARGET_OPACITY, GROW_FROM, SIM_STEP_MS, MAX_STEPS_PER_FRAME, RETIRE_SECONDS, DISTURB_SECONDS,
+    ZONES, ZONE_SHAPES, REGION, DEFAULT_CONFIG, SPECIES, MAX_ORGANISMS, SCENE_TYPES,
+    LIFE_EGG_SECONDS, LIFE_GROW_SECONDS, LIFE_ADULT_SECONDS, LIFE_OLD_SECONDS, HATCH_SIZE, FEED_GRAINS, lifeSize, lifeVigor,
+    normalizeZones, normalizeZoneShape, regionContains, regionEdge, normalizePointerMode, normalizeSlotCfg, fieldBounds, boundsForRegion, computeRegionsFromZones,
+    isFullTankFromRegions, populationFor, normalizeSpeciesMix, speciesTargets,
+    SpatialHash, neighborReach, normalizeScene, sceneLayout,
+    hashString, mulberry32, shuffle, clamp, lerp, easeInOut,
+    CALM_MAX_SHAKE, CALM_MAX_WIGGLE_SPEED, calmConfig, shimmerAlpha,
+    blendConfigs, mixConfigs, hasTimeline, timelineDuration, evalTimeline,
+    Organism, Field,
+  };
+}
@@ -0,0 +1,56 @@
+/* render-gl.test.js — instance packing for render-gl.js, no browser or GPU needed
+   Run: npm test (node --test test/)
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// render-gl.js is a classic script: it reads sim.js globals, as it does in the page
+const sim = require("../sim.js");
+Object.assign(globalThis, sim);
+const { GL_INSTANCE_FLOATS, GL_MAX_LEGS, GL_MAX_SEGMENTS, packOrganisms } = require("../render-gl.js");
+
+const { DEFAULT_CONFIG, SPECIES, fieldBounds, normalizeSlotCfg, hashString, Field } = sim;
+
+function grownField(overrides, steps = 200) {
+  const cfg = normalizeSlotCfg({ ...DEFAULT_CONFIG, ...overrides });
+  const field = new Field();
+  field.reseed(hashString("gl"));
+  field.respawn(cfg, fieldBounds(800, 600));
+  for (let i = 0; i < steps; i++) field.step(cfg, fieldBounds(800, 600));
+  return { field, cfg };
+}
+
+test("packs one instance per visible organism, with drawOrganism's geometry", () => {
+  const { field, cfg } = grownField({ organismCount: 12, species: { shrimp: 0.5, adult: 0.5 } });
+  field.organisms[0].opacity = 0;
+
+  const out = new Float32Array(field.organisms.length * GL_INSTANCE_FLOATS);
+  const n = packOrganisms(field.organisms, cfg, field.now, out);
+  assert.equal(n, field.organisms.length - 1);
+
+  const o = field.organisms[1];
+  const grow = o.grow * o.pulse;
+  const at = (k) => out[k];
+
+  assert.ok(Math.abs(at(0) - o.x) < 1e-3 && Math.abs(at(1) - o.y) < 1e-3, "shake 0 leaves the position alone");
+  assert.ok(Math.abs(at(4) - (o.length * grow) / 2) < 1e-4, "half length follows grow * pulse");
+  assert.equal(at(11), o.segments);
+  assert.equal(at(15), Math.min(o.legs, GL_MAX_LEGS));
+  assert.ok(Math.abs(at(12) - SPECIES[o.species].color[0] / 255) < 1e-6);
+});
+
+test("every species fits the body and leg meshes", () => {
+  for (const sp of Object.values(SPECIES)) {
+    assert.ok(sp.segments <= GL_MAX_SEGMENTS, sp.label);
+    assert.ok(sp.legs <= GL_MAX_LEGS, sp.label);
+  }
+});
+
+test("eggs are left to the decor layer", () => {
+  const { field, cfg } = grownField({ organismCount: 6, lifeSpeed: 1 }, 20);
+  assert.ok(field.organisms.every((o) => o.isEgg() && o.opacity > 0));
+
+  const out = new Float32Array(field.organisms.length * GL_INSTANCE_FLOATS);
+  assert.equal(packOrganisms(field.organisms, cfg, field.now, out), 0);
+});
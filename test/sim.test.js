@@ -0,0 +1,680 @@
+/* sim.test.js — physics checks for sim.js, no browser needed
+   Run: npm test (node --test test/)
+*/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const {
+  RAMP_SECONDS, TARGET_OPACITY, GROW_FROM, SIM_STEP_MS,
+  DEFAULT_CONFIG, REGION, SPECIES, MAX_ORGANISMS,
+  fieldBounds, boundsForRegion, computeRegionsFromZones, normalizeSlotCfg,
+  hashString, evalTimeline, mixConfigs, speciesTargets, SpatialHash, Organism, Field,
+  normalizeZones, regionContains, regionEdge, sceneLayout,
+  LIFE_GROW_SECONDS, LIFE_ADULT_SECONDS, FEED_GRAINS,
+  CALM_MAX_SHAKE, CALM_MAX_WIGGLE_SPEED, shimmerAlpha,
+} = require("../sim.js");
+
+const BOUNDS = fieldBounds(800, 600);
+
+function moodCfg(overrides) {
+  return normalizeSlotCfg({ ...DEFAULT_CONFIG, ...overrides });
+}
+
+function run(field, cfg, steps) {
+  for (let i = 0; i < steps; i++) field.step(cfg, BOUNDS);
+}
+
+function stepsFor(seconds) {
+  return Math.ceil((seconds * 1000) / SIM_STEP_MS);
+}
+
+/* ---------------------------
+   Zones
+----------------------------*/
+
+test("boundsForRegion splits the tank at its center", () => {
+  const tl = boundsForRegion(BOUNDS, REGION.topLeft);
+  const br = boundsForRegion(BOUNDS, REGION.bottomRight);
+
+  assert.equal(tl.minX, BOUNDS.minX);
+  assert.equal(tl.maxX, BOUNDS.cx);
+  assert.equal(tl.maxY, BOUNDS.cy);
+  assert.equal(br.minX, BOUNDS.cx);
+  assert.equal(br.minY, BOUNDS.cy);
+  assert.equal(br.maxY, BOUNDS.maxY);
+  assert.equal(tl.area, br.area);
+});
+
+test("adjacent quadrants merge, diagonals stay apart", () => {
+  const merged = computeRegionsFromZones(BOUNDS, ["bottomLeft", "bottomRight"]);
+  assert.deepEqual(merged.map((r) => r.id), [REGION.bottom]);
+
+  const diagonal = computeRegionsFromZones(BOUNDS, ["topLeft", "bottomRight"]);
+  assert.deepEqual(diagonal.map((r) => r.id), [REGION.topLeft, REGION.bottomRight]);
+
+  const all = computeRegionsFromZones(BOUNDS, ["topLeft", "topRight", "bottomLeft", "bottomRight"]);
+  assert.deepEqual(all.map((r) => r.id), [REGION.full]);
+});
+
+test("organisms never leave their zone", () => {
+  const cfg = moodCfg({ zones: ["topLeft", "bottomRight"], maxSpeed: 0.5, organismCount: 20 });
+  const field = new Field(hashString("confine"));
+  field.respawn(cfg, BOUNDS);
+
+  const regions = Object.fromEntries(
+    computeRegionsFromZones(BOUNDS, cfg.zones).map((r) => [r.id, r])
+  );
+
+  for (let i = 0; i < stepsFor(20); i++) {
+    field.step(cfg, BOUNDS);
+    for (const o of field.organisms) {
+      const r = regions[o.regionId];
+      assert.ok(r, `unexpected region ${o.regionId}`);
+      assert.ok(o.x >= r.minX && o.x <= r.maxX && o.y >= r.minY && o.y <= r.maxY,
+        `${o.regionId} organism escaped to ${o.x.toFixed(1)},${o.y.toFixed(1)}`);
+    }
+  }
+});
+
+test("shape zones normalize, and unusable ones fall back to the full tank", () => {
+  const zones = normalizeZones([
+    "bottomLeft",
+    { shape: "circle", cx: 0.5, cy: 0.5, r: 0.2 },
+    { shape: "rect", x: 0.25, y: 0.5, w: 1, h: 0.8 },
+    { shape: "ring", cx: 0.5, cy: 0.5, r: 0.2, inner: 0.3 },
+    { shape: "polygon", points: [[0, 0], [1, 1]] },
+    { shape: "blob" },
+  ]);
+
+  assert.deepEqual(zones, [
+    "bottomLeft",
+    { shape: "circle", cx: 0.5, cy: 0.5, r: 0.2 },
+    { shape: "rect", x: 0.25, y: 0.5, w: 0.75, h: 0.5 },
+  ]);
+  assert.deepEqual(normalizeZones([{ shape: "circle", cx: 0.5 }]), ["full"]);
+  assert.deepEqual(normalizeZones(["toString", "constructor"]), ["full"], "inherited names are not zones");
+});
+
+test("organisms stay inside circle, ring and polygon zones", () => {
+  const shapes = [
+    { shape: "circle", cx: 0.3, cy: 0.5, r: 0.25 },
+    { shape: "ring", cx: 0.5, cy: 0.5, r: 0.45, inner: 0.3 },
+    { shape: "polygon", points: [[0.1, 0.95], [0.5, 0.3], [0.9, 0.95], [0.5, 0.75]] },
+  ];
+
+  for (const zone of shapes) {
+    const cfg = moodCfg({ zones: [zone], maxSpeed: 1.2, organismCount: 16 });
+    const field = new Field(hashString(zone.shape));
+    field.respawn(cfg, BOUNDS);
+    const [region] = computeRegionsFromZones(BOUNDS, cfg.zones);
+    assert.ok(region.shape, `${zone.shape} region has no shape`);
+
+    for (let i = 0; i < stepsFor(15); i++) {
+      field.step(cfg, BOUNDS);
+      for (const o of field.organisms) {
+        assert.ok(regionEdge(region, o.x, o.y).d > -1e-6,
+          `${zone.shape} organism escaped to ${o.x.toFixed(1)},${o.y.toFixed(1)}`);
+      }
+    }
+  }
+});
+
+test("a crossfade into a shape herds organisms in", () => {
+  const from = moodCfg({ organismCount: 20 });
+  const to = moodCfg({ organismCount: 20, zones: [{ shape: "circle", cx: 0.5, cy: 0.5, r: 0.15 }] });
+  const field = new Field(hashString("herd"));
+  field.respawn(from, BOUNDS);
+  run(field, from, stepsFor(3));
+
+  field.beginTransition(from, 2);
+  run(field, to, stepsFor(2.5));
+
+  const [circle] = computeRegionsFromZones(BOUNDS, to.zones);
+  for (const o of field.organisms.filter((x) => x.retireAt === null)) {
+    assert.ok(regionContains(circle, o.x, o.y), `left outside at ${o.x.toFixed(1)},${o.y.toFixed(1)}`);
+  }
+});
+
+/* ---------------------------
+   Separation
+----------------------------*/
+
+function pairDistanceAfter(sepDistance) {
+  const cfg = moodCfg({ organismCount: 2, sepDistance, maxSpeed: 0.3 });
+  const field = new Field(hashString("separation"));
+  field.respawn(cfg, BOUNDS);
+
+  const [a, b] = field.organisms;
+  a.x = BOUNDS.cx - 2; a.y = BOUNDS.cy;
+  b.x = BOUNDS.cx + 2; b.y = BOUNDS.cy;
+
+  run(field, cfg, stepsFor(3));
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+test("separation pushes close neighbours apart", () => {
+  const apart = pairDistanceAfter(40);
+  const free = pairDistanceAfter(0);
+
+  assert.ok(apart > free, `with separation ${apart.toFixed(2)} <= without ${free.toFixed(2)}`);
+  assert.ok(apart > 4, `pair stayed at ${apart.toFixed(2)}px`);
+});
+
+test("separation ignores organisms in other regions", () => {
+  const cfg = moodCfg({ sepDistance: 40 });
+  const rand = () => 0.5;
+  const a = new Organism(BOUNDS, REGION.left, rand);
+  const b = new Organism(BOUNDS, REGION.right, rand);
+  a.x = b.x = BOUNDS.cx;
+  a.y = b.y = BOUNDS.cy;
+  b.x += 1;
+
+  const solo = new Organism(BOUNDS, REGION.left, rand);
+  solo.x = a.x; solo.y = a.y;
+
+  const env = { now: 5000, fullBounds: BOUNDS, orbitEnabled: false, fullTank: false, orbitDir: 1 };
+  a.update(BOUNDS, cfg, { ...env, neighbors: [a, b] });
+  solo.update(BOUNDS, cfg, { ...env, neighbors: [solo] });
+
+  assert.equal(a.vx, solo.vx);
+  assert.equal(a.vy, solo.vy);
+});
+
+test("contacts fire once as a pair comes within sepDistance", () => {
+  const cfg = moodCfg({ organismCount: 2, sepDistance: 40, maxSpeed: 0.05 });
+  const field = new Field(hashString("contact"));
+  field.respawn(cfg, BOUNDS);
+
+  const [a, b] = field.organisms;
+  a.x = BOUNDS.cx - 10; a.y = BOUNDS.cy;
+  b.x = BOUNDS.cx + 10; b.y = BOUNDS.cy;
+
+  run(field, cfg, 30);
+  const contacts = field.drainContacts();
+  assert.equal(contacts.length, 1);
+  assert.ok(Math.abs(contacts[0].x - BOUNDS.cx) < 2);
+  assert.equal(field.drainContacts().length, 0);
+});
+
+/* ---------------------------
+   Orbit
+----------------------------*/
+
+test("orbit settles around a quarter of the tank", () => {
+  const cfg = moodCfg({ orbit: true, organismCount: 12, sepDistance: 14 });
+  const field = new Field(hashString("orbit"));
+  field.respawn(cfg, BOUNDS);
+  run(field, cfg, stepsFor(30));
+
+  const tankSize = Math.min(BOUNDS.maxX - BOUNDS.minX, BOUNDS.maxY - BOUNDS.minY);
+  const targetR = tankSize * 0.25;
+
+  const radii = field.organisms.map((o) => Math.hypot(o.x - BOUNDS.cx, o.y - BOUNDS.cy));
+  const mean = radii.reduce((s, r) => s + r, 0) / radii.length;
+
+  assert.ok(Math.abs(mean - targetR) / targetR < 0.2,
+    `mean radius ${mean.toFixed(1)} vs target ${targetR.toFixed(1)}`);
+});
+
+test("orbit is ignored outside the full tank", () => {
+  const cfg = moodCfg({ zones: ["topLeft"], orbit: true });
+  assert.equal(cfg.orbit, false);
+});
+
+test("the spatial hash finds every neighbour within reach", () => {
+  const points = [];
+  for (let i = 0; i < 300; i++) points.push({ x: (i * 97) % 800, y: (i * 53) % 600 });
+
+  const grid = new SpatialHash();
+  grid.rebuild(points, 40);
+
+  for (const q of [{ x: 0, y: 0 }, { x: 400, y: 300 }, { x: 799, y: 13 }]) {
+    const found = new Set(grid.near(q.x, q.y, 40));
+    for (const p of points) {
+      if (Math.hypot(p.x - q.x, p.y - q.y) <= 40) assert.ok(found.has(p), `missed ${p.x},${p.y}`);
+    }
+  }
+});
+
+test("large populations keep their separation", () => {
+  const cfg = moodCfg({ organismCount: 1000, sepDistance: 10 });
+  const field = new Field(hashString("crowd"));
+  field.respawn(cfg, BOUNDS);
+  assert.equal(field.organisms.length, MAX_ORGANISMS);
+
+  run(field, cfg, stepsFor(RAMP_SECONDS + 2));
+  let close = 0;
+  for (const o of field.organisms) {
+    for (const other of field.grid.near(o.x, o.y, 10)) {
+      if (other !== o && Math.hypot(o.x - other.x, o.y - other.y) < 3) close++;
+    }
+  }
+  assert.ok(close / field.organisms.length < 0.1, `${close} pairs closer than 3px`);
+});
+
+/* ---------------------------
+   Flocking
+----------------------------*/
+
+function flockRun(overrides) {
+  const cfg = moodCfg({ organismCount: 16, maxSpeed: 0.5, sepDistance: 12, perception: 120, ...overrides });
+  const field = new Field(hashString("flock"));
+  field.respawn(cfg, BOUNDS);
+  run(field, cfg, stepsFor(12));
+  return field.organisms;
+}
+
+// 1 = everyone heading the same way, ~0 = no shared direction
+function polarization(organisms) {
+  let sx = 0, sy = 0;
+  for (const o of organisms) {
+    const v = Math.hypot(o.vx, o.vy) || 1;
+    sx += o.vx / v;
+    sy += o.vy / v;
+  }
+  return Math.hypot(sx, sy) / organisms.length;
+}
+
+function spread(organisms) {
+  const mx = organisms.reduce((s, o) => s + o.x, 0) / organisms.length;
+  const my = organisms.reduce((s, o) => s + o.y, 0) / organisms.length;
+  return organisms.reduce((s, o) => s + Math.hypot(o.x - mx, o.y - my), 0) / organisms.length;
+}
+
+test("alignment lines organisms up", () => {
+  const free = polarization(flockRun({}));
+  const school = polarization(flockRun({ alignment: 1 }));
+  assert.ok(school > free + 0.2, `polarization ${school.toFixed(2)} vs ${free.toFixed(2)} without alignment`);
+});
+
+test("cohesion pulls organisms together", () => {
+  const free = spread(flockRun({}));
+  const clump = spread(flockRun({ cohesion: 1 }));
+  assert.ok(clump < free * 0.8, `spread ${clump.toFixed(1)} vs ${free.toFixed(1)} without cohesion`);
+});
+
+/* ---------------------------
+   Pointer + taps
+----------------------------*/
+
+function meanDistanceTo(field, x, y) {
+  const ds = field.organisms.map((o) => Math.hypot(o.x - x, o.y - y));
+  return ds.reduce((s, d) => s + d, 0) / ds.length;
+}
+
+function pointerRun(pointerMode) {
+  const cfg = moodCfg({ organismCount: 16, pointerMode, pointerRadius: 200 });
+  const field = new Field(hashString("pointer"));
+  field.respawn(cfg, BOUNDS);
+  run(field, cfg, stepsFor(RAMP_SECONDS));
+
+  field.setPointer(BOUNDS.cx, BOUNDS.cy);
+  run(field, cfg, stepsFor(4));
+  return meanDistanceTo(field, BOUNDS.cx, BOUNDS.cy);
+}
+
+test("pointer: flee keeps away, approach gathers, ignore does neither", () => {
+  const ignore = pointerRun("ignore");
+  assert.ok(pointerRun("flee") > ignore, "flee did not move away from the pointer");
+  assert.ok(pointerRun("approach") < ignore, "approach did not move toward the pointer");
+});
+
+test("a tap scatters nearby organisms without breaking their zones", () => {
+  const cfg = moodCfg({ zones: ["bottomLeft"], organismCount: 12, maxSpeed: 0.1, sepDistance: 0 });
+  const region = computeRegionsFromZones(BOUNDS, cfg.zones)[0];
+
+  const settle = () => {
+    const field = new Field(hashString("tap"));
+    field.respawn(cfg, BOUNDS);
+    run(field, cfg, stepsFor(RAMP_SECONDS));
+    return field;
+  };
+
+  const calm = settle();
+  const poked = settle();
+  poked.disturb(region.cx, region.cy, 400);
+
+  run(calm, cfg, stepsFor(0.5));
+  run(poked, cfg, stepsFor(0.5));
+
+  assert.ok(meanDistanceTo(poked, region.cx, region.cy) > meanDistanceTo(calm, region.cx, region.cy) + 5);
+  for (const o of poked.organisms) {
+    assert.ok(o.x >= region.minX && o.x <= region.maxX && o.y >= region.minY && o.y <= region.maxY);
+  }
+
+  run(poked, cfg, stepsFor(1));
+  assert.equal(poked.disturbances.length, 0);
+});
+
+/* ---------------------------
+   Species
+----------------------------*/
+
+test("a species mix splits the population exactly", () => {
+  assert.deepEqual(speciesTargets(10, { shrimp: 0.8, adult: 0.2 }), { shrimp: 8, adult: 2 });
+  assert.deepEqual(speciesTargets(7, { shrimp: 1, nauplius: 1 }), { shrimp: 4, nauplius: 3 });
+  assert.deepEqual(speciesTargets(5, { kraken: 1 }), { shrimp: 5 });
+
+  const cfg = moodCfg({ organismCount: 20, species: { shrimp: 0.8, adult: 0.2 } });
+  const field = new Field(hashString("species"));
+  field.respawn(cfg, BOUNDS);
+  assert.deepEqual(field.speciesBreakdown(), { shrimp: 16, adult: 4 });
+
+  const adult = field.organisms.find((o) => o.species === "adult");
+  assert.equal(adult.segments, SPECIES.adult.segments);
+  assert.ok(adult.length >= SPECIES.adult.length[0] && adult.length <= SPECIES.adult.length[1]);
+});
+
+test("changing the mix swaps species without a respawn", () => {
+  const before = moodCfg({ organismCount: 12 });
+  const after = moodCfg({ organismCount: 12, species: { shrimp: 0.5, nauplius: 0.5 } });
+  const field = new Field(hashString("species-swap"));
+  field.respawn(before, BOUNDS);
+  const kept = field.organisms.slice();
+
+  run(field, after, stepsFor(RAMP_SECONDS) + 1);
+  assert.deepEqual(field.speciesBreakdown(), { shrimp: 6, nauplius: 6 });
+  assert.equal(kept.filter((o) => field.organisms.includes(o)).length, 6);
+});
+
+test("adults swim slower than shrimp", () => {
+  const cfg = moodCfg({ organismCount: 24, maxSpeed: 0.6, sepDistance: 0, species: { shrimp: 1, adult: 1 } });
+  const field = new Field(hashString("species-speed"));
+  field.respawn(cfg, BOUNDS);
+  run(field, cfg, stepsFor(RAMP_SECONDS));
+
+  const speed = { shrimp: 0, adult: 0 };
+  for (let i = 0; i < stepsFor(4); i++) {
+    field.step(cfg, BOUNDS);
+    for (const o of field.organisms) speed[o.species] += Math.hypot(o.vx, o.vy);
+  }
+  assert.ok(speed.adult < speed.shrimp * 0.85, `adult ${speed.adult.toFixed(1)} vs shrimp ${speed.shrimp.toFixed(1)}`);
+});
+
+/* ---------------------------
+   Scene
+----------------------------*/
+
+test("organisms swim around rocks and plants, never through them", () => {
+  const scene = [
+    { type: "rock", x: 0.3, y: 0.5, r: 0.15 },
+    { type: "plant", x: 0.7, height: 0.8 },
+  ];
+  const cfg = moodCfg({ scene, organismCount: 40, maxSpeed: 1.5, sepDistance: 10 });
+  const field = new Field(hashString("decor"));
+  field.respawn(cfg, BOUNDS);
+
+  const [rock, plant] = sceneLayout(BOUNDS, cfg.scene).obstacles;
+  for (let i = 0; i < stepsFor(15); i++) {
+    field.step(cfg, BOUNDS);
+    for (const o of field.organisms) {
+      assert.ok(Math.hypot(o.x - rock.x, o.y - rock.y) >= rock.r - 1e-6, "organism inside the rock");
+      const inStem = Math.abs(o.x - plant.x) < plant.r - 1e-6 && o.y > plant.y2 && o.y < plant.y;
+      assert.ok(!inStem, "organism inside the plant");
+    }
+  }
+});
+
+test("bubbles rise from a bubbler and lift organisms they pass", () => {
+  const scene = [{ type: "bubbler", x: 0.5, rate: 12 }];
+  const still = moodCfg({ organismCount: 1, maxSpeed: 0, sepDistance: 0 });
+  const bubbly = moodCfg({ organismCount: 1, maxSpeed: 0, sepDistance: 0, scene });
+
+  function liftAfter(cfg) {
+    const field = new Field(hashString("bubbles"));
+    field.respawn(cfg, BOUNDS);
+    const o = field.organisms[0];
+    o.y = BOUNDS.cy;
+    for (let i = 0; i < stepsFor(4); i++) {
+      o.x = BOUNDS.cx;
+      field.step(cfg, BOUNDS);
+    }
+    return { y: o.y, bubbles: field.bubbles };
+  }
+
+  const calm = liftAfter(still);
+  const lifted = liftAfter(bubbly);
+  assert.equal(calm.bubbles.length, 0);
+  assert.ok(lifted.bubbles.length > 5, `only ${lifted.bubbles.length} bubbles`);
+  assert.ok(lifted.bubbles.every((b) => b.y >= BOUNDS.minY && b.y < BOUNDS.maxY), "a bubble left the water");
+  assert.ok(lifted.y < calm.y - 5, `y ${lifted.y.toFixed(1)} not lifted past ${calm.y.toFixed(1)}`);
+});
+
+/* ---------------------------
+   Lifecycle
+----------------------------*/
+
+test("with lifeSpeed on, a tank hatches from eggs and grows up", () => {
+  const cfg = moodCfg({ organismCount: 8, lifeSpeed: 20 });
+  const field = new Field(hashString("hatch"));
+  field.respawn(cfg, BOUNDS);
+  const start = field.organisms.map((o) => ({ x: o.x, y: o.y }));
+  assert.ok(field.organisms.every((o) => o.isEgg()), "not everyone starts as an egg");
+
+  run(field, cfg, stepsFor(0.3));
+  field.organisms.forEach((o, i) => {
+    if (o.isEgg()) assert.deepEqual({ x: o.x, y: o.y }, start[i], "an egg moved");
+  });
+
+  run(field, cfg, stepsFor(1));
+  assert.ok(field.organisms.every((o) => !o.isEgg()), "an egg never hatched");
+  assert.ok(field.organisms.every((o) => o.grow < 0.6), "hatchlings start small");
+
+  run(field, cfg, stepsFor(LIFE_GROW_SECONDS / 20));
+  assert.ok(field.organisms.every((o) => Math.abs(o.grow - 1) < 1e-9), "not full grown");
+});
+
+test("old organisms slow, fade and die, and eggs take their place", () => {
+  const cfg = moodCfg({ organismCount: 6, lifeSpeed: 100 });
+  const field = new Field(hashString("aging"));
+  field.respawn(cfg, BOUNDS);
+  const founders = [...field.organisms];
+
+  let oldOpacity = null;
+  for (let i = 0; i < stepsFor(11); i++) {
+    field.step(cfg, BOUNDS);
+    const o = founders[0];
+    if (oldOpacity === null && o.retireAt === null && o.age > LIFE_GROW_SECONDS + LIFE_ADULT_SECONDS + 60) oldOpacity = o.opacity;
+  }
+
+  assert.ok(oldOpacity !== null && oldOpacity < TARGET_OPACITY * 0.8, `old opacity ${oldOpacity}`);
+  assert.ok(founders.every((o) => !field.organisms.includes(o)), "a founder outlived its span");
+  assert.equal(field.organisms.filter((o) => o.retireAt === null).length, 6);
+  assert.ok(field.organisms.some((o) => o.bornAt > 0), "no eggs were laid");
+});
+
+test("organisms steer to food and eat it, and fed hatchlings grow faster", () => {
+  const cfg = moodCfg({ organismCount: 1, maxSpeed: 0.05, lifeSpeed: 1 });
+
+  function growAfter(fed) {
+    const field = new Field(hashString("food"));
+    field.respawn(cfg, BOUNDS);
+    const o = field.organisms[0];
+    o.age = 0;
+    for (let i = 0; i < stepsFor(8); i++) {
+      if (fed && i % stepsFor(2) === 0) field.feed(o.x + 60, o.y - 20);
+      field.step(cfg, BOUNDS);
+    }
+    return { grow: o.grow, fedAt: o.fedAt, left: field.food.length };
+  }
+
+  const hungry = growAfter(false);
+  const fed = growAfter(true);
+  assert.equal(hungry.fedAt, -Infinity);
+  assert.ok(Number.isFinite(fed.fedAt), "never ate");
+  assert.ok(fed.left < 4 * FEED_GRAINS, "no grain was eaten");
+  assert.ok(fed.grow > hungry.grow, `fed ${fed.grow.toFixed(3)} vs ${hungry.grow.toFixed(3)}`);
+});
+
+/* ---------------------------
+   Ramp-in
+----------------------------*/
+
+test("new organisms fade and grow in over RAMP_SECONDS", () => {
+  const cfg = moodCfg({ organismCount: 1 });
+  const field = new Field(hashString("ramp"));
+  field.respawn(cfg, BOUNDS);
+
+  const o = field.organisms[0];
+  assert.equal(o.opacity, 0);
+  assert.equal(o.grow, GROW_FROM);
+
+  let lastOpacity = 0;
+  let lastGrow = GROW_FROM;
+  for (let i = 0; i < stepsFor(RAMP_SECONDS) + 1; i++) {
+    field.step(cfg, BOUNDS);
+    assert.ok(o.opacity >= lastOpacity && o.grow >= lastGrow, "ramp went backwards");
+    lastOpacity = o.opacity;
+    lastGrow = o.grow;
+
+    if (field.now < (RAMP_SECONDS * 1000) / 2) assert.ok(o.opacity < TARGET_OPACITY);
+  }
+
+  assert.ok(Math.abs(o.opacity - TARGET_OPACITY) < 1e-9);
+  assert.ok(Math.abs(o.grow - 1) < 1e-9);
+});
+
+/* ---------------------------
+   Mood blends
+----------------------------*/
+
+test("a blend averages numbers by weight and unions the zones", () => {
+  const calm = moodCfg({ maxSpeed: 0.2, organismCount: 10, zones: ["topLeft"], pointerMode: "flee", species: { shrimp: 1 } });
+  const wild = moodCfg({ maxSpeed: 2.0, organismCount: 30, zones: ["bottomRight"], pointerMode: "approach", species: { adult: 1 } });
+  const cfg = mixConfigs([{ cfg: calm, weight: 3 }, { cfg: wild, weight: 1 }]);
+
+  assert.ok(Math.abs(cfg.maxSpeed - 0.65) < 1e-9);
+  assert.equal(cfg.organismCount, 15);
+  assert.deepEqual(cfg.zones, ["topLeft", "bottomRight"]);
+  assert.equal(cfg.pointerMode, "flee", "discrete modes follow the heaviest mood");
+  assert.deepEqual(cfg.species, { shrimp: 0.75, adult: 0.25 });
+
+  const full = mixConfigs([{ cfg: calm, weight: 1 }, { cfg: moodCfg({ zones: ["full"] }), weight: 1 }]);
+  assert.deepEqual(full.zones, ["full"]);
+});
+
+test("a blend drops timelines and runs like any other mood", () => {
+  const pulse = moodCfg({ organismCount: 6, keyframes: [{ at: 0 }, { at: 2, organismCount: 20 }] });
+  const cfg = mixConfigs([{ cfg: pulse, weight: 1 }, { cfg: moodCfg({ organismCount: 10 }), weight: 1 }]);
+  assert.equal(cfg.keyframes, undefined);
+  assert.equal(cfg.organismCount, 8);
+
+  const field = new Field(hashString("blend"));
+  field.respawn(cfg, BOUNDS);
+  run(field, cfg, stepsFor(3));
+  assert.equal(field.organisms.length, 8);
+});
+
+/* ---------------------------
+   Calm motion
+----------------------------*/
+
+test("calm motion caps the tremor, shimmers instead, and leaves the rest of the mood", () => {
+  const cfg = moodCfg({
+    maxSpeed: 2.2, shake: 3, shakeSpeed: 120, wiggleSpeed: 3.5,
+    keyframes: [{ at: 0 }, { at: 4, shake: 2.5 }],
+  });
+  const field = new Field(hashString("calm"));
+  field.setCalm(true);
+  field.respawn(cfg, BOUNDS);
+  run(field, cfg, stepsFor(2));
+
+  const eff = field.effectiveConfig(cfg);
+  assert.ok(eff.shake <= CALM_MAX_SHAKE && eff.shakeSpeed < 10, "keyframes are calmed too");
+  assert.equal(eff.wiggleSpeed, CALM_MAX_WIGGLE_SPEED);
+  assert.equal(eff.maxSpeed, 2.2);
+  assert.equal(eff.shimmer, 1);
+  assert.ok(field.organisms.every((o) => o.wiggleSpeed === CALM_MAX_WIGGLE_SPEED));
+
+  const o = field.organisms[0];
+  const alphas = Array.from({ length: 40 }, (_, i) => shimmerAlpha(o, eff, i * 100));
+  assert.ok(Math.min(...alphas) < 0.7 && Math.max(...alphas) > 0.95);
+  assert.equal(shimmerAlpha(o, moodCfg({ shake: 3 }), 0), 1, "no shimmer unless calmed");
+
+  field.setCalm(false);
+  assert.ok(field.effectiveConfig(cfg).shake > 2.5);
+});
+
+/* ---------------------------
+   Clock + seed
+----------------------------*/
+
+test("the same seed replays the same motion", () => {
+  const cfg = moodCfg({ organismCount: 10 });
+  const positions = (seed) => {
+    const field = new Field(hashString(seed));
+    field.respawn(cfg, BOUNDS);
+    run(field, cfg, 300);
+    return field.organisms.map((o) => [o.x, o.y]);
+  };
+
+  assert.deepEqual(positions("a"), positions("a"));
+  assert.notDeepEqual(positions("a"), positions("b"));
+});
+
+test("timelines follow the field clock", () => {
+  const cfg = moodCfg({
+    organismCount: 4,
+    keyframes: [
+      { at: 0, organismCount: 4 },
+      { at: 2, organismCount: 12, ease: "linear" },
+    ],
+  });
+  const field = new Field(hashString("timeline"));
+  field.respawn(cfg, BOUNDS);
+
+  assert.equal(evalTimeline(cfg, 1).cfg.organismCount, 8);
+
+  const inherited = moodCfg({ keyframes: [{ at: 0, maxSpeed: 0 }, { at: 2, maxSpeed: 1, ease: "toString" }] });
+  assert.equal(evalTimeline(inherited, 1).cfg.maxSpeed, 0.5, "an unknown ease falls back to easeInOut");
+
+  run(field, cfg, stepsFor(2) + 1);
+  assert.equal(field.organisms.length, 12);
+
+  field.setTimelinePaused(true);
+  const held = field.timelineSeconds();
+  run(field, cfg, 30);
+  assert.equal(field.timelineSeconds(), held);
+});
+
+test("a timeline's scene flips halfway through the segment", () => {
+  const rock = [{ type: "rock", x: 0.3, r: 0.05 }];
+  const plant = [{ type: "plant", x: 0.7, height: 0.4 }];
+  const cfg = moodCfg({
+    scene: rock,
+    keyframes: [
+      { at: 0 },
+      { at: 4, scene: plant, ease: "linear" },
+    ],
+  });
+
+  assert.equal(evalTimeline(cfg, 1).cfg.scene[0].type, "rock");
+  assert.equal(evalTimeline(cfg, 3).cfg.scene[0].type, "plant");
+});
+
+/* ---------------------------
+   Page wiring
+----------------------------*/
+
+test("script.js drives the Field through methods sim.js has, and WorkerField mirrors them", () => {
+  const src = fs.readFileSync(path.join(__dirname, "../script.js"), "utf8");
+  const start = src.indexOf("class WorkerField {");
+  const workerField = src.slice(start, src.indexOf("\n}\n", start));
+  const methods = (text) => new Set([...text.matchAll(/^ {2}(\w+)\(.*\) \{$/gm)].map((m) => m[1]));
+
+  const split = workerField.indexOf("// Worker only");
+  const workerOnly = methods(workerField.slice(split));
+  const mirrored = methods(workerField.slice(workerField.indexOf("// Field calls"), split));
+  assert.ok(mirrored.size > 10);
+
+  for (const name of mirrored) {
+    assert.equal(typeof Field.prototype[name], "function", `WorkerField.${name}() mirrors a Field method`);
+  }
+  for (const [, name] of src.matchAll(/\bfield\.(\w+)\(/g)) {
+    if (workerOnly.has(name)) continue;
+    assert.equal(typeof Field.prototype[name], "function", `script.js calls field.${name}()`);
+  }
+});
@@ -0,0 +1,207 @@
+/* worker.js — Simulation + painting off the main thread (?worker, see WORKER RENDERING in script.js)
+   - Owns the Field (sim.js) and the tank's OffscreenCanvas, painted with render.js
+     or render-gl.js (RENDERER in script.js); a renderer switch sends a fresh canvas
+   - Steps on its own fixed clock, exactly like animate() does on the main thread
+   - In:  init, resize, config, reseed, respawn, transition, pointer, clearPointer,
+          disturb, feed, calm, ripple, effects, timelinePaused, scrub, hold, frame
+   - Out: state     every painted frame: clock, population, timeline, contacts, effective config
+          renderer  WebGL was asked for but could not start (now painting in 2D)
+          frame     PNG bytes for one frame of a frame export (or an error)
+*/
+
+importScripts("./sim.js", "./render.js", "./render-gl.js");
+
+const field = new Field();
+
+let canvas = null;
+let ctx = null;            // 2D context, or
+let gl = null;             // GLRenderer
+let size = null;           // last { width, height, dpr } from the page
+let bounds = fieldBounds(1, 1);
+let slotCfg = normalizeSlotCfg({ ...DEFAULT_CONFIG });
+let ripples = [];
+
+let held = false;          // a frame export drives the clock instead
+let accumulator = 0;
+let lastFrameTime = performance.now();
+
+// Workers get requestAnimationFrame alongside OffscreenCanvas in most browsers.
+const nextFrame = typeof requestAnimationFrame === "function"
+  ? (fn) => requestAnimationFrame(fn)
+  : (fn) => setTimeout(fn, SIM_STEP_MS);
+
+/* ---------------------------
+   Loop
+----------------------------*/
+
+function loop() {
+  nextFrame(loop);
+  if ((!ctx && !gl) || held) return;
+
+  const now = performance.now();
+  accumulator += Math.min(now - lastFrameTime, SIM_STEP_MS * MAX_STEPS_PER_FRAME);
+  lastFrameTime = now;
+
+  while (accumulator >= SIM_STEP_MS) {
+    field.step(slotCfg, bounds);
+    accumulator -= SIM_STEP_MS;
+  }
+
+  const cfg = field.effectiveConfig(slotCfg);
+  paint(cfg);
+  postState(cfg);
+}
+
+function paint(cfg) {
+  ripples = gl ? gl.render(field, cfg, bounds, ripples) : paintFrame(ctx, field, cfg, bounds, ripples);
+}
+
+// A new canvas: WebGL when asked and available, otherwise 2D.
+function attachCanvas(msg) {
+  canvas = msg.canvas;
+  ctx = null;
+  gl = null;
+
+  if (msg.renderer === "webgl") {
+    try {
+      gl = new GLRenderer(canvas);
+      gl.setEffects(msg.effects || {});
+    } catch (err) {
+      self.postMessage({ type: "renderer", kind: "2d", reason: String(err.message || err) });
+    }
+  }
+
+  if (!gl) {
+    ctx = canvas.getContext("2d");
+    // A canvas that already made a WebGL context will not make a 2D one
+    if (!ctx) throw new Error("no 2D context on the transferred canvas");
+  }
+
+  if (size) resize(size);
+}
+
+function resize(msg) {
+  size = { width: msg.width, height: msg.height, dpr: msg.dpr };
+  bounds = fieldBounds(msg.width, msg.height);
+
+  if (gl) {
+    gl.resize(msg.width, msg.height, msg.dpr);
+    return;
+  }
+  canvas.width = Math.floor(msg.width * msg.dpr);
+  canvas.height = Math.floor(msg.height * msg.dpr);
+  ctx.setTransform(msg.dpr, 0, 0, msg.dpr, 0, 0);
+}
+
+function postState(cfg) {
+  self.postMessage({
+    type: "state",
+    now: field.now,
+    count: field.organisms.length,
+    breakdown: field.speciesBreakdown(),
+    timelineSeconds: field.timelineSeconds(),
+    paused: field.timeline.pausedAt !== null,
+    cfg,
+    contacts: field.drainContacts(),
+  });
+}
+
+// Frame export: step to atMs, paint, hand the PNG bytes back (the page zips them).
+async function renderFrame(msg) {
+  try {
+    slotCfg = msg.cfg;
+    while (field.now + SIM_STEP_MS <= msg.atMs + 1e-6) field.step(slotCfg, bounds);
+    paint(field.effectiveConfig(slotCfg));
+
+    const blob = await canvas.convertToBlob({ type: "image/png" });
+    const png = await blob.arrayBuffer();
+    self.postMessage({ type: "frame", id: msg.id, png }, [png]);
+  } catch (err) {
+    self.postMessage({ type: "frame", id: msg.id, error: String((err && err.message) || err) });
+  }
+}
+
+/* ---------------------------
+   Messages
+----------------------------*/
+
+self.addEventListener("message", (e) => {
+  const msg = e.data;
+
+  switch (msg.type) {
+    case "init":
+      attachCanvas(msg);
+      break;
+
+    case "resize":
+      if (canvas) resize(msg);
+      break;
+
+    case "config":
+      slotCfg = msg.cfg;
+      break;
+
+    case "reseed":
+      field.reseed(msg.seed);
+      break;
+
+    case "respawn":
+      slotCfg = msg.cfg;
+      bounds = msg.bounds;
+      accumulator = 0;
+      field.respawn(slotCfg, bounds);
+      break;
+
+    case "transition":
+      field.beginTransition(msg.prevCfg, msg.seconds);
+      break;
+
+    case "pointer":
+      field.setPointer(msg.x, msg.y);
+      break;
+
+    case "clearPointer":
+      field.clearPointer();
+      break;
+
+    case "disturb":
+      field.disturb(msg.x, msg.y, msg.radius);
+      break;
+
+    case "feed":
+      field.feed(msg.x, msg.y);
+      break;
+
+    case "calm":
+      field.setCalm(msg.on);
+      break;
+
+    case "ripple":
+      ripples.push(msg.ripple);
+      break;
+
+    case "effects":
+      if (gl) gl.setEffects(msg.effects);
+      break;
+
+    case "timelinePaused":
+      field.setTimelinePaused(msg.paused);
+      break;
+
+    case "scrub":
+      field.scrubTimeline(msg.seconds);
+      break;
+
+    case "hold":
+      held = !!msg.on;
+      accumulator = 0;
+      lastFrameTime = performance.now();
+      break;
+
+    case "frame":
+      renderFrame(msg);
+      break;
+  }
+});
+
+loop();